@@ -0,0 +1,474 @@
+'use strict';
+
+var _ = require('lodash');
+var debug = require('debug')('loopline:access-control');
+
+module.exports = AccessControl;
+
+/**
+ * Evaluate the ACLs of models against a caller.
+ *
+ * ACL entries come from the `acls` of model configs, see
+ * `registry.configureModel()`:
+ *
+ * ```json
+ * {"principalType": "ROLE", "principalId": "$everyone", "accessType": "*",
+ *  "property": "*", "permission": "DENY"},
+ * {"principalType": "ROLE", "principalId": "$authenticated", "accessType": "READ",
+ *  "property": "*", "permission": "ALLOW"},
+ * {"principalType": "ROLE", "principalId": "$owner", "accessType": "WRITE",
+ *  "property": ["updateAttributes", "deleteById"], "permission": "ALLOW"}
+ * ```
+ *
+ * The most specific entry matching the request wins: an exact `property`
+ * beats `*`, then an exact `accessType` beats `EXECUTE`, which beats `*`,
+ * then `USER` beats `APP`, which beats roles: custom roles, `$owner`,
+ * `$authenticated` / `$unauthenticated` and finally `$everyone`. `DENY`
+ * wins over `ALLOW` at the same specificity. Without any matching entry
+ * access is allowed, unless the model sets `defaultPermission: 'DENY'`.
+ *
+ * The caller is described by a context object, the `options` argument of
+ * model methods:
+ *
+ * - `accessToken` - `{userId, appId}` of the caller, `null` for anonymous
+ *   callers
+ * - `principals` - more principals like `{type: 'ROLE', id: 'admin'}`
+ *
+ * Model methods called with such options are checked before they run,
+ * nested calls made by the method itself are not.
+ *
+ * @param {Registry} registry
+ * @class AccessControl
+ */
+
+function AccessControl(registry) {
+  this.registry = registry;
+  this.resolvers = {};
+  this.aclSources = [];
+
+  this.registerResolver(AccessControl.EVERYONE, function () {
+    return true;
+  });
+  this.registerResolver(AccessControl.AUTHENTICATED, function (role, req) {
+    return Boolean(req.getUserId());
+  });
+  this.registerResolver(AccessControl.UNAUTHENTICATED, function (role, req) {
+    return !req.getUserId();
+  });
+  this.registerResolver(AccessControl.OWNER, isOwner);
+}
+
+AccessControl.ALL = '*';
+
+AccessControl.ALLOW = 'ALLOW';
+AccessControl.DENY = 'DENY';
+
+AccessControl.READ = 'READ';
+AccessControl.WRITE = 'WRITE';
+AccessControl.EXECUTE = 'EXECUTE';
+
+AccessControl.USER = 'USER';
+AccessControl.APP = 'APP';
+AccessControl.ROLE = 'ROLE';
+
+AccessControl.EVERYONE = '$everyone';
+AccessControl.AUTHENTICATED = '$authenticated';
+AccessControl.UNAUTHENTICATED = '$unauthenticated';
+AccessControl.OWNER = '$owner';
+
+/*!
+ * Built in data access methods: access type, position of the `options`
+ * argument and aliases.
+ */
+
+AccessControl.METHODS = {
+  'create': {accessType: 'WRITE', options: 1},
+  'upsert': {accessType: 'WRITE', options: 1, aliases: ['updateOrCreate', 'patchOrCreate']},
+  'upsertWithWhere': {accessType: 'WRITE', options: 2, aliases: ['patchOrCreateWithWhere']},
+  'replaceOrCreate': {accessType: 'WRITE', options: 1},
+  'findOrCreate': {accessType: 'WRITE', options: 2},
+  'exists': {accessType: 'READ', options: 1, byId: true},
+  'findById': {accessType: 'READ', options: 2, byId: true},
+  'findByIds': {accessType: 'READ', options: 2},
+  'find': {accessType: 'READ', options: 1},
+  'findOne': {accessType: 'READ', options: 1},
+  'count': {accessType: 'READ', options: 1},
+  'destroyAll': {accessType: 'WRITE', options: 1, aliases: ['deleteAll', 'remove']},
+  'deleteById': {accessType: 'WRITE', options: 1, byId: true, aliases: ['destroyById', 'removeById']},
+  'updateAll': {accessType: 'WRITE', options: 2, aliases: ['update']},
+  'replaceById': {accessType: 'WRITE', options: 2, byId: true},
+  'prototype.save': {accessType: 'WRITE', options: 0},
+  'prototype.updateAttribute': {accessType: 'WRITE', options: 2},
+  'prototype.updateAttributes': {accessType: 'WRITE', options: 1, aliases: ['patchAttributes']},
+  'prototype.replaceAttributes': {accessType: 'WRITE', options: 1},
+  'prototype.destroy': {accessType: 'WRITE', options: 0, aliases: ['delete', 'remove']}
+};
+
+var PRINCIPAL_SCORES = {USER: 5, APP: 4, ROLE: 3};
+var ROLE_SCORES = {$owner: 2, $authenticated: 1, $unauthenticated: 1, $everyone: 0};
+
+/**
+ * Register a role resolver. `resolver(role, request, [callback])` tells
+ * whether the caller has `role`, returning a boolean or a promise, or
+ * calling back with `(err, isInRole)`.
+ *
+ * ```js
+ * app.registry.accessControl.registerResolver('$manager', function(role, req) {
+ *   return req.getUserId() ? Team.count({managerId: req.getUserId()}) : false;
+ * });
+ * ```
+ *
+ * The request has the `Model`, `modelName`, `modelId`, `property`,
+ * `accessType` and `principals` of the check, and the caller `context`.
+ * The resolver of `'*'` is used for roles without their own resolver.
+ *
+ * @param {String} role The role name, e.g. `'$owner'` or `'admin'`.
+ * @param {Function} resolver
+ */
+
+AccessControl.prototype.registerResolver = function (role, resolver) {
+  this.resolvers[role] = resolver;
+};
+
+/**
+ * Add ACL entries from somewhere else than model settings, e.g. the `ACL`
+ * model. `source(Model)` returns the entries for `Model` or a promise.
+ *
+ * @param {Function} source
+ */
+
+AccessControl.prototype.registerACLSource = function (source) {
+  this.aclSources.push(source);
+};
+
+/**
+ * Check whether the caller described by `context` may invoke `method`.
+ *
+ * @param {Function} Model The model class.
+ * @param {Object} context The caller context, may also set `modelId` and
+ *   `accessType`.
+ * @param {String|Object} method A method name like `'find'` or
+ *   `'prototype.updateAttributes'`, or `{name, accessType}`.
+ * @returns {Promise.<Boolean>}
+ */
+
+AccessControl.prototype.checkAccess = function (Model, context, method) {
+  var self = this;
+  var req = this.createRequest(Model, context, method);
+  var roles = {};
+  var acls;
+
+  return this.getACLs(Model).then(function (entries) {
+    acls = entries.filter(function (acl) {
+      return matchesProperty(acl, req) && matchesAccessType(acl, req);
+    });
+    return Promise.all(acls.map(function (acl) {
+      return self.matchesPrincipal(acl, req, roles);
+    }));
+  }).then(function (matches) {
+    var matching = acls.filter(function (acl, i) {
+      return matches[i];
+    });
+
+    var permission = Model.settings.defaultPermission || AccessControl.ALLOW;
+    var best = -1;
+    matching.forEach(function (acl) {
+      var score = getScore(acl, req);
+      if (score > best || score === best && acl.permission === AccessControl.DENY) {
+        best = score;
+        permission = acl.permission;
+      }
+    });
+
+    debug('%s %s.%s: %s', req.accessType, req.modelName, req.property, permission);
+    return permission !== AccessControl.DENY;
+  });
+};
+
+/**
+ * Like `checkAccess()`, but reject with a `401` error for anonymous callers
+ * and a `403` error otherwise when access is denied.
+ *
+ * @returns {Promise}
+ */
+
+AccessControl.prototype.authorize = function (Model, context, method) {
+  return this.checkAccess(Model, context, method).then(function (allowed) {
+    if (allowed) {
+      return;
+    }
+
+    var anonymous = !getPrincipals(context).some(function (p) {
+      return p.type === AccessControl.USER;
+    });
+    var err = new Error(anonymous ? 'Authorization Required' : 'Access Denied');
+    err.statusCode = anonymous ? 401 : 403;
+    err.code = anonymous ? 'AUTHORIZATION_REQUIRED' : 'ACCESS_DENIED';
+    throw err;
+  });
+};
+
+/**
+ * Get the ACL entries of `Model`, from its settings and registered sources.
+ *
+ * @param {Function} Model
+ * @returns {Promise.<Object[]>}
+ */
+
+AccessControl.prototype.getACLs = function (Model) {
+  return Promise.all(this.aclSources.map(function (source) {
+    return source(Model);
+  })).then(function (lists) {
+    return _.flatten([Model.settings.acls || []].concat(lists));
+  });
+};
+
+/*!
+ * Describe a check for ACL matching and role resolvers.
+ */
+
+AccessControl.prototype.createRequest = function (Model, context, method) {
+  context = context || {};
+  if (typeof method === 'string') {
+    method = {name: method};
+  }
+
+  var name = method.name.replace(/^prototype\./, '');
+  var builtinName = findBuiltinMethod(method.name);
+  var builtin = AccessControl.METHODS[builtinName] || {};
+
+  return {
+    Model: Model,
+    modelName: Model.modelName,
+    modelId: context.modelId,
+    property: name,
+    properties: builtinName ?
+      [builtinName.replace(/^prototype\./, '')].concat(builtin.aliases || []) : [name],
+    accessType: context.accessType || method.accessType || builtin.accessType || AccessControl.EXECUTE,
+    principals: getPrincipals(context),
+    context: context,
+    getUserId: function () {
+      var user = _.find(this.principals, {type: AccessControl.USER});
+      return user ? user.id : undefined;
+    }
+  };
+};
+
+AccessControl.prototype.matchesPrincipal = function (acl, req, roles) {
+  if (acl.principalType !== AccessControl.ROLE) {
+    return Promise.resolve(req.principals.some(function (p) {
+      return p.type === acl.principalType && String(p.id) === String(acl.principalId);
+    }));
+  }
+
+  var role = acl.principalId;
+  if (!roles[role]) {
+    roles[role] = this.isInRole(role, req);
+  }
+  return roles[role];
+};
+
+/**
+ * Check whether the caller of `req` has `role`, either listed as a `ROLE`
+ * principal or granted by the resolver of the role.
+ *
+ * @param {String} role
+ * @param {Object} req
+ * @returns {Promise.<Boolean>}
+ */
+
+AccessControl.prototype.isInRole = function (role, req) {
+  var listed = req.principals.some(function (p) {
+    return p.type === AccessControl.ROLE && p.id === role;
+  });
+  var resolver = this.resolvers[role] || this.resolvers[AccessControl.ALL];
+
+  if (listed || !resolver) {
+    return Promise.resolve(listed);
+  }
+
+  return new Promise(function (resolve, reject) {
+    if (resolver.length > 2) {
+      resolver(role, req, function (err, result) {
+        if (err) {
+          return reject(err);
+        }
+        resolve(Boolean(result));
+      });
+    } else {
+      resolve(resolver(role, req));
+    }
+  }).then(function (result) {
+    return Boolean(result);
+  });
+};
+
+/**
+ * Check `Model` methods called with a caller context in `options`, see
+ * the `METHODS` list.
+ *
+ * @param {Function} Model A model attached to a data source.
+ */
+
+AccessControl.prototype.protect = function (Model) {
+  var self = this;
+
+  _.forEach(AccessControl.METHODS, function (spec, name) {
+    var isStatic = name.indexOf('prototype.') !== 0;
+    var target = isStatic ? Model : Model.prototype;
+    var names = [name.replace(/^prototype\./, '')].concat(spec.aliases || []);
+
+    names.forEach(function (key) {
+      var fn = target[key];
+      if (typeof fn !== 'function' || fn.accessControlled) {
+        return;
+      }
+
+      target[key] = function () {
+        var args = _.toArray(arguments);
+        var options = args[spec.options];
+        if (!isCallerContext(options)) {
+          return fn.apply(this, args);
+        }
+
+        var ModelCtor = isStatic ? this : this.constructor;
+        var idName = ModelCtor.definition.idName() || 'id';
+        var modelId;
+        if (!isStatic) {
+          modelId = this[idName];
+        } else if (spec.byId) {
+          modelId = args[0];
+        } else if (spec.options === 1 && args[0] && typeof args[0] === 'object') {
+          modelId = args[0][idName];
+        }
+
+        // nested calls of the method are trusted
+        args[spec.options] = _.clone(options);
+        Object.defineProperty(args[spec.options], 'accessChecked', {value: true});
+
+        var context = _.assign({}, options, {modelId: modelId});
+        var callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+        var inst = this;
+        var promise = self.authorize(ModelCtor, context, name).then(function () {
+          return fn.apply(inst, args);
+        });
+
+        if (!callback) {
+          return promise;
+        }
+        promise.catch(callback);
+      };
+      target[key].accessControlled = true;
+    });
+  });
+};
+
+/**
+ * Whether `options` of a method call is a caller context to be checked,
+ * i.e. it has an `accessToken` or `principals` and was not checked yet.
+ *
+ * @param {Object} options
+ * @returns {Boolean}
+ */
+
+AccessControl.isCallerContext = isCallerContext;
+
+function findBuiltinMethod(name) {
+  var methods = AccessControl.METHODS;
+  var key = name.replace(/^prototype\./, '');
+
+  var isPrototype = key !== name;
+
+  if (methods[name]) {
+    return name;
+  }
+  if (!isPrototype && methods['prototype.' + key]) {
+    return 'prototype.' + key;
+  }
+  return _.findKey(methods, function (spec, specName) {
+    return _.includes(spec.aliases, key) && specName.indexOf('prototype.') === (isPrototype ? 0 : -1);
+  });
+}
+
+function isCallerContext(options) {
+  return Boolean(options) && typeof options === 'object' && !options.accessChecked &&
+    ('accessToken' in options || Array.isArray(options.principals));
+}
+
+function getPrincipals(context) {
+  var principals = [];
+  var token = context && context.accessToken;
+
+  if (token && !_.isNil(token.userId)) {
+    principals.push({type: AccessControl.USER, id: token.userId});
+  }
+  if (token && !_.isNil(token.appId)) {
+    principals.push({type: AccessControl.APP, id: token.appId});
+  }
+  return principals.concat(context && context.principals || []);
+}
+
+function matchesProperty(acl, req) {
+  var property = acl.property || AccessControl.ALL;
+  var properties = Array.isArray(property) ? property : [property];
+  return properties.some(function (name) {
+    return name === AccessControl.ALL || req.properties.indexOf(name) !== -1;
+  });
+}
+
+function matchesAccessType(acl, req) {
+  var accessType = acl.accessType || AccessControl.ALL;
+  return accessType === AccessControl.ALL || accessType === req.accessType ||
+    accessType === AccessControl.EXECUTE;
+}
+
+function getScore(acl, req) {
+  var property = acl.property || AccessControl.ALL;
+  var accessType = acl.accessType || AccessControl.ALL;
+
+  var propertyScore = property === AccessControl.ALL ? 0 : 1;
+  var accessTypeScore = 0;
+  if (accessType === req.accessType) {
+    accessTypeScore = 2;
+  } else if (accessType === AccessControl.EXECUTE) {
+    accessTypeScore = 1;
+  }
+  var principalScore = PRINCIPAL_SCORES[acl.principalType] || 0;
+  if (acl.principalType === AccessControl.ROLE && acl.principalId in ROLE_SCORES) {
+    principalScore = ROLE_SCORES[acl.principalId];
+  }
+
+  return propertyScore * 100 + accessTypeScore * 10 + principalScore;
+}
+
+/*!
+ * `$owner`: the instance `modelId` belongs to the calling user, through
+ * the `ownerProperty` setting, a `belongsTo` relation or an `ownerId` or
+ * `userId` property.
+ */
+
+function isOwner(role, req) {
+  var userId = req.getUserId();
+  var Model = req.Model;
+  if (userId === undefined || req.modelId === undefined || !Model.findById) {
+    return false;
+  }
+
+  var keys = [];
+  if (Model.settings.ownerProperty) {
+    keys.push(Model.settings.ownerProperty);
+  } else {
+    _.forEach(Model.relations, function (relation) {
+      if (relation.type === 'belongsTo') {
+        keys.push(relation.keyFrom);
+      }
+    });
+    keys.push('ownerId', 'userId');
+  }
+
+  return Model.findById(req.modelId).then(function (inst) {
+    return Boolean(inst) && keys.some(function (key) {
+      return !_.isNil(inst[key]) && String(inst[key]) === String(userId);
+    });
+  });
+}
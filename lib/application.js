@@ -8,6 +8,8 @@ var classify = require('underscore.string/classify');
 var camelize = require('underscore.string/camelize');
 var path = require('path');
 var util = require('util');
+var createRestHandler = require('./rest');
+var createOpenAPIDocument = require('./openapi');
 
 /**
  * The `Application` object represents a Loopback application.
@@ -52,7 +54,8 @@ var app = module.exports = {};
  * @param {Object|String} Model The model to attach.
  * @param {Object} config The model's configuration.
  * @property {String|DataSource} dataSource The `DataSource` to which to attach the model.
- * @property {Boolean} [public] Whether the model should be exposed via REST API.
+ * @property {Boolean} [public] Whether the model should be exposed via REST API,
+ *   see `app.rest()`. Default `true`.
  * @property {Object} [relations] Relations to add/update.
  * @end
  * @returns {ModelConstructor} the model class
@@ -85,9 +88,11 @@ app.model = function(Model, config) {
     }
 
     configureModel(Model, config, this);
+    Model.shared = config.public !== false;
   } else {
     assert(Model.prototype instanceof Model.registry.getModel('Model'),
       Model.modelName + ' must be a descendant of loopline.Model');
+    Model.shared = true;
   }
 
   var modelName = Model.modelName;
@@ -102,6 +107,28 @@ app.model = function(Model, config) {
   return Model;
 };
 
+/**
+ * Remove the model from the app, it's no longer available via
+ * `app.models` and `app.models()`.
+ *
+ * @param {String} modelName The name of the model to remove.
+ */
+
+app.deleteModelByName = function (modelName) {
+  var ModelCtor = this.models[modelName];
+  delete this.models[modelName];
+  delete this.models[classify(modelName)];
+  delete this.models[camelize(modelName)];
+
+  if (ModelCtor) {
+    var models = this.models();
+    var ix = models.indexOf(ModelCtor);
+    if (ix > -1) {
+      models.splice(ix, 1);
+    }
+  }
+};
+
 /**
  * Get the models exported by the app. Returns only models defined using `app.model()`
  *
@@ -155,6 +182,65 @@ app.models = function() {
   return this._models || (this._models = []);
 };
 
+/**
+ * Create a `(req, res, [next])` handler exposing the public models of the
+ * app over REST, e.g. `Note` below its plural `/Notes`:
+ *
+ * - `GET /Notes?filter={"where":{...}}`, `POST /Notes`, `PUT` / `PATCH /Notes`
+ * - `GET /Notes/count?where={...}`, `GET /Notes/findOne?filter={...}`,
+ *   `POST /Notes/update?where={...}`
+ * - `GET`, `HEAD`, `PUT`, `PATCH`, `DELETE /Notes/:id`, `GET /Notes/:id/exists`
+ * - `GET`, `POST /Notes/:id/:relation`, `GET /Notes/:id/:relation/count`,
+ *   `GET`, `PUT`, `DELETE /Notes/:id/:relation/:fk`
+ * - remote methods of the model at their `http` verb and path, see
+ *   `SharedMethod`
+ *
+ * ```js
+ * http.createServer(app.rest()).listen(3000);
+ * expressApp.use('/api', app.rest());
+ * ```
+ *
+ * Model methods are called with the `accessToken` of the request, see
+ * `AccessControl`, from `req.accessToken`, the `access_token` query
+ * parameter or the `Authorization` header. Errors are sent as
+ * `{error: {statusCode, name, message, code, details}}`, e.g. `422` for
+ * validation errors and `404` for unknown ids. Unknown paths are passed
+ * to `next` when given.
+ *
+ * @returns {Function}
+ */
+
+app.rest = function () {
+  return createRestHandler(this);
+};
+
+/**
+ * Describe the REST API of `app.rest()` as an OpenAPI 3 document: the
+ * public models as component schemas without their hidden properties, a
+ * model with a `base` as `allOf` its base schema, and the paths of their
+ * CRUD, relation and remote methods.
+ *
+ * ```js
+ * fs.writeFileSync('openapi.json', JSON.stringify(app.openapi({
+ *   title: 'Notes API',
+ *   version: '1.2.0',
+ *   basePath: '/api'
+ * }), null, 2));
+ * ```
+ *
+ * @options {Object} [options]
+ * @property {String} [title] Default `'loopline'`.
+ * @property {String} [version] Default `'1.0.0'`.
+ * @property {String} [description]
+ * @property {String} [basePath] Where `app.rest()` is mounted, default `'/'`.
+ * @end
+ * @returns {Object}
+ */
+
+app.openapi = function (options) {
+  return createOpenAPIDocument(this, options);
+};
+
 /**
  * Define a DataSource.
  *
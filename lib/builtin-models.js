@@ -0,0 +1,56 @@
+'use strict';
+
+var _ = require('lodash');
+var AccessControl = require('./access-control');
+
+/**
+ * Define the built-in `User`, `AccessToken`, `Role`, `RoleMapping` and
+ * `ACL` models in `registry`, see `loopline(app, {localRegistry: true,
+ * loadBuiltinModels: true})`.
+ *
+ * The models are not attached to a data source, configure them in
+ * `model-config.json` like any other model. A model definition with the
+ * name of a built-in model adds properties, relations, ACLs and settings
+ * to it and its script customizes it.
+ *
+ * `Role` resolves the roles of ACL entries without a resolver of their
+ * own and the entries of `ACL` are checked together with the model ACLs,
+ * once these models are attached.
+ *
+ * @param {Registry} registry
+ */
+
+module.exports = function (registry) {
+  // keep the require() calls static, see `createApplication()`
+  var User = createModel(registry, require('./models/user.json'), require('./models/user.js'));
+  var AccessToken = createModel(registry, require('./models/access-token.json'),
+    require('./models/access-token.js'));
+  var Role = createModel(registry, require('./models/role.json'), require('./models/role.js'));
+  var RoleMapping = createModel(registry, require('./models/role-mapping.json'),
+    require('./models/role-mapping.js'));
+  var ACL = createModel(registry, require('./models/acl.json'), require('./models/acl.js'));
+
+  registry.builtinModels = {
+    User: User,
+    AccessToken: AccessToken,
+    Role: Role,
+    RoleMapping: RoleMapping,
+    ACL: ACL
+  };
+
+  registry.accessControl.registerResolver(AccessControl.ALL, function (role, req) {
+    return Role.dataSource ? Role.isInRole(role, req.principals) : false;
+  });
+  registry.accessControl.registerACLSource(function (Model) {
+    return ACL.dataSource ? ACL.findModelACLs(Model.modelName) : [];
+  });
+
+  return registry.builtinModels;
+};
+
+function createModel(registry, definition, customize) {
+  // definitions are shared by the registries of all apps
+  var Model = registry.createModel(_.cloneDeep(definition));
+  customize(Model);
+  return Model;
+}
@@ -0,0 +1,353 @@
+'use strict';
+
+var _ = require('lodash');
+var crypto = require('crypto');
+var utils = require('./utils');
+
+module.exports = function (registry) {
+  var PersistedModel = registry.getModel('PersistedModel');
+
+  /**
+   * The change log of a model with `trackChanges` enabled, one record per
+   * model instance. The log of `Customer` is the `CustomerChange` model,
+   * attached to the data source of `Customer`.
+   *
+   * `rev` is a hash of the instance data, `null` once the instance is
+   * deleted. Changes are grouped by checkpoint, `prev` holds the revision
+   * the instance had before the checkpoint of the change.
+   *
+   * @property {String} modelId The id of the changed instance.
+   * @property {String} rev The current revision.
+   * @property {String} prev The revision at the previous checkpoint.
+   * @property {Number} checkpoint The checkpoint of the last change.
+   *
+   * @class Change
+   * @inherits {PersistedModel}
+   */
+
+  var Change = PersistedModel.extend('Change', {
+    modelId: {type: 'string', id: true},
+    rev: 'string',
+    prev: 'string',
+    checkpoint: 'number'
+  }, {
+    idInjection: false
+  });
+
+  /**
+   * Compute the revision of a model instance.
+   *
+   * @param {Model} inst
+   * @returns {String}
+   */
+  Change.revisionForInst = function (inst) {
+    return crypto.createHash('sha1').update(stableStringify(inst.toObject(true))).digest('hex');
+  };
+
+  /**
+   * Get the checkpoint new changes are recorded in. The first checkpoint of
+   * a log follows the latest one found in it.
+   *
+   * @param {Function} [callback] Called with `(err, checkpoint)`.
+   * @returns {Promise.<Number>}
+   */
+  Change.currentCheckpoint = function (callback) {
+    var self = this;
+
+    if (!this._checkpoint) {
+      this._checkpoint = this.findOne({order: 'checkpoint DESC'}).then(function (latest) {
+        return {seq: (latest && latest.checkpoint || 0) + 1, used: false};
+      });
+      this._checkpoint.catch(function () {
+        self._checkpoint = null;
+      });
+    }
+
+    return utils.settle(this._checkpoint.then(function (state) {
+      return state.seq;
+    }), callback);
+  };
+
+  /**
+   * Close the current checkpoint when changes were recorded in it, so that
+   * later changes are told apart.
+   *
+   * @param {Function} [callback] Called with `(err, checkpoint)`.
+   * @returns {Promise.<Number>} The checkpoint new changes are recorded in.
+   */
+  Change.checkpoint = function (callback) {
+    var self = this;
+
+    return utils.settle(this.currentCheckpoint().then(function () {
+      return self._checkpoint;
+    }).then(function (state) {
+      if (state.used) {
+        state.seq++;
+        state.used = false;
+      }
+      return state.seq;
+    }), callback);
+  };
+
+  /**
+   * Update the changes of the given instances of the tracked model from
+   * their current data.
+   *
+   * @param {Array} ids Ids of the tracked model instances.
+   * @param {Object} [options] Options passed to the model operations.
+   * @returns {Promise}
+   */
+  Change.rectifyModelChanges = function (ids, options) {
+    var self = this;
+    var Model = this.trackedModel;
+    options = options || {};
+
+    return _.uniq(ids.map(String)).reduce(function (promise, modelId) {
+      return promise.then(function () {
+        return Promise.all([
+          Model.findById(modelId, {}, options),
+          self.findById(modelId, {}, options),
+          self.currentCheckpoint()
+        ]);
+      }).then(function (results) {
+        var rev = results[0] ? self.revisionForInst(results[0]) : null;
+        var change = results[1];
+
+        if (change && change.rev === rev) {
+          return;
+        }
+
+        return self._checkpoint.then(function (state) {
+          var prev = null;
+          if (change) {
+            // several changes within a checkpoint keep the revision before it
+            prev = change.checkpoint === state.seq ? change.prev : change.rev;
+          }
+
+          state.used = true;
+          return self.replaceOrCreate({
+            modelId: modelId,
+            rev: rev,
+            prev: prev,
+            checkpoint: state.seq
+          }, options);
+        });
+      });
+    }, Promise.resolve());
+  };
+
+  /**
+   * Update the changes of every instance of the tracked model, e.g. after
+   * enabling `trackChanges` for a model with data.
+   *
+   * @param {Object} [options] Options passed to the model operations.
+   * @returns {Promise}
+   */
+  Change.rectifyAll = function (options) {
+    var self = this;
+    var Model = this.trackedModel;
+    var idName = Model.definition.idName() || 'id';
+
+    return Promise.all([
+      Model.find({fields: [idName]}, options),
+      this.find({fields: ['modelId']}, options)
+    ]).then(function (results) {
+      var ids = _.map(results[0], idName).concat(_.map(results[1], 'modelId'));
+      return self.rectifyModelChanges(ids, options);
+    });
+  };
+
+  /**
+   * Compare changes of another model with this log.
+   *
+   * A remote change is a delta to apply when this log has no change for the
+   * instance or still has the revision the remote change started from. It
+   * is skipped when both revisions are equal or the local change started
+   * from the remote revision, and it conflicts otherwise.
+   *
+   * @param {Change[]} remoteChanges Changes of the source model.
+   * @param {Object} [options] Options passed to the model operations.
+   * @returns {Promise.<{deltas: Change[], conflicts: Change[]}>}
+   */
+  Change.diff = function (remoteChanges, options) {
+    var ids = _.map(remoteChanges, 'modelId');
+    var result = {deltas: [], conflicts: []};
+
+    if (!ids.length) {
+      return Promise.resolve(result);
+    }
+
+    return this.find({where: {modelId: {inq: ids}}}, options).then(function (localChanges) {
+      var local = _.keyBy(localChanges, 'modelId');
+
+      remoteChanges.forEach(function (remote) {
+        var change = local[remote.modelId];
+
+        if (!change || change.rev === remote.prev) {
+          result.deltas.push(remote);
+        } else if (change.rev !== remote.rev && change.prev !== remote.rev) {
+          result.conflicts.push(remote);
+        }
+      });
+
+      return result;
+    });
+  };
+
+  /**
+   * Get the type of the change.
+   *
+   * @returns {String} `'create'`, `'update'` or `'delete'`.
+   */
+  Change.prototype.type = function () {
+    if (!this.rev) {
+      return 'delete';
+    }
+    return this.prev ? 'update' : 'create';
+  };
+
+  /**
+   * A conflict found by `Model.replicate()`: the instance changed both in
+   * the source and the target model since the last replication.
+   *
+   * ```js
+   * Customer.replicate(since, RemoteCustomer).then(function(result) {
+   *   return Promise.all(result.conflicts.map(function(conflict) {
+   *     return conflict.resolveUsingSource();
+   *   }));
+   * });
+   * ```
+   *
+   * @param {String} modelId The id of the instance.
+   * @param {PersistedModel} SourceModel
+   * @param {PersistedModel} TargetModel
+   * @class Change.Conflict
+   */
+  function Conflict(modelId, SourceModel, TargetModel) {
+    this.modelId = modelId;
+    this.SourceModel = SourceModel;
+    this.TargetModel = TargetModel;
+  }
+
+  Change.Conflict = Conflict;
+
+  /**
+   * Get the source and target instances, `null` when deleted.
+   *
+   * @param {Function} [callback] Called with `(err, {source, target})`.
+   * @returns {Promise.<{source: Model, target: Model}>}
+   */
+  Conflict.prototype.models = function (callback) {
+    return utils.settle(Promise.all([
+      this.SourceModel.findById(this.modelId),
+      this.TargetModel.findById(this.modelId)
+    ]).then(function (results) {
+      return {source: results[0], target: results[1]};
+    }), callback);
+  };
+
+  /**
+   * Get the source and target changes.
+   *
+   * @param {Function} [callback] Called with `(err, {source, target})`.
+   * @returns {Promise.<{source: Change, target: Change}>}
+   */
+  Conflict.prototype.changes = function (callback) {
+    return utils.settle(Promise.all([
+      this.SourceModel.getChangeModel().findById(this.modelId),
+      this.TargetModel.getChangeModel().findById(this.modelId)
+    ]).then(function (results) {
+      return {source: results[0], target: results[1]};
+    }), callback);
+  };
+
+  /**
+   * Get the type of the conflict, `'delete'` when one side was deleted.
+   *
+   * @param {Function} [callback] Called with `(err, type)`.
+   * @returns {Promise.<String>} `'update'` or `'delete'`.
+   */
+  Conflict.prototype.type = function (callback) {
+    return utils.settle(this.changes().then(function (changes) {
+      var deleted = _.some(changes, function (change) {
+        return change && change.type() === 'delete';
+      });
+      return deleted ? 'delete' : 'update';
+    }), callback);
+  };
+
+  /**
+   * Resolve the conflict by copying the source instance to the target.
+   *
+   * @param {Function} [callback] Called with `(err)`.
+   * @returns {Promise}
+   */
+  Conflict.prototype.resolveUsingSource = function (callback) {
+    return utils.settle(copyInstance(this.SourceModel, this.TargetModel, this.modelId), callback);
+  };
+
+  /**
+   * Resolve the conflict by copying the target instance to the source.
+   *
+   * @param {Function} [callback] Called with `(err)`.
+   * @returns {Promise}
+   */
+  Conflict.prototype.resolveUsingTarget = function (callback) {
+    return utils.settle(copyInstance(this.TargetModel, this.SourceModel, this.modelId), callback);
+  };
+
+  /**
+   * Resolve the conflict by writing `data` to both the source and the
+   * target, `null` deletes the instance on both sides.
+   *
+   * @param {Object} data The resolved instance data.
+   * @param {Function} [callback] Called with `(err)`.
+   * @returns {Promise}
+   */
+  Conflict.prototype.resolveManually = function (data, callback) {
+    var modelId = this.modelId;
+
+    return utils.settle(Promise.all([this.SourceModel, this.TargetModel].map(function (Model) {
+      if (!data) {
+        return Model.deleteById(modelId);
+      }
+
+      var values = _.clone(data);
+      values[Model.definition.idName() || 'id'] = modelId;
+      return Model.replaceOrCreate(values);
+    })), callback);
+  };
+
+  /*!
+   * Make the target instance `modelId` a copy of the source one.
+   */
+  Change.copyInstance = copyInstance;
+
+  function copyInstance(SourceModel, TargetModel, modelId, options) {
+    options = options || {};
+
+    return SourceModel.findById(modelId, {}, options).then(function (inst) {
+      if (!inst) {
+        return TargetModel.deleteById(modelId, options);
+      }
+      // stored data, setters like the password hashing of `User` ran already
+      var copy = new TargetModel(inst.toObject(true), {applySetters: false});
+      return TargetModel.replaceOrCreate(copy, options);
+    });
+  }
+
+  function stableStringify(value) {
+    if (Array.isArray(value)) {
+      return '[' + value.map(stableStringify).join(',') + ']';
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      value = typeof value.toJSON === 'function' ? value.toJSON() : value;
+      return '{' + Object.keys(value).sort().map(function (key) {
+        return JSON.stringify(key) + ':' + stableStringify(value[key]);
+      }).join(',') + '}';
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  return Change;
+};
@@ -0,0 +1,825 @@
+'use strict';
+
+var _ = require('lodash');
+var fs = require('fs');
+var path = require('path');
+var toposort = require('toposort');
+var classify = require('underscore.string/classify');
+var camelize = require('underscore.string/camelize');
+var Module = require('module');
+var debug = require('debug')('loopline:compiler');
+var ConfigLoader = require('./config-loader');
+var validateModelDefinition = require('./definition-validator');
+var integrity = require('./integrity');
+var utils = require('./utils');
+
+var FILE_EXTENSION_JSON = '.json';
+
+/**
+ * Build loader instructions from the files in `options.root`.
+ *
+ * Instructions are a plain object that can be serialized to JSON:
+ *
+ *  - `env` the environment the config overrides were picked for
+ *  - `strict` whether unresolved model references and unimplemented remote
+ *    methods fail the execution
+ *  - `dataSources` data source configs keyed by name
+ *  - `models` model instructions `{name, config, definition, sourceFile}`
+ *    sorted by inheritance
+ *  - `mixins` mixin instructions `{name, sourceFile, ...metadata}`
+ *  - `bootScripts` absolute paths of boot scripts in execution order
+ *  - `migrations` settings of `app.migrate`, `{dir, dataSource}`
+ *
+ * @param {Object} options Normalized loader options.
+ * @returns {Object} The instructions.
+ */
+exports.compile = function (options) {
+  var modelsConfig = options.models || ConfigLoader.loadModels(options.root, options.env);
+  var modelsMeta = modelsConfig && modelsConfig._meta || {};
+  var modelInstructions = loadModelInstructions(options.root, modelsConfig, modelsMeta, options);
+
+  return {
+    env: options.env,
+    strict: options.strict !== false,
+    dataSources: options.dataSources || ConfigLoader.loadDataSources(options.root, options.env),
+    models: modelInstructions,
+    mixins: loadMixinInstructions(options.root, modelInstructions, modelsMeta, options),
+    bootScripts: findBootScripts(options.root, options),
+    migrations: getMigrationSettings(options)
+  };
+};
+
+/**
+ * Asynchronous variant of `compile()`.
+ *
+ * @param {Object} options Normalized loader options.
+ * @returns {Promise} Resolves with the instructions.
+ */
+exports.compileAsync = function (options) {
+  return Promise.all([
+    options.models || ConfigLoader.loadModelsAsync(options.root, options.env),
+    options.dataSources || ConfigLoader.loadDataSourcesAsync(options.root, options.env)
+  ]).then(function (configs) {
+    var modelsConfig = configs[0];
+    var modelsMeta = modelsConfig && modelsConfig._meta || {};
+
+    return loadModelInstructionsAsync(options.root, modelsConfig, modelsMeta, options)
+      .then(function (modelInstructions) {
+        return Promise.all([
+          loadMixinInstructionsAsync(options.root, modelInstructions, modelsMeta, options),
+          findBootScriptsAsync(options.root, options)
+        ]).then(function (results) {
+          return {
+            env: options.env,
+            strict: options.strict !== false,
+            dataSources: configs[1],
+            models: modelInstructions,
+            mixins: results[0],
+            bootScripts: results[1],
+            migrations: getMigrationSettings(options)
+          };
+        });
+      });
+  });
+};
+
+// ---------------------------------------------
+// Migrations
+// ---------------------------------------------
+
+function getMigrationSettings(options) {
+  var migrations = options.migrations || {};
+  var result = {dir: path.resolve(options.root, migrations.dir || './migrations')};
+  if (migrations.dataSource) {
+    result.dataSource = migrations.dataSource;
+  }
+  return result;
+}
+
+// ---------------------------------------------
+// Models
+// ---------------------------------------------
+
+function getModelSources(modelsMeta, options) {
+  return options.sources || modelsMeta.sources || ['./models'];
+}
+
+function loadModelInstructions(root, modelsConfig, modelsMeta, options) {
+  var registry = verifyModelDefinitions(root, options.modelDefinitions) ||
+    findModelDefinitions(root, getModelSources(modelsMeta, options), options.env);
+  return buildAllModelInstructions(registry, modelsConfig, options);
+}
+
+function loadModelInstructionsAsync(root, modelsConfig, modelsMeta, options) {
+  var modelDefinitions = options.modelDefinitions;
+  var registry = modelDefinitions && modelDefinitions.length ?
+    verifyModelDefinitionsAsync(root, modelDefinitions) :
+    findModelDefinitionsAsync(root, getModelSources(modelsMeta, options), options.env);
+
+  return registry.then(function (registry) {
+    return buildAllModelInstructions(registry, modelsConfig, options);
+  });
+}
+
+function buildAllModelInstructions(registry, modelsConfig, options) {
+  if (modelsConfig) {
+    modelsConfig = _.omit(modelsConfig, '_meta');
+  }
+
+  var modelNamesToBuild = addAllBaseModels(registry, Object.keys(modelsConfig || registry));
+
+  validateModelDefinitions(options.root, modelNamesToBuild.map(function (name) {
+    return registry[name];
+  }).filter(Boolean), options);
+
+  var instructions = modelNamesToBuild.map(function createModelInstructions(name) {
+    var config = modelsConfig ? modelsConfig[name] : {dataSource: options.dataSouce};
+    var definition = registry[name] || {};
+
+    debug('Using model "%s"\nConfiguration: %j\nDefinition %j', name, config, definition.definition);
+
+    return {
+      name: name,
+      config: config,
+      definition: definition.definition,
+      definitionFile: definition.definitionFile,
+      sourceFile: definition.sourceFile
+    };
+  });
+
+  return sortByInheritance(options.root, instructions);
+}
+
+function validateModelDefinitions(rootDir, entries, options) {
+  var modelNames = entries.map(function (entry) {
+    return entry.definition.name;
+  });
+  var problems = [];
+
+  entries.forEach(function (entry) {
+    var file = entry.definitionFile ?
+      path.relative(rootDir, entry.definitionFile) : 'options.modelDefinitions';
+
+    validateModelDefinition(entry.definition, {modelNames: modelNames}).forEach(function (issue) {
+      problems.push({file: file, path: issue.path, message: issue.message});
+    });
+  });
+
+  if (!problems.length) {
+    return;
+  }
+
+  var err = new Error('Invalid model definitions:\n' + problems.map(function (p) {
+    return '  ' + p.file + ': ' + p.path + ' ' + p.message;
+  }).join('\n'));
+  err.code = 'INVALID_MODEL_DEFINITION';
+  err.details = problems;
+
+  if (options.strict === false) {
+    console.warn('WARNING: %s', err.message);
+    return;
+  }
+  throw err;
+}
+
+function verifyModelDefinitions(rootDir, modelDefinitions) {
+  if (!modelDefinitions || modelDefinitions.length < 1) {
+    return undefined;
+  }
+
+  modelDefinitions.forEach(function (definition) {
+    if (!definition.sourceFile) {
+      return;
+    }
+
+    var fullPath = path.resolve(rootDir, definition.sourceFile);
+    definition.sourceFile = fixFileExtension(
+      fullPath,
+      tryReadDir(path.dirname(fullPath)),
+      true);
+    if (!definition.sourceFile) {
+      debug('Model source code not found: %s', fullPath);
+    }
+  });
+
+  return registerModelDefinitions(rootDir, modelDefinitions);
+}
+
+function verifyModelDefinitionsAsync(rootDir, modelDefinitions) {
+  return Promise.all(modelDefinitions.map(function (definition) {
+    if (!definition.sourceFile) {
+      return undefined;
+    }
+
+    var fullPath = path.resolve(rootDir, definition.sourceFile);
+    return utils.readDir(path.dirname(fullPath))
+      .then(function (files) {
+        return fixFileExtensionAsync(fullPath, files, true);
+      })
+      .then(function (sourceFile) {
+        definition.sourceFile = sourceFile;
+        if (!sourceFile) {
+          debug('Model source code not found: %s', fullPath);
+        }
+      });
+  })).then(function () {
+    return registerModelDefinitions(rootDir, modelDefinitions);
+  });
+}
+
+function registerModelDefinitions(rootDir, modelDefinitions) {
+  var registry = {};
+  modelDefinitions.forEach(function (definition, idx) {
+    debug('Found model "%s" - %s %s', definition.definition.name, 'from options',
+      definition.sourceFile ? path.relative(rootDir, definition.sourceFile) : '(no source file)');
+
+    var modelName = definition.definition.name;
+    if (!modelName) {
+      debug('Skipping model definition without Model name ' +
+        '(from options.modelDefinitions @ index %s)',
+        idx);
+      return;
+    }
+    registry[modelName] = definition;
+  });
+
+  return registry;
+}
+
+function findModelDefinitions(rootDir, sources, env) {
+  var registry = {};
+
+  sources.forEach(function (src) {
+    var srcDir = resolveSourceDir(rootDir, src, 'model');
+    if (!srcDir) {
+      return;
+    }
+
+    var files = tryReadDir(srcDir);
+
+    files
+      .filter(isModelDefinitionFile)
+      .forEach(function (f) {
+        var fullPath = path.resolve(srcDir, f);
+        var entry = loadModelDefinition(rootDir, fullPath, files, env);
+        registerModelDefinition(registry, srcDir, fullPath, entry);
+      });
+  });
+
+  return registry;
+}
+
+function findModelDefinitionsAsync(rootDir, sources, env) {
+  var registry = {};
+
+  // sources are processed in order, later definitions win
+  return sources.reduce(function (promise, src) {
+    return promise.then(function () {
+      var srcDir = resolveSourceDir(rootDir, src, 'model');
+      if (!srcDir) {
+        return;
+      }
+
+      return utils.readDir(srcDir).then(function (files) {
+        return loadModelDirAsync(rootDir, srcDir, files, env);
+      }).then(function (entries) {
+        _.forEach(entries, function (entry, file) {
+          registerModelDefinition(registry, srcDir, file, entry);
+        });
+      });
+    });
+  }, Promise.resolve()).then(function () {
+    return registry;
+  });
+}
+
+/*!
+ * Load the model definitions among `files` of `srcDir`, keyed by path.
+ */
+
+function loadModelDirAsync(rootDir, srcDir, files, env) {
+  var jsonFiles = files.filter(isModelDefinitionFile).map(function (f) {
+    return path.resolve(srcDir, f);
+  });
+
+  return Promise.all(jsonFiles.map(function (file) {
+    return loadModelDefinitionAsync(rootDir, file, files, env);
+  })).then(function (entries) {
+    return _.zipObject(jsonFiles, entries);
+  });
+}
+
+function resolveSourceDir(rootDir, src, kind) {
+  var srcDir = tryResolveAppPath(rootDir, src, {strict: false});
+  if (!srcDir) {
+    debug('Skipping unknown %s source dir %j', kind, src);
+  }
+  return srcDir;
+}
+
+function isModelDefinitionFile(f) {
+  return f[0] !== '_' && path.extname(f) === '.json' && !isOverrideFile(f);
+}
+
+function registerModelDefinition(registry, srcDir, fullPath, entry) {
+  var modelName = entry.definition.name;
+  if (!modelName) {
+    debug('Skipping model definition without Model name: %s',
+      path.relative(srcDir, fullPath));
+    return;
+  }
+  registry[modelName] = entry;
+}
+
+// `customer.production.json` or `customer.local.json` override `customer.json`
+function isOverrideFile(filename) {
+  return path.basename(filename, path.extname(filename)).indexOf('.') !== -1;
+}
+
+function loadModelDefinition(rootDir, jsonFile, allFiles, env) {
+  var basename = path.basename(jsonFile, path.extname(jsonFile));
+  var definition = ConfigLoader.loadModelDefinition(path.dirname(jsonFile), basename, env);
+
+  // find a matching file with a supported extension like `.js` or `.coffee`
+  var sourceFile = fixFileExtension(jsonFile, allFiles, true);
+
+  return createModelDefinitionEntry(rootDir, jsonFile, definition, sourceFile);
+}
+
+function loadModelDefinitionAsync(rootDir, jsonFile, allFiles, env) {
+  var basename = path.basename(jsonFile, path.extname(jsonFile));
+
+  return Promise.all([
+    ConfigLoader.loadModelDefinitionAsync(path.dirname(jsonFile), basename, env),
+    fixFileExtensionAsync(jsonFile, allFiles, true)
+  ]).then(function (results) {
+    return createModelDefinitionEntry(rootDir, jsonFile, results[0], results[1]);
+  });
+}
+
+function createModelDefinitionEntry(rootDir, jsonFile, definition, sourceFile) {
+  var basename = path.basename(jsonFile, path.extname(jsonFile));
+  definition.name = definition.name || _.capitalize(_.camelCase(basename));
+
+  if (sourceFile === undefined) {
+    debug('Model source code not found: %s', jsonFile);
+  }
+
+  debug('Found model "%s" - %s %s', definition.name, path.relative(rootDir, jsonFile),
+    sourceFile ? path.relative(rootDir, sourceFile) : '(no source file)');
+
+  return {
+    definition: definition,
+    definitionFile: jsonFile,
+    sourceFile: sourceFile
+  };
+}
+
+// ---------------------------------------------
+// Mixins
+// ---------------------------------------------
+
+function getMixinSources(modelsMeta, options) {
+  return options.mixinSources || modelsMeta.mixins || ['./mixins'];
+}
+
+function loadMixinInstructions(root, modelInstructions, modelsMeta, options) {
+  var registry = findMixinDefinitions(root, getMixinSources(modelsMeta, options), options.normalization);
+  return buildAllMixinInstructions(registry, modelInstructions);
+}
+
+function loadMixinInstructionsAsync(root, modelInstructions, modelsMeta, options) {
+  var sources = getMixinSources(modelsMeta, options);
+  return findMixinDefinitionsAsync(root, sources, options.normalization).then(function (registry) {
+    return buildAllMixinInstructions(registry, modelInstructions);
+  });
+}
+
+function buildAllMixinInstructions(registry, modelInstructions) {
+  var referenced = findReferencedMixins(modelInstructions);
+
+  return Object.keys(registry)
+    .filter(function (name) {
+      if (referenced[name]) {
+        return true;
+      }
+      debug('Skipping mixin "%s" - not used by any model', name);
+      return false;
+    })
+    .map(function (name) {
+      return registry[name];
+    });
+}
+
+function findReferencedMixins(modelInstructions) {
+  var referenced = {};
+
+  modelInstructions.forEach(function (inst) {
+    var mixins = inst.definition && inst.definition.mixins;
+    if (!mixins || typeof mixins !== 'object') {
+      return;
+    }
+
+    Object.keys(mixins).forEach(function (name) {
+      referenced[name] = true;
+    });
+  });
+
+  return referenced;
+}
+
+function findMixinDefinitions(rootDir, sources, normalization) {
+  var registry = {};
+
+  sources.forEach(function (src) {
+    var srcDir = resolveSourceDir(rootDir, src, 'mixin');
+    if (!srcDir) {
+      return;
+    }
+
+    tryReadDir(srcDir)
+      .filter(isScriptFile)
+      .forEach(function (f) {
+        var entry = loadMixinDefinition(path.resolve(srcDir, f), normalization);
+        registerMixinDefinition(registry, rootDir, entry);
+      });
+  });
+
+  return registry;
+}
+
+function findMixinDefinitionsAsync(rootDir, sources, normalization) {
+  var registry = {};
+
+  return sources.reduce(function (promise, src) {
+    return promise.then(function () {
+      var srcDir = resolveSourceDir(rootDir, src, 'mixin');
+      if (!srcDir) {
+        return;
+      }
+
+      return utils.readDir(srcDir).then(function (files) {
+        return Promise.all(files.filter(isScriptFile).map(function (f) {
+          return loadMixinDefinitionAsync(path.resolve(srcDir, f), normalization);
+        }));
+      }).then(function (entries) {
+        entries.forEach(function (entry) {
+          registerMixinDefinition(registry, rootDir, entry);
+        });
+      });
+    });
+  }, Promise.resolve()).then(function () {
+    return registry;
+  });
+}
+
+function registerMixinDefinition(registry, rootDir, entry) {
+  debug('Found mixin "%s" - %s', entry.name, path.relative(rootDir, entry.sourceFile));
+  registry[entry.name] = entry;
+}
+
+function getMixinMetaFile(sourceFile) {
+  var basename = path.basename(sourceFile, path.extname(sourceFile));
+  return path.join(path.dirname(sourceFile), basename + FILE_EXTENSION_JSON);
+}
+
+function loadMixinDefinition(sourceFile, normalization) {
+  var metaFile = getMixinMetaFile(sourceFile);
+  var metadata = fs.existsSync(metaFile) ? require(metaFile) : undefined;
+  return createMixinMeta(sourceFile, normalization, metadata);
+}
+
+function loadMixinDefinitionAsync(sourceFile, normalization) {
+  var metaFile = getMixinMetaFile(sourceFile);
+  return utils.fileExists(metaFile).then(function (exists) {
+    return exists ? utils.readJson(metaFile) : undefined;
+  }).then(function (metadata) {
+    return createMixinMeta(sourceFile, normalization, metadata);
+  });
+}
+
+function createMixinMeta(sourceFile, normalization, metadata) {
+  var basename = path.basename(sourceFile, path.extname(sourceFile));
+  var meta = {name: normalizeMixinName(basename, normalization)};
+
+  // metadata may override the name, but never the source file
+  _.assign(meta, metadata);
+  meta.sourceFile = sourceFile;
+
+  return meta;
+}
+
+function normalizeMixinName(name, normalization) {
+  switch (normalization) {
+    case false:
+    case 'none':
+      return name;
+    case undefined:
+    case 'classify':
+      return classify(name);
+    case 'camelize':
+      return camelize(name);
+    default:
+      if (typeof normalization === 'function') {
+        return normalization(name);
+      }
+      var err = new Error('Invalid mixin name normalization "' + normalization + '"');
+      err.code = 'INVALID_NORMALIZATION_FORMAT';
+      throw err;
+  }
+}
+
+// ---------------------------------------------
+// Boot scripts
+// ---------------------------------------------
+
+function findBootScripts(rootDir, options) {
+  var scripts = [];
+
+  (options.bootDirs || ['./boot']).forEach(function (dir) {
+    var fullPath = resolveSourceDir(rootDir, dir, 'boot');
+    if (!fullPath) {
+      return;
+    }
+
+    scripts = scripts.concat(listBootScripts(fullPath, tryReadDir(fullPath)));
+  });
+
+  return _.uniq(scripts.concat(resolveBootScripts(rootDir, options)));
+}
+
+function findBootScriptsAsync(rootDir, options) {
+  var dirs = (options.bootDirs || ['./boot']).map(function (dir) {
+    var fullPath = resolveSourceDir(rootDir, dir, 'boot');
+    if (!fullPath) {
+      return [];
+    }
+
+    return utils.readDir(fullPath).then(function (files) {
+      return listBootScripts(fullPath, files);
+    });
+  });
+
+  return Promise.all(dirs).then(function (lists) {
+    var scripts = _.flatten(lists);
+    return _.uniq(scripts.concat(resolveBootScripts(rootDir, options)));
+  });
+}
+
+function listBootScripts(dir, files) {
+  return files
+    .filter(isScriptFile)
+    .sort()
+    .map(function (f) {
+      return path.resolve(dir, f);
+    });
+}
+
+function resolveBootScripts(rootDir, options) {
+  return (options.bootScripts || []).map(function (file) {
+    var fullPath = tryResolveAppPath(rootDir, file);
+    if (!fullPath) {
+      throw new Error('Cannot resolve boot script ' + JSON.stringify(file));
+    }
+    return fullPath;
+  });
+}
+
+// ---------------------------------------------
+//
+// ---------------------------------------------
+
+function tryReadDir() {
+  try {
+    return fs.readdirSync.apply(fs, arguments);
+  } catch (e) {
+    return [];
+  }
+}
+
+function getExcludedExtensions() {
+  return {
+    '.json': '.json',
+    '.node': 'node'
+  };
+}
+
+function isPreferredExtension(filename) {
+  var includeExtensions = require.extensions;
+
+  var ext = path.extname(filename);
+  return (ext in includeExtensions) && !(ext in getExcludedExtensions());
+}
+
+function isScriptFile(filename) {
+  return filename[0] !== '_' && isPreferredExtension(filename);
+}
+
+function fixFileExtension(filepath, files, onlyScriptsExportingFunction) {
+  /* Prefer coffee scripts over json */
+  if (isPreferredExtension(filepath)) {
+    return filepath;
+  }
+
+  return _.find(sourceFileCandidates(filepath, files, onlyScriptsExportingFunction), function (f) {
+    return fs.statSync(f).isFile();
+  });
+}
+
+function fixFileExtensionAsync(filepath, files, onlyScriptsExportingFunction) {
+  if (isPreferredExtension(filepath)) {
+    return Promise.resolve(filepath);
+  }
+
+  return utils.findFirst(
+    sourceFileCandidates(filepath, files, onlyScriptsExportingFunction),
+    utils.isFile);
+}
+
+function sourceFileCandidates(filepath, files, onlyScriptsExportingFunction) {
+  var basename = path.basename(filepath, FILE_EXTENSION_JSON);
+  var sourceDir = path.dirname(filepath);
+
+  return files
+    .filter(function (f) {
+      var otherFileExtension = path.extname(f);
+
+      if ((otherFileExtension in getExcludedExtensions()) ||
+        path.basename(f, otherFileExtension) !== basename) {
+        return false;
+      }
+      return !onlyScriptsExportingFunction ||
+        (typeof require.extensions[otherFileExtension]) === 'function';
+    })
+    .map(function (f) {
+      return path.resolve(sourceDir, f);
+    });
+}
+
+function addAllBaseModels(registry, modelNames) {
+  var result = [];
+  var visited = {};
+
+  while (modelNames.length) {
+    var name = modelNames.shift();
+
+    if (visited[name]) {
+      continue;
+    }
+    visited[name] = true;
+    result.push(name);
+
+    var definition = registry[name] && registry[name].definition;
+    if (!definition) {
+      continue;
+    }
+
+    var base = getBaseModelName(definition);
+
+    // ignore built-in models like User
+    if (!registry[base]) {
+      continue;
+    }
+
+    modelNames.push(base);
+  }
+
+  return result;
+}
+
+function getBaseModelName(modelDefinition) {
+  if (!modelDefinition) {
+    return undefined;
+  }
+
+  return modelDefinition.base || modelDefinition.options && modelDefinition.options.base;
+}
+
+/**
+ * Sort model instructions so that base models come before the models
+ * extending them. Bases without instructions, e.g. `PersistedModel`, are
+ * left out.
+ *
+ * @param {String} rootDir The app root, used in error messages.
+ * @param {Object[]} instructions Model instructions `{name, definition}`.
+ * @returns {Object[]} The sorted instructions.
+ * @throws {Error} An `INHERITANCE_CYCLE` error for circular inheritance.
+ */
+exports.sortByInheritance = sortByInheritance;
+
+function sortByInheritance(rootDir, instructions) {
+  assertNoInheritanceCycles(rootDir, instructions);
+
+  // create edges Base name -> Model name
+  var edges = instructions
+    .map(function (inst) {
+      return [getBaseModelName(inst.definition), inst.name];
+    });
+
+  var sortedNames = toposort(edges);
+
+  var instructionsByModelName = {};
+  instructions.forEach(function (inst) {
+    instructionsByModelName[inst.name] = inst;
+  });
+
+  return sortedNames
+  // convert to instructions
+    .map(function (name) {
+      return instructionsByModelName[name];
+    })
+    // remove built-in models
+    .filter(function (inst) {
+      return Boolean(inst);
+    });
+}
+
+function assertNoInheritanceCycles(rootDir, instructions) {
+  var cycles = integrity.findInheritanceCycles(instructions, getBaseModelName);
+  if (!cycles.length) {
+    return;
+  }
+
+  var err = new Error('Circular model inheritance:\n' + cycles.map(function (cycle) {
+    return '  ' + cycle.map(function (inst) {
+      return inst.definitionFile ?
+        inst.name + ' (' + path.relative(rootDir, inst.definitionFile) + ')' : inst.name;
+    }).join(' -> ');
+  }).join('\n'));
+  err.code = 'INHERITANCE_CYCLE';
+  err.details = cycles.map(function (cycle) {
+    return _.map(cycle, 'name');
+  });
+  throw err;
+}
+
+function tryResolveAppPath(rootDir, relativePath, resolveOptions) {
+  var fullPath;
+  var start = relativePath.substring(0, 2);
+
+  /* In order to retain backward compatibility, we need to support
+   * two ways how to treat values that are not relative nor absolute
+   * path (e.g. `relativePath = 'foobar'`)
+   *  - `resolveOptions.strict = true` searches in `node_modules` only
+   *  - `resolveOptions.strict = false` attempts to resolve the value
+   *     as a relative path first before searching `node_modules`
+   */
+  resolveOptions = resolveOptions || {strict: true};
+
+  var isModuleRelative = false;
+  if (relativePath[0] === '/') {
+    fullPath = relativePath;
+  } else if (start === './' || start === '..') {
+    fullPath = path.resolve(rootDir, relativePath);
+  } else if (!resolveOptions.strict) {
+    isModuleRelative = true;
+    fullPath = path.resolve(rootDir, relativePath);
+  }
+
+  if (fullPath) {
+    // This check is needed to support paths pointing to a directory
+    if (fs.existsSync(fullPath)) {
+      return fullPath;
+    }
+
+    try {
+      fullPath = require.resolve(fullPath);
+      return fullPath;
+    } catch (err) {
+      if (!isModuleRelative) {
+        debug('Skipping %s - %s', fullPath, err);
+        return undefined;
+      }
+    }
+  }
+
+  // Handle module-relative path, e.g. `loopback/common/models`
+
+  // Module.globalPaths is a list of globally configured paths like
+  //   [ env.NODE_PATH values, $HOME/.node_modules, etc. ]
+  // Module._nodeModulePaths(rootDir) returns a list of paths like
+  //   [ rootDir/node_modules, rootDir/../node_modules, etc. ]
+  var modulePaths = Module.globalPaths
+    .concat(Module._nodeModulePaths(rootDir));
+
+  var candidate = _.find(modulePaths.map(function (candidateDir) {
+    var absPath = path.join(candidateDir, relativePath);
+    try {
+      return {path: require.resolve(absPath), unresolvedPath: absPath};
+    } catch (err) {
+      return {path: absPath};
+    }
+  }), function (resolved) {
+    return fs.existsSync(resolved.path);
+  });
+
+  if (candidate) {
+    if (candidate.unresolvedPath && resolveOptions.fullResolve === false) {
+      return candidate.unresolvedPath;
+    }
+    return candidate.path;
+  }
+
+  debug('Skipping %s - module not found', fullPath);
+  return undefined;
+}
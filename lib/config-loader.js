@@ -0,0 +1,282 @@
+'use strict';
+
+var _ = require('lodash');
+var fs = require('fs');
+var path = require('path');
+var debug = require('debug')('loopline:config-loader');
+var utils = require('./utils');
+
+/**
+ * Load data source definitions from `{rootDir}/datasources.json`, apply
+ * `datasources.{env}.json` and `datasources.local.{js|json}` overrides.
+ *
+ * @param {String} rootDir Directory where to look for the files.
+ * @param {String} env Environment, usually `process.env.NODE_ENV`.
+ * @returns {Object} Data source definitions keyed by the data source name.
+ */
+exports.loadDataSources = function (rootDir, env) {
+  return loadNamed(rootDir, env, 'datasources', mergeDataSourceConfig);
+};
+
+/**
+ * Load model config from `{rootDir}/model-config.json`, apply
+ * `model-config.{env}.json` and `model-config.local.{js|json}` overrides.
+ *
+ * @param {String} rootDir Directory where to look for the files.
+ * @param {String} env Environment, usually `process.env.NODE_ENV`.
+ * @returns {Object} Model configs keyed by the model name, `_meta` included.
+ */
+exports.loadModels = function (rootDir, env) {
+  return loadNamed(rootDir, env, 'model-config', mergeModelConfig);
+};
+
+/**
+ * Load a model definition from `{dir}/{name}.json`, apply
+ * `{name}.{env}.json` and `{name}.local.{js|json}` overrides.
+ *
+ * @param {String} dir Directory containing the model definition.
+ * @param {String} name The file name without extension, e.g. `customer`.
+ * @param {String} env Environment, usually `process.env.NODE_ENV`.
+ * @returns {Object|undefined} The model definition.
+ */
+exports.loadModelDefinition = function (dir, name, env) {
+  return loadNamed(dir, env, name, mergeObjects);
+};
+
+/**
+ * Asynchronous variant of `loadDataSources()`.
+ *
+ * @param {String} rootDir
+ * @param {String} env
+ * @returns {Promise.<Object>}
+ */
+exports.loadDataSourcesAsync = function (rootDir, env) {
+  return loadNamedAsync(rootDir, env, 'datasources', mergeDataSourceConfig);
+};
+
+/**
+ * Asynchronous variant of `loadModels()`.
+ *
+ * @param {String} rootDir
+ * @param {String} env
+ * @returns {Promise.<Object>}
+ */
+exports.loadModelsAsync = function (rootDir, env) {
+  return loadNamedAsync(rootDir, env, 'model-config', mergeModelConfig);
+};
+
+/**
+ * Asynchronous variant of `loadModelDefinition()`.
+ *
+ * @param {String} dir
+ * @param {String} name
+ * @param {String} env
+ * @returns {Promise.<Object>}
+ */
+exports.loadModelDefinitionAsync = function (dir, name, env) {
+  return loadNamedAsync(dir, env, name, mergeObjects);
+};
+
+/**
+ * Merge `source` into `target` using the rules applied to all config
+ * overrides:
+ *
+ *  - plain objects are merged recursively, e.g. `properties` and
+ *    `relations` are merged by name
+ *  - `acls` arrays are merged by `property`, `accessType`, `principalType`
+ *    and `principalId`, a matching entry is replaced, others are appended
+ *  - other arrays and scalar values are overridden
+ *
+ * ```js
+ * loopline.mergeConfig(
+ *   {relations: {orders: {type: 'hasMany', model: 'Order'}}},
+ *   {relations: {orders: {foreignKey: 'buyerId'}}}
+ * );
+ * // => {relations: {orders: {type: 'hasMany', model: 'Order', foreignKey: 'buyerId'}}}
+ * ```
+ *
+ * @param {Object} target The object to merge into, it's modified in place.
+ * @param {Object} source The overrides.
+ * @returns {Object} The `target` object.
+ */
+exports.merge = mergeObjects;
+
+/*!
+ * Load named configuration.
+ * @param {String} rootDir Directory where to look for files.
+ * @param {String} env Environment, usually `process.env.NODE_ENV`
+ * @param {String} name
+ * @param {function(target:Object, config:Object, filename:String)} mergeFn
+ * @returns {Object|undefined} `undefined` when there is no base config file.
+ */
+function loadNamed(rootDir, env, name, mergeFn) {
+  var files = selectConfigFiles(name, configFileCandidates(rootDir, env, name).map(function (group) {
+    return _.find(group, function (file) {
+      return fs.existsSync(file);
+    });
+  }));
+  if (!files.length) {
+    return undefined;
+  }
+
+  logConfigFiles(env, name, files);
+  var configs = files.map(function (f) {
+    return withFilename(require(f), f);
+  });
+  return mergeConfigurations(configs, mergeFn);
+}
+
+/*!
+ * Asynchronous variant of `loadNamed()`, JSON files are read with `fs.readFile`.
+ * @returns {Promise.<Object|undefined>}
+ */
+function loadNamedAsync(rootDir, env, name, mergeFn) {
+  var groups = configFileCandidates(rootDir, env, name).map(function (group) {
+    return utils.findFirst(group, utils.fileExists);
+  });
+
+  return Promise.all(groups).then(function (found) {
+    var files = selectConfigFiles(name, found);
+    if (!files.length) {
+      return undefined;
+    }
+
+    logConfigFiles(env, name, files);
+    return Promise.all(files.map(function (f) {
+      var config = path.extname(f) === '.json' ? utils.readJson(f) : require(f);
+      return Promise.resolve(config).then(function (config) {
+        return withFilename(config, f);
+      });
+    })).then(function (configs) {
+      return mergeConfigurations(configs, mergeFn);
+    });
+  });
+}
+
+/*!
+ * List candidate files containing configuration for `name`, grouped by
+ * precedence: the base file, `{env}` overrides, `local` overrides.
+ * @param {String} rootDir
+ * @param {String} env Environment, usually `process.env.NODE_ENV`
+ * @param {String} name
+ * @returns {Array.<Array.<String>>}
+ */
+function configFileCandidates(rootDir, env, name) {
+  return [
+    [name + '.json'],
+    [name + '.' + env + '.js', name + '.' + env + '.json'],
+    [name + '.local.js', name + '.local.json']
+  ].map(function (group) {
+    return group.map(function (fileName) {
+      return path.resolve(rootDir, fileName);
+    });
+  });
+}
+
+/*!
+ * Pick the config files to load from the existing candidates.
+ * @param {String} name
+ * @param {Array.<String|undefined>} found The existing file of each group.
+ * @returns {Array.<String>} Array of absolute file paths, the base file first.
+ */
+function selectConfigFiles(name, found) {
+  var master = found[0];
+  var overrides = found.slice(1).filter(Boolean);
+
+  if (!master) {
+    if (overrides.length) {
+      console.warn('WARNING: Main config file "%s.json" is missing', name);
+    }
+    return [];
+  }
+
+  return [master].concat(overrides);
+}
+
+function logConfigFiles(env, name, files) {
+  debug('found %s %s files', env, name);
+  files.forEach(function (f) {
+    debug('  %s', f);
+  });
+}
+
+/*!
+ * Copy the loaded configuration and attach non-enumerable `_filename`.
+ * @param {Object} config
+ * @param {String} file
+ * @returns {Object}
+ */
+function withFilename(config, file) {
+  config = _.cloneDeep(config);
+  Object.defineProperty(config, '_filename', {
+    enumerable: false,
+    value: file
+  });
+  return config;
+}
+
+/*!
+ * Merge multiple configuration objects into a single one.
+ * @param {Array.<Object>} configObjects
+ * @param {function(target:Object, config:Object, filename:String)} mergeFn
+ */
+function mergeConfigurations(configObjects, mergeFn) {
+  var result = configObjects.shift() || {};
+  while (configObjects.length) {
+    var next = configObjects.shift();
+    mergeFn(result, next, next._filename);
+  }
+  return result;
+}
+
+function mergeDataSourceConfig(target, config, fileName) {
+  mergeEntries(target, config, fileName, 'data source');
+}
+
+function mergeModelConfig(target, config, fileName) {
+  mergeEntries(target, config, fileName, 'model');
+}
+
+function mergeEntries(target, config, fileName, kind) {
+  Object.keys(config).forEach(function (name) {
+    var overrides = config[name];
+    if (!_.isPlainObject(overrides)) {
+      throw new Error('Cannot apply ' + fileName + ': the config of ' + kind + ' "' +
+        name + '" must be an object');
+    }
+    target[name] = mergeObjects(target[name] || {}, overrides);
+  });
+}
+
+function mergeObjects(target, source) {
+  Object.keys(source).forEach(function (key) {
+    var value = source[key];
+    if (key === 'acls' && Array.isArray(target[key]) && Array.isArray(value)) {
+      target[key] = mergeAcls(target[key], value);
+    } else if (_.isPlainObject(target[key]) && _.isPlainObject(value)) {
+      mergeObjects(target[key], value);
+    } else {
+      target[key] = _.cloneDeep(value);
+    }
+  });
+  return target;
+}
+
+function mergeAcls(target, source) {
+  var result = target.slice();
+  source.forEach(function (acl) {
+    var index = _.findIndex(result, function (item) {
+      // the property may be an array of method names
+      return _.isEqual(item.property, acl.property) &&
+        item.accessType === acl.accessType &&
+        item.principalType === acl.principalType &&
+        item.principalId === acl.principalId;
+    });
+    if (index === -1) {
+      result.push(_.cloneDeep(acl));
+    } else {
+      result[index] = _.cloneDeep(acl);
+    }
+  });
+  return result;
+}
@@ -1,5 +1,6 @@
 "use strict";
 
+var _ = require('lodash');
 var debug = require('debug')('connector');
 var EventEmitter = require('events').EventEmitter;
 var util = require('util');
@@ -28,21 +29,235 @@ function Connector(options) {
 
 inherits(Connector, EventEmitter);
 
+/**
+ * Features a connector may support. Connectors declare the ones they
+ * support by overriding `capabilities`, missing entries are `false`.
+ *
+ * - `transactions` - `Model.beginTransaction()` is available
+ * - `nestedQueries` - `where` may test nested properties, e.g. `'address.city'`
+ * - `geo` - `near` queries on `GeoPoint` properties
+ * - `fullText` - full text search
+ * - `regexp` - the `regexp` operator of `where`
+ */
+
+Connector.CAPABILITIES = ['transactions', 'nestedQueries', 'geo', 'fullText', 'regexp'];
+
+Connector.prototype.capabilities = {};
+
+/**
+ * Get the capabilities of any connector, including connectors not built on
+ * `Connector`: `transactions` is assumed when `beginTransaction` exists.
+ *
+ * @param {Object} connector The connector instance.
+ * @returns {{transactions: Boolean, nestedQueries: Boolean, geo: Boolean, fullText: Boolean,
+ *   regexp: Boolean}}
+ */
+
+Connector.getCapabilities = function (connector) {
+  var declared = connector && connector.capabilities || {};
+  var result = {};
+
+  Connector.CAPABILITIES.forEach(function (name) {
+    result[name] = Boolean(declared[name]);
+  });
+  if (!('transactions' in declared) && connector) {
+    result.transactions = typeof connector.beginTransaction === 'function';
+  }
+
+  return result;
+};
+
+/**
+ * Wrap a JugglingDB adapter module into a loopline connector module.
+ *
+ * ```js
+ * app.connector('redis', loopline.Connector.fromJDBAdapter(require('jugglingdb-redis')));
+ * app.dataSource('cache', {connector: 'redis', port: 6379});
+ * ```
+ *
+ * @param {Object} jdbModule The adapter module exporting `initialize(schema, callback)`.
+ * @returns {Object} A connector module exporting `initialize(dataSource, callback)`.
+ */
+
+Connector.fromJDBAdapter = function (jdbModule) {
+  return {
+    name: jdbModule.name,
+    initialize: function (dataSource, callback) {
+      var connector = dataSource.connector = new Connector(dataSource.settings);
+      connector.dataSource = dataSource;
+
+      var adapter = Connector._createJDBAdapter(jdbModule, dataSource.settings, function (err) {
+        // adapters may call back before the operations are added
+        process.nextTick(function () {
+          if (callback) {
+            callback(err);
+          }
+        });
+      });
+      connector._addCrudOperationsFromJDBAdapter(adapter);
+    }
+  };
+};
+
 /*!
- * Create an connector instance from a JugglingDB adapter.
+ * Create an adapter instance from a JugglingDB adapter module. JugglingDB
+ * adapters set `schema.adapter` and call back once connected.
  */
 
-Connector._createJDBAdapter = function(jdbModule) {
-  var fauxSchema = {};
-  jdbModule.initialize(fauxSchema, function() {
+Connector._createJDBAdapter = function (jdbModule, settings, callback) {
+  var fauxSchema = {settings: settings || {}};
+
+  jdbModule.initialize(fauxSchema, function (err) {
     // connected
+    if (callback) {
+      callback(err);
+    }
   });
+
+  if (!fauxSchema.adapter) {
+    throw new Error('JugglingDB adapter did not set up `schema.adapter`');
+  }
+  fauxSchema.adapter.schema = fauxSchema.adapter.schema || fauxSchema;
+  return fauxSchema.adapter;
 };
 
 /*!
- * Add default crud operations from a JugglingDB adapter.
+ * Add default crud operations from a JugglingDB adapter. JugglingDB methods
+ * take no `options` and report less, e.g. no counts for updates and
+ * deletes, the missing parts are filled in here.
  */
 
-Connector.prototype._addCrudOperationsFromJDBAdapter = function(connector) {
+Connector.prototype._addCrudOperationsFromJDBAdapter = function (connector) {
+  var self = this;
+  var models = {};
+
+  this.jdbAdapter = connector;
+  this.name = this.name || connector.name;
+
+  this.getTypes = function () {
+    return connector.getTypes ? connector.getTypes() : ['db', 'nosql'];
+  };
+
+  this.define = function (definition) {
+    models[definition.model.modelName] = definition;
+    if (connector.define) {
+      connector.define(definition);
+    }
+  };
+
+  ['connect', 'disconnect', 'ping', 'automigrate', 'autoupdate'].forEach(function (name) {
+    if (typeof connector[name] === 'function') {
+      self[name] = connector[name].bind(connector);
+    }
+  });
+
+  if (!this.connect) {
+    this.connect = function (callback) {
+      if (callback) {
+        process.nextTick(callback);
+      }
+    };
+  }
+
+  this.create = function (model, data, options, callback) {
+    connector.create(model, data, function (err, id) {
+      callback(err, id);
+    });
+  };
+
+  this.all = function (model, filter, options, callback) {
+    connector.all(model, filter || {}, function (err, nodes) {
+      if (err || !filter || !filter.include) {
+        return callback(err, nodes);
+      }
+      models[model].model.include(nodes, filter.include, options, callback);
+    });
+  };
+
+  this.find = function (model, id, options, callback) {
+    connector.find(model, id, callback);
+  };
+
+  this.exists = function (model, id, options, callback) {
+    if (connector.exists) {
+      return connector.exists(model, id, callback);
+    }
+    connector.find(model, id, function (err, data) {
+      callback(err, Boolean(data));
+    });
+  };
+
+  this.count = function (model, where, options, callback) {
+    connector.count(model, callback, where || {});
+  };
+
+  this.destroy = function (model, id, options, callback) {
+    connector.destroy(model, id, function (err) {
+      callback(err, err ? null : {count: 1});
+    });
+  };
+
+  this.destroyAll = function (model, where, options, callback) {
+    eachMatching(model, where, function (id, done) {
+      connector.destroy(model, id, done);
+    }, callback);
+  };
+
+  this.update =
+  this.updateAll = function (model, where, data, options, callback) {
+    if (typeof connector.update === 'function') {
+      return connector.update(model, where, data, function (err, info) {
+        callback(err, typeof info === 'number' ? {count: info} : info);
+      });
+    }
+    eachMatching(model, where, function (id, done) {
+      connector.updateAttributes(model, id, data, done);
+    }, callback);
+  };
+
+  this.updateAttributes = function (model, id, data, options, callback) {
+    connector.updateAttributes(model, id, data, callback);
+  };
+
+  if (typeof connector.save === 'function') {
+    this.save = function (model, data, options, callback) {
+      connector.save(model, data, callback);
+    };
+  }
+
+  if (typeof connector.updateOrCreate === 'function') {
+    this.updateOrCreate = function (model, data, options, callback) {
+      connector.updateOrCreate(model, data, callback);
+    };
+  }
+
+  /*!
+   * Run `fn(id, done)` for each record matching `where` one by one,
+   * call back with `{count}`.
+   */
+
+  function eachMatching(model, where, fn, callback) {
+    var idName = models[model] ? models[model].model.definition.idName() || 'id' : 'id';
+
+    connector.all(model, {where: _.isEmpty(where) ? undefined : where}, function (err, nodes) {
+      if (err) {
+        return callback(err);
+      }
+
+      var ids = _.map(nodes, idName);
+      next(0);
 
+      function next(i) {
+        if (i === ids.length) {
+          return callback(null, {count: ids.length});
+        }
+        fn(ids[i], function (err) {
+          if (err) {
+            return callback(err);
+          }
+          next(i + 1);
+        });
+      }
+    });
+  }
 };
@@ -0,0 +1,223 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var debug = require('debug')('loopline:connector:file-store');
+
+var SAVE_DELAY = 50;
+var MAX_SAVE_DELAY = 1000;
+
+module.exports = FileStore;
+
+/**
+ * Persist the collections of a `Memory` connector to a JSON file.
+ *
+ * The file holds the next id and the records of every model, keyed by id:
+ *
+ * ```json
+ * {
+ *   "ids": {"Customer": 3},
+ *   "models": {
+ *     "Customer": {
+ *       "1": {"id": 1, "name": "Alice", "created": "2016-05-01T10:00:00.000Z"},
+ *       "2": {"id": 2, "name": "Bob", "created": "2016-05-02T10:00:00.000Z"}
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * Records are stored as JSON, dates as ISO strings. Saves are debounced by
+ * `saveDelay` ms, but wait no longer than `maxSaveDelay` ms after the first
+ * unsaved change, and written to a temporary file first, then renamed over
+ * `file`, so the file is never left half written. Only one save runs at a
+ * time and only models changed since the last save are serialized again.
+ *
+ * @param {Memory} connector The connector owning the collections.
+ * @param {String} file The file path, resolved against the working directory.
+ * @param {Object} [options]
+ * @property {Number} [saveDelay] Debounce delay in ms, default 50.
+ * @property {Number} [maxSaveDelay] Longest delay of a save in ms under
+ *   continuous writes, default 1000.
+ * @class FileStore
+ */
+
+function FileStore(connector, file, options) {
+  options = options || {};
+  this.connector = connector;
+  this.file = path.resolve(file);
+  this.saveDelay = options.saveDelay === undefined ? SAVE_DELAY : options.saveDelay;
+  this.maxSaveDelay = options.maxSaveDelay === undefined ? MAX_SAVE_DELAY : options.maxSaveDelay;
+  this.deadline = null;
+  this.serialized = {};
+  this.dirty = {};
+  this.timer = null;
+  this.saving = false;
+  this.waiting = [];
+  this.loading = null;
+  this.loaded = false;
+}
+
+/**
+ * Read the file into the connector collections, a missing file leaves
+ * the collections empty.
+ *
+ * @param {Function} callback Called with `(err)`.
+ */
+
+FileStore.prototype.load = function (callback) {
+  var self = this;
+  var connector = this.connector;
+
+  // the data source connects again when used before it's connected
+  if (this.loaded) {
+    return process.nextTick(callback);
+  }
+  if (this.loading) {
+    return this.loading.push(callback);
+  }
+  this.loading = [callback];
+
+  function finish(err) {
+    var callbacks = self.loading;
+    self.loading = null;
+    self.loaded = !err;
+    callbacks.forEach(function (cb) {
+      cb(err);
+    });
+  }
+
+  fs.readFile(this.file, 'utf8', function (err, content) {
+    if (err) {
+      return finish(err.code === 'ENOENT' ? null : err);
+    }
+
+    var data;
+    try {
+      data = content.trim() ? JSON.parse(content) : {};
+    } catch (e) {
+      e.message = 'Cannot parse ' + self.file + ': ' + e.message;
+      return finish(e);
+    }
+
+    debug('Loaded %s', self.file);
+    Object.keys(data.models || {}).forEach(function (model) {
+      connector.collections[model] = data.models[model];
+      // models nobody touches are written back as they were
+      self.serialized[model] = JSON.stringify(data.models[model], null, 2);
+    });
+    Object.keys(data.ids || {}).forEach(function (model) {
+      connector.ids[model] = data.ids[model];
+    });
+    finish();
+  });
+};
+
+/**
+ * Schedule a save after records of `model` changed.
+ *
+ * @param {String} model The model name.
+ */
+
+FileStore.prototype.changed = function (model) {
+  var now = Date.now();
+  this.dirty[model] = true;
+  if (!this.timer) {
+    this.deadline = now + this.maxSaveDelay;
+  }
+
+  clearTimeout(this.timer);
+  var delay = Math.max(Math.min(this.saveDelay, this.deadline - now), 0);
+  this.timer = setTimeout(this.save.bind(this), delay);
+};
+
+/**
+ * Write pending changes now.
+ *
+ * @param {Function} [callback] Called with `(err)` once the file is written.
+ */
+
+FileStore.prototype.flush = function (callback) {
+  if (callback) {
+    this.waiting.push(callback);
+  }
+  clearTimeout(this.timer);
+  this.timer = null;
+  this.save();
+};
+
+FileStore.prototype.save = function () {
+  var self = this;
+  this.timer = null;
+
+  if (this.saving) {
+    // picked up when the running save finishes
+    return;
+  }
+
+  var models = Object.keys(this.dirty);
+  var callbacks = this.waiting;
+  this.waiting = [];
+
+  if (!models.length) {
+    return callbacks.forEach(function (cb) {
+      process.nextTick(cb);
+    });
+  }
+
+  this.dirty = {};
+  models.forEach(function (model) {
+    self.serialized[model] = JSON.stringify(self.connector.collection(model), null, 2);
+  });
+
+  var tmp = this.file + '.' + process.pid + '.tmp';
+  this.saving = true;
+
+  debug('Saving %j to %s', models, this.file);
+  fs.writeFile(tmp, this.content(), function (err) {
+    if (err) {
+      return finish(err);
+    }
+    fs.rename(tmp, self.file, finish);
+  });
+
+  function finish(err) {
+    self.saving = false;
+    if (err) {
+      // retry the models with the next save
+      models.forEach(function (model) {
+        self.dirty[model] = true;
+      });
+      debug('Cannot save %s: %s', self.file, err.message);
+    }
+
+    callbacks.forEach(function (cb) {
+      cb(err);
+    });
+
+    if (!err && (Object.keys(self.dirty).length || self.waiting.length) && !self.timer) {
+      self.save();
+    } else if (err && !callbacks.length) {
+      if (self.connector.listeners('error').length) {
+        self.connector.emit('error', err);
+      } else {
+        console.error('Cannot save %s: %s', self.file, err.message);
+      }
+    }
+  }
+};
+
+FileStore.prototype.content = function () {
+  var serialized = this.serialized;
+  var models = Object.keys(serialized).map(function (model) {
+    return '    ' + JSON.stringify(model) + ': ' + indent(serialized[model], '    ');
+  });
+
+  return '{\n' +
+    '  "ids": ' + JSON.stringify(this.connector.ids) + ',\n' +
+    '  "models": {' + (models.length ? '\n' + models.join(',\n') + '\n  ' : '') + '}\n' +
+    '}\n';
+};
+
+function indent(text, prefix) {
+  return text.replace(/\n/g, '\n' + prefix);
+}
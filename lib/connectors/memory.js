@@ -1,25 +1,49 @@
 "use strict";
 
+var _ = require('lodash');
 var util = require('util');
 var inherits = util.inherits;
-var JdbMemory = require('loopback-datasource-juggler/lib/connectors/memory');
+var debug = require('debug')('loopline:connector:memory');
 var Connector = require('./base-connector');
+var FileStore = require('./file-store');
 
 module.exports = Memory;
 
 /**
- * Create a new `Memory` connector with the given `options`.
+ * Create a new `Memory` connector with the given `settings`.
  *
- * @param {Object} options
+ * Records are kept per model as plain JSON data keyed by id, so stored
+ * values never share references with model instances. With a `file`
+ * setting the data is loaded on connect and changes are saved back, see
+ * `FileStore` for the file format.
+ *
+ * ```js
+ * var ds = loopline.createDataSource({connector: 'memory', file: 'db.json'});
+ * ```
+ *
+ * @param {Object} [settings]
+ * @property {String} [file] The JSON file to persist data to.
+ * @property {Number} [saveDelay] Debounce delay of saves in ms, default 50.
+ * @property {Number} [maxSaveDelay] Longest delay of a save in ms under
+ *   continuous writes, default 1000.
  * @return {Memory}
  */
 
-function Memory() {
-  // TODO implement entire memory connector
+function Memory(settings) {
+  Connector.call(this, settings);
+  this.name = 'memory';
+  this.settings = settings || {};
+  this._models = {};
+  this.collections = {};
+  this.ids = {};
+
+  if (this.settings.file) {
+    this.fileStore = new FileStore(this, this.settings.file, this.settings);
+  }
 }
 
 /**
- * Inherit from `DBConnector`.
+ * Inherit from `Connector`.
  */
 
 inherits(Memory, Connector);
@@ -28,4 +52,617 @@ inherits(Memory, Connector);
  * JugglingDB Compatibility
  */
 
-Memory.initialize = JdbMemory.initialize;
+Memory.initialize = function (dataSource, callback) {
+  var connector = dataSource.connector = new Memory(dataSource.settings);
+  connector.dataSource = dataSource;
+  connector.connect(callback);
+};
+
+Memory.prototype.connect = function (callback) {
+  callback = callback || _.noop;
+  if (this.fileStore) {
+    this.fileStore.load(callback);
+  } else {
+    process.nextTick(callback);
+  }
+};
+
+/**
+ * Disconnect, pending changes are saved first when a `file` is set.
+ *
+ * @param {Function} [callback]
+ */
+
+Memory.prototype.disconnect = function (callback) {
+  this.flush(callback);
+};
+
+/**
+ * Save pending changes to the `file` now instead of waiting for the
+ * debounced save.
+ *
+ * @param {Function} [callback] Called with `(err)`.
+ */
+
+Memory.prototype.flush = function (callback) {
+  callback = callback || _.noop;
+  if (this.fileStore) {
+    this.fileStore.flush(callback);
+  } else {
+    process.nextTick(callback);
+  }
+};
+
+Memory.prototype.capabilities = {
+  transactions: false,
+  nestedQueries: true,
+  geo: false,
+  fullText: false,
+  regexp: true
+};
+
+Memory.prototype.getTypes = function () {
+  return ['db', 'nosql', 'memory'];
+};
+
+Memory.prototype.getDefaultIdType = function () {
+  return Number;
+};
+
+Memory.prototype.define = function (definition) {
+  var name = definition.model.modelName;
+  this._models[name] = definition;
+  this.collections[name] = this.collections[name] || {};
+  this.ids[name] = this.ids[name] || 1;
+};
+
+/**
+ * Get the name of the id property of `model`.
+ *
+ * @param {String} model The model name.
+ * @returns {String}
+ */
+
+Memory.prototype.idName = function (model) {
+  var definition = this._models[model];
+  return definition && definition.model.definition.idName() || 'id';
+};
+
+Memory.prototype.getIdValue = function (model, data) {
+  return data && data[this.idName(model)];
+};
+
+Memory.prototype.collection = function (model) {
+  if (!this.collections[model]) {
+    this.collections[model] = {};
+  }
+  return this.collections[model];
+};
+
+Memory.prototype.create = function (model, data, options, callback) {
+  var id = this.getIdValue(model, data);
+
+  if (id === undefined || id === null) {
+    id = this.generateId(model);
+  } else {
+    this.bumpId(model, id);
+  }
+
+  id = this.castId(model, id);
+  data[this.idName(model)] = id;
+
+  if (this.collection(model)[id] !== undefined) {
+    return done(callback, duplicateError(model, this.idName(model), id));
+  }
+
+  this.store(model, data);
+  done(callback, null, id);
+};
+
+Memory.prototype.save = function (model, data, options, callback) {
+  var id = this.getIdValue(model, data);
+  var isNewInstance = this.collection(model)[id] === undefined;
+
+  this.store(model, data);
+  done(callback, null, this.fromDb(model, this.collection(model)[id]), {isNewInstance: isNewInstance});
+};
+
+Memory.prototype.updateOrCreate = function (model, data, options, callback) {
+  var self = this;
+  var id = this.getIdValue(model, data);
+  var existing = id === undefined ? undefined : this.collection(model)[id];
+
+  if (existing === undefined) {
+    return this.create(model, data, options, function (err) {
+      callback(err, err ? null : self.fromDb(model, self.toDb(data)), {isNewInstance: true});
+    });
+  }
+
+  this.store(model, _.assign({}, existing, data));
+  done(callback, null, this.fromDb(model, this.collection(model)[id]), {isNewInstance: false});
+};
+
+Memory.prototype.replaceOrCreate = function (model, data, options, callback) {
+  var self = this;
+  var id = this.getIdValue(model, data);
+
+  if (id === undefined || this.collection(model)[id] === undefined) {
+    return this.create(model, data, options, function (err) {
+      callback(err, err ? null : self.fromDb(model, self.toDb(data)), {isNewInstance: true});
+    });
+  }
+
+  this.store(model, data);
+  done(callback, null, this.fromDb(model, this.collection(model)[id]), {isNewInstance: false});
+};
+
+Memory.prototype.replaceById = function (model, id, data, options, callback) {
+  if (this.collection(model)[id] === undefined) {
+    return done(callback, notFoundError(model, id, 'replace'));
+  }
+
+  data = _.assign({}, data);
+  data[this.idName(model)] = this.castId(model, id);
+  this.store(model, data);
+  done(callback, null, this.fromDb(model, this.collection(model)[id]));
+};
+
+Memory.prototype.updateAttributes = function (model, id, data, options, callback) {
+  var existing = this.collection(model)[id];
+  if (existing === undefined) {
+    return done(callback, notFoundError(model, id, 'update'));
+  }
+
+  data = _.assign({}, existing, this.toDb(data));
+  data[this.idName(model)] = existing[this.idName(model)];
+  this.store(model, data);
+  done(callback, null, this.fromDb(model, this.collection(model)[id]));
+};
+
+Memory.prototype.findOrCreate = function (model, filter, data, options, callback) {
+  var self = this;
+  var found = this.query(model, _.assign({}, filter, {limit: 1}))[0];
+
+  if (found) {
+    return this.include(model, [found], filter, options, function (err, nodes) {
+      callback(err, nodes && nodes[0], false);
+    });
+  }
+
+  this.create(model, data, options, function (err) {
+    callback(err, err ? null : self.fromDb(model, self.toDb(data)), true);
+  });
+};
+
+Memory.prototype.exists = function (model, id, options, callback) {
+  done(callback, null, this.collection(model)[id] !== undefined);
+};
+
+Memory.prototype.find = function (model, id, options, callback) {
+  var data = this.collection(model)[id];
+  done(callback, null, data === undefined ? null : this.fromDb(model, data));
+};
+
+Memory.prototype.all = function (model, filter, options, callback) {
+  this.include(model, this.query(model, filter), filter, options, callback);
+};
+
+Memory.prototype.destroy = function (model, id, options, callback) {
+  var collection = this.collection(model);
+  var count = collection[id] === undefined ? 0 : 1;
+
+  delete collection[id];
+  this.changed(model);
+  done(callback, null, {count: count});
+};
+
+Memory.prototype.destroyAll = function (model, where, options, callback) {
+  var collection = this.collection(model);
+  var ids = this.matchingIds(model, where);
+
+  ids.forEach(function (id) {
+    delete collection[id];
+  });
+  if (ids.length) {
+    this.changed(model);
+  }
+  done(callback, null, {count: ids.length});
+};
+
+Memory.prototype.count = function (model, where, options, callback) {
+  done(callback, null, this.matchingIds(model, where).length);
+};
+
+Memory.prototype.update =
+Memory.prototype.updateAll = function (model, where, data, options, callback) {
+  var self = this;
+  var collection = this.collection(model);
+  var idName = this.idName(model);
+  var ids = this.matchingIds(model, where);
+
+  data = this.toDb(data);
+  delete data[idName];
+
+  ids.forEach(function (id) {
+    self.store(model, _.assign({}, collection[id], data));
+  });
+  done(callback, null, {count: ids.length});
+};
+
+/**
+ * Generate the next id of `model`.
+ *
+ * @param {String} model The model name.
+ * @returns {Number}
+ */
+
+Memory.prototype.generateId = function (model) {
+  var collection = this.collection(model);
+  var id = this.ids[model] || 1;
+
+  while (collection[id] !== undefined) {
+    id++;
+  }
+  this.ids[model] = id + 1;
+  return id;
+};
+
+/*!
+ * Keep generated ids ahead of numeric ids set by the caller.
+ */
+
+Memory.prototype.bumpId = function (model, id) {
+  if (typeof id === 'number' && id >= (this.ids[model] || 1)) {
+    this.ids[model] = id + 1;
+  }
+};
+
+Memory.prototype.castId = function (model, id) {
+  var definition = this._models[model];
+  var prop = definition && definition.model.definition.properties[this.idName(model)];
+  var type = prop && prop.type;
+
+  if (type === Number && !isNaN(id)) {
+    return Number(id);
+  }
+  if (type === String) {
+    return String(id);
+  }
+  return id;
+};
+
+/*!
+ * Store a copy of `data` under its id.
+ */
+
+Memory.prototype.store = function (model, data) {
+  this.collection(model)[this.getIdValue(model, data)] = this.toDb(data);
+  this.changed(model);
+};
+
+/**
+ * Called after records of `model` were modified.
+ *
+ * @param {String} model The model name.
+ */
+
+Memory.prototype.changed = function (model) {
+  debug('%s changed', model);
+  if (this.fileStore) {
+    this.fileStore.changed(model);
+  }
+};
+
+Memory.prototype.toDb = function (data) {
+  return JSON.parse(JSON.stringify(data || {}));
+};
+
+/*!
+ * Copy stored data and revive date properties.
+ */
+
+Memory.prototype.fromDb = function (model, data) {
+  data = _.cloneDeep(data);
+
+  var definition = this._models[model];
+  _.forEach(definition && definition.model.definition.properties, function (prop, name) {
+    if (prop.type === Date && !_.isNil(data[name])) {
+      data[name] = new Date(data[name]);
+    }
+  });
+
+  return data;
+};
+
+Memory.prototype.matchingIds = function (model, where) {
+  var self = this;
+  var collection = this.collection(model);
+  var test = matcher(where);
+
+  return Object.keys(collection).filter(function (id) {
+    return test(self.fromDb(model, collection[id]));
+  });
+};
+
+/*!
+ * Run `filter` except `include` against the records of `model`.
+ */
+
+Memory.prototype.query = function (model, filter) {
+  var self = this;
+  var collection = this.collection(model);
+
+  filter = filter || {};
+
+  var test = matcher(filter.where);
+  var nodes = Object.keys(collection)
+    .map(function (id) {
+      return self.fromDb(model, collection[id]);
+    })
+    .filter(test);
+
+  var order = normalizeOrder(filter.order);
+  if (!order.length) {
+    order = [{key: this.idName(model), reverse: false}];
+  }
+  nodes.sort(comparator(order));
+
+  var skip = filter.skip || filter.offset || 0;
+  nodes = filter.limit ? nodes.slice(skip, skip + filter.limit) : nodes.slice(skip);
+
+  var project = projection(filter.fields);
+  return project ? nodes.map(project) : nodes;
+};
+
+Memory.prototype.include = function (model, nodes, filter, options, callback) {
+  var definition = this._models[model];
+
+  process.nextTick(function () {
+    if (filter && filter.include && definition) {
+      definition.model.include(nodes, filter.include, options, callback);
+    } else {
+      callback(null, nodes);
+    }
+  });
+};
+
+function done(callback) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  process.nextTick(function () {
+    callback.apply(null, args);
+  });
+}
+
+function duplicateError(model, idName, id) {
+  var err = new Error(util.format('Duplicate entry for %s.%s', model, idName));
+  err.code = 'DUPLICATE_ENTRY';
+  err.statusCode = 409;
+  err.id = id;
+  return err;
+}
+
+function notFoundError(model, id, action) {
+  var err = new Error(util.format('Could not %s. Object with id %s does not exist!', action, id));
+  err.code = 'NOT_FOUND';
+  err.statusCode = 404;
+  err.model = model;
+  err.id = id;
+  return err;
+}
+
+/*!
+ * Build a function testing a record against a `where` clause.
+ */
+
+function matcher(where) {
+  if (!where || _.isEmpty(where)) {
+    return _.constant(true);
+  }
+
+  var tests = _.map(where, function (cond, key) {
+    if (key === 'and' || key === 'or') {
+      var subs = _.map(cond, matcher);
+      return function (data) {
+        var matches = function (sub) {
+          return sub(data);
+        };
+        return key === 'and' ? _.every(subs, matches) : _.some(subs, matches);
+      };
+    }
+
+    return function (data) {
+      var value = _.get(data, key);
+      if (Array.isArray(value) && !isOperator(cond, 'nin') && !isOperator(cond, 'neq')) {
+        // a list matches when any of its items matches
+        return value.some(function (item) {
+          return test(item, cond);
+        });
+      }
+      return test(value, cond);
+    };
+  });
+
+  return function (data) {
+    return tests.every(function (fn) {
+      return fn(data);
+    });
+  };
+}
+
+function isOperator(cond, name) {
+  return _.isPlainObject(cond) && name in cond;
+}
+
+/*!
+ * Test a single value against a condition, either a value to be equal to
+ * or an object of operators.
+ */
+
+function test(value, cond) {
+  if (cond instanceof RegExp) {
+    return !_.isNil(value) && cond.test(value);
+  }
+
+  if (!_.isPlainObject(cond)) {
+    return equals(value, cond);
+  }
+
+  var flags = cond.options;
+
+  return _.every(cond, function (arg, op) {
+    switch (op) {
+      case 'options':
+        return true;
+      case 'neq':
+        return !equals(value, arg);
+      case 'gt':
+        return compare(value, arg) > 0;
+      case 'gte':
+        return compare(value, arg) >= 0;
+      case 'lt':
+        return compare(value, arg) < 0;
+      case 'lte':
+        return compare(value, arg) <= 0;
+      case 'between':
+        return compare(value, arg[0]) >= 0 && compare(value, arg[1]) <= 0;
+      case 'inq':
+        return _.some(arg, _.partial(equals, value));
+      case 'nin':
+        return !_.some(arg, function (item) {
+          return Array.isArray(value) ? _.some(value, _.partial(equals, item)) : equals(value, item);
+        });
+      case 'like':
+      case 'nlike':
+      case 'ilike':
+      case 'nilike':
+        var re = likeToRegExp(arg, /^n?ilike$/.test(op) ? 'i' : flags);
+        var matches = !_.isNil(value) && re.test(value);
+        return op[0] === 'n' ? !matches : matches;
+      case 'regexp':
+        return !_.isNil(value) && toRegExp(arg, flags).test(value);
+      default:
+        // not an operator, compare nested objects
+        return equals(_.get(value, op), arg);
+    }
+  });
+}
+
+function equals(a, b) {
+  if (_.isNil(a) || _.isNil(b)) {
+    return _.isNil(a) && _.isNil(b);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return toTime(a) === toTime(b);
+  }
+  if (typeof a === 'object' || typeof b === 'object') {
+    return _.isEqual(a, b);
+  }
+  // ids may be stored as numbers and queried as strings
+  return String(a) === String(b);
+}
+
+function compare(a, b) {
+  if (_.isNil(a) || _.isNil(b)) {
+    return NaN;
+  }
+  if (a instanceof Date || b instanceof Date) {
+    a = toTime(a);
+    b = toTime(b);
+  } else if (typeof a === 'number' || typeof b === 'number') {
+    a = Number(a);
+    b = Number(b);
+  }
+  if (a === b) {
+    return 0;
+  }
+  return a > b ? 1 : -1;
+}
+
+function toTime(value) {
+  return new Date(value).getTime();
+}
+
+function likeToRegExp(pattern, flags) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  var source = String(pattern)
+    .replace(/[-[\]/{}()*+?.\\^$|]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp('^' + source + '$', flags);
+}
+
+function toRegExp(pattern, flags) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  var parts = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+  return parts ? new RegExp(parts[1], parts[2]) : new RegExp(pattern, flags);
+}
+
+/*!
+ * Normalize `order` to a list of `{key, reverse}`, accepting
+ * `'name DESC'`, `'a ASC, b DESC'` or an array of those.
+ */
+
+function normalizeOrder(order) {
+  if (!order) {
+    return [];
+  }
+  return _.flatMap([].concat(order), function (item) {
+    return String(item).split(/\s*,\s*/);
+  }).map(function (item) {
+    var parts = item.trim().split(/\s+/);
+    return {key: parts[0], reverse: /^desc$/i.test(parts[1])};
+  });
+}
+
+function comparator(order) {
+  return function (a, b) {
+    for (var i = 0; i < order.length; i++) {
+      var x = _.get(a, order[i].key);
+      var y = _.get(b, order[i].key);
+      var result;
+
+      if (_.isNil(x) && _.isNil(y)) {
+        result = 0;
+      } else if (_.isNil(x)) {
+        result = -1;
+      } else if (_.isNil(y)) {
+        result = 1;
+      } else {
+        result = compare(x, y) || 0;
+      }
+
+      if (result) {
+        return order[i].reverse ? -result : result;
+      }
+    }
+    return 0;
+  };
+}
+
+/*!
+ * Build a function picking the requested fields, `fields` is a list of
+ * names or an object of `{name: true|false}`.
+ */
+
+function projection(fields) {
+  if (!fields || _.isEmpty(fields)) {
+    return null;
+  }
+
+  if (Array.isArray(fields)) {
+    return function (data) {
+      return _.pick(data, fields);
+    };
+  }
+
+  var included = _.keys(_.pickBy(fields));
+  var excluded = _.keys(_.omitBy(fields, Boolean));
+
+  return function (data) {
+    return included.length ? _.pick(data, included) : _.omit(data, excluded);
+  };
+}
@@ -0,0 +1,913 @@
+'use strict';
+
+var _ = require('lodash');
+var util = require('util');
+var inherits = util.inherits;
+var debug = require('debug')('loopline:connector:sqlite');
+var Connector = require('./base-connector');
+
+module.exports = SQLite;
+
+/**
+ * Create a new `SQLite` connector storing models as tables of a local
+ * SQLite database file. Requires the optional `sqlite3` dependency.
+ *
+ * ```js
+ * var ds = loopline.createDataSource({connector: 'sqlite', file: 'data/app.db'});
+ * ```
+ *
+ * Each model is stored in a table named after the model, each property in
+ * a column named after the property. Use `sqlite.table` in model settings
+ * and `sqlite.columnName` in property definitions to change the names.
+ * Dates are stored as ISO strings, booleans as `0`/`1`, objects and arrays
+ * as JSON.
+ *
+ * @param {Object} [settings]
+ * @property {String} [file] The database file, default `':memory:'`.
+ * @return {SQLite}
+ */
+
+function SQLite(settings) {
+  Connector.call(this, settings);
+  this.name = 'sqlite';
+  this.settings = settings || {};
+  this.file = this.settings.file || ':memory:';
+  this._models = {};
+  this.db = null;
+  this.connecting = null;
+}
+
+/**
+ * Inherit from `Connector`.
+ */
+
+inherits(SQLite, Connector);
+
+SQLite.initialize = function (dataSource, callback) {
+  var connector = dataSource.connector = new SQLite(dataSource.settings);
+  connector.dataSource = dataSource;
+  connector.connect(callback);
+};
+
+SQLite.prototype.capabilities = {
+  transactions: false,
+  nestedQueries: false,
+  geo: false,
+  fullText: false,
+  // sqlite3 cannot register the REGEXP function SQLite calls for `regexp`
+  regexp: false
+};
+
+SQLite.prototype.connect = function (callback) {
+  var self = this;
+  callback = callback || _.noop;
+
+  if (this.db) {
+    return process.nextTick(function () {
+      callback(null, self.db);
+    });
+  }
+  if (this.connecting) {
+    return this.connecting.push(callback);
+  }
+
+  var sqlite3;
+  try {
+    sqlite3 = require('sqlite3');
+  } catch (err) {
+    err.message = 'The sqlite connector requires the `sqlite3` module: ' + err.message;
+    return process.nextTick(function () {
+      callback(err);
+    });
+  }
+
+  this.connecting = [callback];
+
+  function finish(err, db) {
+    var callbacks = self.connecting;
+    self.connecting = null;
+    self.db = err ? null : db;
+    callbacks.forEach(function (cb) {
+      cb(err, db);
+    });
+  }
+
+  debug('Opening %s', this.file);
+  var db = new sqlite3.Database(this.file, function (err) {
+    if (err) {
+      return finish(err);
+    }
+    // `like` is case sensitive as with other connectors, `ilike` is not
+    db.run('PRAGMA case_sensitive_like = ON', function (err) {
+      finish(err, db);
+    });
+  });
+};
+
+SQLite.prototype.disconnect = function (callback) {
+  var db = this.db;
+  callback = callback || _.noop;
+  this.db = null;
+  if (!db) {
+    return process.nextTick(callback);
+  }
+  db.close(callback);
+};
+
+SQLite.prototype.getTypes = function () {
+  return ['db', 'rdbms', 'sql', 'sqlite'];
+};
+
+SQLite.prototype.getDefaultIdType = function () {
+  return Number;
+};
+
+SQLite.prototype.define = function (definition) {
+  this._models[definition.model.modelName] = definition;
+};
+
+/**
+ * Run a statement, call back with `(err, {lastID, changes})`. Connects
+ * first if needed, migrations may run before the data source connected.
+ *
+ * @param {String} sql
+ * @param {Array} params
+ * @param {Function} callback
+ */
+
+SQLite.prototype.execute = function (sql, params, callback) {
+  this.connect(function (err, db) {
+    if (err) {
+      return callback(err);
+    }
+
+    debug('%s %j', sql, params);
+    db.run(sql, params, function (err) {
+      if (err) {
+        return callback(translateError(err));
+      }
+      callback(null, {lastID: this.lastID, changes: this.changes});
+    });
+  });
+};
+
+/**
+ * Run a query, call back with `(err, rows)`.
+ *
+ * @param {String} sql
+ * @param {Array} params
+ * @param {Function} callback
+ */
+
+SQLite.prototype.query = function (sql, params, callback) {
+  this.connect(function (err, db) {
+    if (err) {
+      return callback(err);
+    }
+
+    debug('%s %j', sql, params);
+    db.all(sql, params, callback);
+  });
+};
+
+SQLite.prototype.table = function (model) {
+  var settings = this._models[model].settings;
+  return settings.sqlite && settings.sqlite.table || model;
+};
+
+SQLite.prototype.column = function (model, property) {
+  var prop = this.properties(model)[property];
+  return prop && prop.sqlite && prop.sqlite.columnName || property;
+};
+
+/*!
+ * Relations may add properties after the model was defined, always use
+ * the current definition.
+ */
+
+SQLite.prototype.properties = function (model) {
+  return this._models[model].model.definition.properties;
+};
+
+SQLite.prototype.idName = function (model) {
+  return this._models[model].model.definition.idName() || 'id';
+};
+
+SQLite.prototype.create = function (model, data, options, callback) {
+  var self = this;
+  var columns = this.toColumns(model, data);
+  var idName = this.idName(model);
+  var sql = 'INSERT INTO ' + quote(this.table(model)) +
+    (columns.names.length ?
+      ' (' + columns.names.map(quote).join(', ') + ') VALUES (' + placeholders(columns.names) + ')' :
+      ' DEFAULT VALUES');
+
+  this.execute(sql, columns.values, function (err, info) {
+    if (err) {
+      return callback(err);
+    }
+    var id = _.isNil(data[idName]) ? info.lastID : data[idName];
+    callback(null, self.castId(model, id));
+  });
+};
+
+SQLite.prototype.save =
+SQLite.prototype.replaceOrCreate = function (model, data, options, callback) {
+  var self = this;
+  var id = data[this.idName(model)];
+
+  if (_.isNil(id)) {
+    return this.create(model, data, options, function (err, id) {
+      if (err) {
+        return callback(err);
+      }
+      data[self.idName(model)] = id;
+      callback(null, data, {isNewInstance: true});
+    });
+  }
+
+  this.replaceById(model, id, data, options, function (err, result) {
+    if (err && err.statusCode === 404) {
+      return self.create(model, data, options, function (err) {
+        callback(err, data, {isNewInstance: true});
+      });
+    }
+    callback(err, result, {isNewInstance: false});
+  });
+};
+
+SQLite.prototype.updateOrCreate = function (model, data, options, callback) {
+  var self = this;
+  var id = data[this.idName(model)];
+
+  if (_.isNil(id)) {
+    return this.create(model, data, options, function (err, id) {
+      if (err) {
+        return callback(err);
+      }
+      data[self.idName(model)] = id;
+      callback(null, data, {isNewInstance: true});
+    });
+  }
+
+  this.updateAttributes(model, id, data, options, function (err) {
+    if (err && err.statusCode === 404) {
+      return self.create(model, data, options, function (err) {
+        callback(err, data, {isNewInstance: true});
+      });
+    }
+    if (err) {
+      return callback(err);
+    }
+    self.find(model, id, options, function (err, result) {
+      callback(err, result, {isNewInstance: false});
+    });
+  });
+};
+
+SQLite.prototype.replaceById = function (model, id, data, options, callback) {
+  var self = this;
+  var idName = this.idName(model);
+
+  // unset properties are cleared
+  var replacement = {};
+  _.forEach(this.properties(model), function (prop, name) {
+    if (name !== idName) {
+      replacement[name] = data[name] === undefined ? null : data[name];
+    }
+  });
+
+  this.updateById(model, id, replacement, 'replace', function (err) {
+    if (err) {
+      return callback(err);
+    }
+    var result = _.assign({}, data);
+    result[idName] = self.castId(model, id);
+    callback(null, result);
+  });
+};
+
+SQLite.prototype.updateAttributes = function (model, id, data, options, callback) {
+  data = _.omit(data, this.idName(model));
+  this.updateById(model, id, data, 'update', function (err) {
+    callback(err, err ? null : data);
+  });
+};
+
+SQLite.prototype.updateById = function (model, id, data, action, callback) {
+  var where = {};
+  where[this.idName(model)] = id;
+
+  this.update(model, where, data, {}, function (err, info) {
+    if (err) {
+      return callback(err);
+    }
+    if (!info.count) {
+      return callback(notFoundError(model, id, action));
+    }
+    callback(null, info);
+  });
+};
+
+SQLite.prototype.update =
+SQLite.prototype.updateAll = function (model, where, data, options, callback) {
+  var columns = this.toColumns(model, _.omit(data, this.idName(model)));
+
+  if (!columns.names.length) {
+    return this.count(model, where, options, function (err, count) {
+      callback(err, err ? null : {count: count});
+    });
+  }
+
+  var clause = this.buildWhere(model, where);
+  if (clause.error) {
+    return process.nextTick(callback, clause.error);
+  }
+
+  var sql = 'UPDATE ' + quote(this.table(model)) + ' SET ' +
+    columns.names.map(function (name) {
+      return quote(name) + ' = ?';
+    }).join(', ') + clause.sql;
+
+  this.execute(sql, columns.values.concat(clause.params), function (err, info) {
+    callback(err, err ? null : {count: info.changes});
+  });
+};
+
+SQLite.prototype.find = function (model, id, options, callback) {
+  var where = {};
+  where[this.idName(model)] = id;
+  this.all(model, {where: where, limit: 1}, options, function (err, rows) {
+    callback(err, rows && rows[0] || null);
+  });
+};
+
+SQLite.prototype.exists = function (model, id, options, callback) {
+  this.find(model, id, options, function (err, data) {
+    callback(err, Boolean(data));
+  });
+};
+
+SQLite.prototype.all = function (model, filter, options, callback) {
+  var self = this;
+  var definition = this._models[model];
+
+  filter = filter || {};
+
+  var built = this.buildSelect(model, filter);
+  if (built.error) {
+    return process.nextTick(callback, built.error);
+  }
+
+  this.query(built.sql, built.params, function (err, rows) {
+    if (err) {
+      return callback(translateError(err));
+    }
+
+    var nodes = rows.map(function (row) {
+      return self.fromRow(model, row);
+    });
+
+    if (!filter.include) {
+      return callback(null, nodes);
+    }
+    definition.model.include(nodes, filter.include, options, callback);
+  });
+};
+
+SQLite.prototype.destroy = function (model, id, options, callback) {
+  var where = {};
+  where[this.idName(model)] = id;
+  this.destroyAll(model, where, options, callback);
+};
+
+SQLite.prototype.destroyAll = function (model, where, options, callback) {
+  var clause = this.buildWhere(model, where);
+  if (clause.error) {
+    return process.nextTick(callback, clause.error);
+  }
+
+  var sql = 'DELETE FROM ' + quote(this.table(model)) + clause.sql;
+  this.execute(sql, clause.params, function (err, info) {
+    callback(err, err ? null : {count: info.changes});
+  });
+};
+
+SQLite.prototype.count = function (model, where, options, callback) {
+  var clause = this.buildWhere(model, where);
+  if (clause.error) {
+    return process.nextTick(callback, clause.error);
+  }
+
+  var sql = 'SELECT COUNT(*) AS cnt FROM ' + quote(this.table(model)) + clause.sql;
+  this.query(sql, clause.params, function (err, rows) {
+    callback(err, err ? null : rows[0].cnt);
+  });
+};
+
+/**
+ * Drop and recreate the tables and indexes of `models`.
+ *
+ * @param {String[]} [models] Model names, default all models.
+ * @param {Function} callback
+ */
+
+SQLite.prototype.automigrate = function (models, callback) {
+  var self = this;
+  if (typeof models === 'function') {
+    callback = models;
+    models = null;
+  }
+
+  models = models || Object.keys(this._models);
+  var statements = _.flatMap(models, function (model) {
+    return ['DROP TABLE IF EXISTS ' + quote(self.table(model)), self.createTableSql(model)]
+      .concat(self.createIndexesSql(model));
+  });
+
+  this.series(statements, callback);
+};
+
+/**
+ * Create missing tables, add missing columns and indexes of `models`.
+ * Existing columns are left as they are.
+ *
+ * @param {String[]} [models] Model names, default all models.
+ * @param {Function} callback
+ */
+
+SQLite.prototype.autoupdate = function (models, callback) {
+  var self = this;
+  if (typeof models === 'function') {
+    callback = models;
+    models = null;
+  }
+
+  models = models || Object.keys(this._models);
+  next(0, []);
+
+  function next(i, statements) {
+    if (i === models.length) {
+      return self.series(statements, callback);
+    }
+
+    var model = models[i];
+    self.columnsOf(model, function (err, existing) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (existing.length) {
+        self.columnDefinitions(model).forEach(function (column) {
+          if (existing.indexOf(column.name) === -1) {
+            statements.push('ALTER TABLE ' + quote(self.table(model)) + ' ADD COLUMN ' + column.sql);
+          }
+        });
+      } else {
+        statements.push(self.createTableSql(model));
+      }
+      next(i + 1, statements.concat(self.createIndexesSql(model)));
+    });
+  }
+};
+
+/**
+ * Check whether the tables of `models` match their definitions.
+ *
+ * @param {String[]} [models] Model names, default all models.
+ * @param {Function} callback Called with `(err, actual)`.
+ */
+
+SQLite.prototype.isActual = function (models, callback) {
+  var self = this;
+  if (typeof models === 'function') {
+    callback = models;
+    models = null;
+  }
+
+  models = models || Object.keys(this._models);
+  var pending = models.length;
+  var actual = true;
+  if (!pending) {
+    return process.nextTick(callback, null, true);
+  }
+
+  models.forEach(function (model) {
+    self.columnsOf(model, function (err, existing) {
+      if (err) {
+        return callback(err);
+      }
+      actual = actual && existing.length > 0 && self.columnDefinitions(model).every(function (column) {
+        return existing.indexOf(column.name) !== -1;
+      });
+      if (--pending === 0) {
+        callback(null, actual);
+      }
+    });
+  });
+};
+
+SQLite.prototype.columnsOf = function (model, callback) {
+  this.query('PRAGMA table_info(' + quote(this.table(model)) + ')', [], function (err, rows) {
+    callback(err, _.map(rows, 'name'));
+  });
+};
+
+SQLite.prototype.series = function (statements, callback) {
+  var self = this;
+  next(0);
+
+  function next(i) {
+    if (i === statements.length) {
+      return callback();
+    }
+    self.execute(statements[i], [], function (err) {
+      if (err) {
+        return callback(err);
+      }
+      next(i + 1);
+    });
+  }
+};
+
+SQLite.prototype.createTableSql = function (model) {
+  return 'CREATE TABLE IF NOT EXISTS ' + quote(this.table(model)) + ' (' +
+    _.map(this.columnDefinitions(model), 'sql').join(', ') + ')';
+};
+
+SQLite.prototype.columnDefinitions = function (model) {
+  var self = this;
+  var idName = this.idName(model);
+
+  return _.map(this.properties(model), function (prop, name) {
+    var column = self.column(model, name);
+    var type = columnType(prop);
+    var sql = quote(column) + ' ' + type;
+
+    if (name === idName) {
+      sql += type === 'INTEGER' ? ' PRIMARY KEY AUTOINCREMENT' : ' PRIMARY KEY';
+    } else if (prop.required) {
+      // `ALTER TABLE ADD COLUMN` requires a default for NOT NULL columns
+      sql += prop.default === undefined ? '' : ' NOT NULL DEFAULT ' + literal(toDatabase(prop, prop.default));
+    }
+
+    return {name: column, sql: sql};
+  });
+};
+
+/**
+ * Build `CREATE INDEX` statements from the `indexes` model setting and
+ * `index` property settings. Index names are prefixed with the table name,
+ * SQLite requires them to be unique per database.
+ *
+ * ```json
+ * "indexes": {
+ *   "name_email": {"keys": {"name": 1, "email": -1}, "options": {"unique": true}},
+ *   "created": {"columns": "created", "kind": "unique"}
+ * }
+ * ```
+ */
+
+SQLite.prototype.createIndexesSql = function (model) {
+  var self = this;
+  var table = this.table(model);
+  var definition = this._models[model];
+  var indexes = [];
+
+  _.forEach(definition.properties, function (prop, name) {
+    if (!prop.index) {
+      return;
+    }
+    indexes.push({
+      name: name + '_idx',
+      columns: [quote(self.column(model, name))],
+      unique: Boolean(prop.index.unique)
+    });
+  });
+
+  _.forEach(definition.settings.indexes, function (index, name) {
+    var keys = index.keys || (index.columns ? null : _.omit(index, ['options', 'kind', 'unique']));
+    var columns = keys ?
+      _.map(keys, function (order, key) {
+        return quote(self.column(model, key)) + (order === -1 ? ' DESC' : ' ASC');
+      }) :
+      String(index.columns).split(/\s*,\s*/).map(function (key) {
+        return quote(self.column(model, key));
+      });
+
+    indexes.push({
+      name: name,
+      columns: columns,
+      unique: Boolean(index.unique || index.options && index.options.unique || /^unique$/i.test(index.kind))
+    });
+  });
+
+  return indexes.map(function (index) {
+    return 'CREATE ' + (index.unique ? 'UNIQUE ' : '') + 'INDEX IF NOT EXISTS ' +
+      quote(table + '_' + index.name) + ' ON ' + quote(table) + ' (' + index.columns.join(', ') + ')';
+  });
+};
+
+/*!
+ * Map property values of `data` to column names and database values.
+ */
+
+SQLite.prototype.toColumns = function (model, data) {
+  var self = this;
+  var properties = this.properties(model);
+  var result = {names: [], values: []};
+
+  _.forEach(data, function (value, name) {
+    if (!properties[name] || value === undefined) {
+      return;
+    }
+    result.names.push(self.column(model, name));
+    result.values.push(toDatabase(properties[name], value));
+  });
+
+  return result;
+};
+
+SQLite.prototype.fromRow = function (model, row) {
+  var self = this;
+  var data = {};
+
+  _.forEach(this.properties(model), function (prop, name) {
+    var column = self.column(model, name);
+    if (column in row) {
+      data[name] = fromDatabase(prop, row[column]);
+    }
+  });
+
+  return data;
+};
+
+SQLite.prototype.castId = function (model, id) {
+  var prop = this.properties(model)[this.idName(model)];
+  return prop && prop.type === Number && !isNaN(id) ? Number(id) : id;
+};
+
+SQLite.prototype.buildSelect = function (model, filter) {
+  var self = this;
+  var properties = this.properties(model);
+
+  var fields = Array.isArray(filter.fields) ? filter.fields :
+    filter.fields && _.keys(_.pickBy(filter.fields));
+  var columns = fields && fields.length ?
+    fields.filter(function (name) {
+      return properties[name];
+    }).map(function (name) {
+      return quote(self.column(model, name));
+    }).join(', ') :
+    '*';
+
+  var clause = this.buildWhere(model, filter.where);
+  if (clause.error) {
+    return clause;
+  }
+
+  var order = this.buildOrder(model, filter.order);
+  if (order.error) {
+    return order;
+  }
+
+  var sql = 'SELECT ' + columns + ' FROM ' + quote(this.table(model)) + clause.sql + order.sql;
+  var params = clause.params;
+
+  if (filter.limit || filter.skip || filter.offset) {
+    sql += ' LIMIT ? OFFSET ?';
+    params = params.concat(filter.limit || -1, filter.skip || filter.offset || 0);
+  }
+
+  return {sql: sql, params: params};
+};
+
+SQLite.prototype.buildOrder = function (model, order) {
+  var self = this;
+  var properties = this.properties(model);
+  var error = null;
+
+  var keys = _.flatMap([].concat(order || this.idName(model)), function (item) {
+    return String(item).split(/\s*,\s*/);
+  }).map(function (item) {
+    var parts = item.trim().split(/\s+/);
+    if (!properties[parts[0]]) {
+      error = invalidFilterError(model, 'Unknown property in order: ' + parts[0]);
+    }
+    return quote(self.column(model, parts[0])) + (/^desc$/i.test(parts[1]) ? ' DESC' : ' ASC');
+  });
+
+  return error ? {error: error} : {sql: ' ORDER BY ' + keys.join(', ')};
+};
+
+/**
+ * Translate a `where` filter to SQL.
+ *
+ * @param {String} model The model name.
+ * @param {Object} where
+ * @returns {{sql: String, params: Array, error: Error}} The `sql` starts
+ *   with ` WHERE` unless `where` is empty.
+ */
+
+SQLite.prototype.buildWhere = function (model, where) {
+  try {
+    var built = this.buildConditions(model, where || {});
+    return {sql: built.sql ? ' WHERE ' + built.sql : '', params: built.params};
+  } catch (err) {
+    return {error: err};
+  }
+};
+
+SQLite.prototype.buildConditions = function (model, where) {
+  var self = this;
+  var properties = this.properties(model);
+  var parts = [];
+  var params = [];
+
+  _.forEach(where, function (cond, key) {
+    if (key === 'and' || key === 'or') {
+      var subs = _.map(cond, function (sub) {
+        return self.buildConditions(model, sub);
+      }).filter(function (sub) {
+        return sub.sql;
+      });
+      if (!subs.length) {
+        return;
+      }
+      parts.push('(' + _.map(subs, 'sql').join(key === 'and' ? ' AND ' : ' OR ') + ')');
+      params = params.concat(_.flatMap(subs, 'params'));
+      return;
+    }
+
+    var prop = properties[key];
+    if (!prop) {
+      throw invalidFilterError(model, 'Unknown property in where: ' + key);
+    }
+
+    var column = quote(self.column(model, key));
+    var value = function (v) {
+      if (prop.type === Date && !_.isNil(v) && isNaN(new Date(v).getTime())) {
+        throw invalidFilterError(model, 'Invalid date for ' + key + ': ' + v);
+      }
+      return toDatabase(prop, v);
+    };
+
+    if (!_.isPlainObject(cond) || cond instanceof Date) {
+      if (cond === null || cond === undefined) {
+        parts.push(column + ' IS NULL');
+      } else {
+        parts.push(column + ' = ?');
+        params.push(value(cond));
+      }
+      return;
+    }
+
+    _.forEach(cond, function (arg, op) {
+      switch (op) {
+        case 'options':
+          return;
+        case 'neq':
+          parts.push(column + ' IS NOT ?');
+          params.push(_.isNil(arg) ? null : value(arg));
+          return;
+        case 'gt':
+        case 'gte':
+        case 'lt':
+        case 'lte':
+          parts.push(column + ' ' + {gt: '>', gte: '>=', lt: '<', lte: '<='}[op] + ' ?');
+          params.push(value(arg));
+          return;
+        case 'between':
+          parts.push(column + ' BETWEEN ? AND ?');
+          params.push(value(arg[0]), value(arg[1]));
+          return;
+        case 'inq':
+        case 'nin':
+          arg = [].concat(arg);
+          if (!arg.length) {
+            parts.push(op === 'inq' ? '0' : '1');
+            return;
+          }
+          parts.push(column + (op === 'inq' ? ' IN (' : ' NOT IN (') + placeholders(arg) + ')');
+          params = params.concat(arg.map(value));
+          return;
+        case 'like':
+        case 'nlike':
+          parts.push(column + (op === 'like' ? ' LIKE ?' : ' NOT LIKE ?'));
+          params.push(String(arg));
+          return;
+        case 'ilike':
+        case 'nilike':
+          parts.push('LOWER(' + column + ')' + (op === 'ilike' ? ' LIKE' : ' NOT LIKE') + ' LOWER(?)');
+          params.push(String(arg));
+          return;
+        default:
+          throw invalidFilterError(model, 'Unsupported operator: ' + op);
+      }
+    });
+  });
+
+  return {sql: parts.join(' AND '), params: params};
+};
+
+function quote(name) {
+  return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+function placeholders(list) {
+  return list.map(function () {
+    return '?';
+  }).join(', ');
+}
+
+function literal(value) {
+  if (value === null) {
+    return 'NULL';
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  return '\'' + String(value).replace(/'/g, '\'\'') + '\'';
+}
+
+function columnType(prop) {
+  if (prop.sqlite && prop.sqlite.dataType) {
+    return prop.sqlite.dataType.toUpperCase();
+  }
+  if (prop.id && prop.type === Number) {
+    return 'INTEGER';
+  }
+  switch (prop.type) {
+    case Number:
+      return 'REAL';
+    case Boolean:
+      return 'INTEGER';
+    default:
+      return 'TEXT';
+  }
+}
+
+function toDatabase(prop, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (prop.type) {
+    case String:
+      return String(value);
+    case Number:
+      return Number(value);
+    case Boolean:
+      return value ? 1 : 0;
+    case Date:
+      return new Date(value).toISOString();
+    default:
+      return JSON.stringify(value);
+  }
+}
+
+function fromDatabase(prop, value) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  switch (prop.type) {
+    case String:
+    case Number:
+      return value;
+    case Boolean:
+      return Boolean(value);
+    case Date:
+      return new Date(value);
+    default:
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        return value;
+      }
+  }
+}
+
+function translateError(err) {
+  if (err.code === 'SQLITE_CONSTRAINT' && /UNIQUE|PRIMARY KEY/.test(err.message)) {
+    err.code = 'DUPLICATE_ENTRY';
+    err.statusCode = 409;
+  }
+  return err;
+}
+
+function notFoundError(model, id, action) {
+  var err = new Error(util.format('Could not %s. Object with id %s does not exist!', action, id));
+  err.code = 'NOT_FOUND';
+  err.statusCode = 404;
+  err.model = model;
+  err.id = id;
+  return err;
+}
+
+function invalidFilterError(model, message) {
+  var err = new Error(util.format('Invalid filter for %s: %s', model, message));
+  err.code = 'INVALID_FILTER';
+  err.statusCode = 400;
+  return err;
+}
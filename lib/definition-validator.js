@@ -0,0 +1,321 @@
+'use strict';
+
+var _ = require('lodash');
+var ModelBuilder = require('loopback-datasource-juggler').ModelBuilder;
+var HTTP_VERBS = require('./shared-method').HTTP_VERBS;
+
+var RELATION_TYPES = [
+  'hasMany',
+  'hasOne',
+  'belongsTo',
+  'hasAndBelongsToMany',
+  'referencesMany',
+  'embedsOne',
+  'embedsMany'
+];
+
+var ACCESS_TYPES = ['READ', 'WRITE', 'EXECUTE', '*'];
+var PERMISSIONS = ['ALLOW', 'DENY', 'ALARM', 'AUDIT'];
+
+var KNOWN_KEYS = [
+  'name', 'description', 'plural', 'base', 'strict', 'idInjection', 'public',
+  'properties', 'relations', 'acls', 'mixins', 'hidden', 'protected', 'methods',
+  'options', 'validations', 'scope', 'scopes', 'indexes', 'http', 'forceId',
+  'replaceOnPUT', 'persistUndefinedAsNull', 'excludeBaseProperties'
+];
+
+/**
+ * Validate a model definition loaded from JSON.
+ *
+ * Checks `name`, `base`, `properties` and their types, `relations`,
+ * `acls`, `mixins`, `hidden` and remote `methods`. Unknown top-level keys are reported only
+ * when they look like a misspelled known key, e.g. `relatons`, since any
+ * other key is a legitimate model setting.
+ *
+ * @param {Object} definition The model definition.
+ * @param {Object} [options]
+ * @property {String[]} [modelNames] Names of models known to the loader,
+ *   accepted as property types.
+ * @returns {Array.<{path: String, message: String}>} The problems found,
+ *   empty when the definition is valid.
+ */
+module.exports = function validateModelDefinition(definition, options) {
+  var issues = [];
+  var modelNames = options && options.modelNames || [];
+
+  function report(path, message) {
+    issues.push({path: path || '(root)', message: message});
+  }
+
+  if (!_.isPlainObject(definition)) {
+    report('', 'must be an object');
+    return issues;
+  }
+
+  if (typeof definition.name !== 'string' || !definition.name) {
+    report('name', 'must be a non-empty string');
+  }
+
+  Object.keys(definition).forEach(function (key) {
+    if (KNOWN_KEYS.indexOf(key) !== -1) {
+      return;
+    }
+    var suggestion = suggestKey(key);
+    if (suggestion) {
+      report(key, 'unknown key, did you mean "' + suggestion + '"?');
+    }
+  });
+
+  var base = definition.base || definition.options && definition.options.base;
+  if (base !== undefined && (typeof base !== 'string' || !base)) {
+    report(definition.base === undefined ? 'options.base' : 'base', 'must be a model name');
+  }
+
+  validateProperties(definition.properties, modelNames, report);
+  validateRelations(definition.relations, report);
+  validateAcls(definition.acls, report);
+  validateMixins(definition.mixins, report);
+  validateHidden(definition.hidden, report);
+  validateMethods(definition.methods, report);
+
+  return issues;
+};
+
+function validateProperties(properties, modelNames, report) {
+  if (properties === undefined) {
+    return;
+  }
+  if (!_.isPlainObject(properties)) {
+    return report('properties', 'must be an object');
+  }
+
+  Object.keys(properties).forEach(function (name) {
+    var path = 'properties.' + name;
+    var prop = properties[name];
+
+    if (_.isPlainObject(prop)) {
+      if (!('type' in prop)) {
+        return report(path + '.type', 'is required');
+      }
+      validateType(prop.type, path + '.type', modelNames, report);
+    } else {
+      validateType(prop, path, modelNames, report);
+    }
+  });
+}
+
+function validateType(type, path, modelNames, report) {
+  if (Array.isArray(type)) {
+    if (type.length > 1) {
+      return report(path, 'array type must have at most one item type');
+    }
+    if (type.length) {
+      validateType(type[0], path + '[0]', modelNames, report);
+    }
+    return;
+  }
+
+  if (typeof type === 'function' || _.isPlainObject(type)) {
+    // a type constructor or an anonymous embedded model
+    return;
+  }
+
+  if (typeof type !== 'string' || !type) {
+    return report(path, 'must be a type name');
+  }
+
+  if (isKnownType(type) || modelNames.indexOf(type) !== -1) {
+    return;
+  }
+
+  // capitalized names are references to models defined elsewhere
+  if (type[0] !== type[0].toUpperCase()) {
+    report(path, 'unknown type "' + type + '"');
+  }
+}
+
+function isKnownType(type) {
+  return type.toLowerCase() in ModelBuilder.schemaTypes;
+}
+
+function validateRelations(relations, report) {
+  if (relations === undefined) {
+    return;
+  }
+  if (!_.isPlainObject(relations)) {
+    return report('relations', 'must be an object');
+  }
+
+  Object.keys(relations).forEach(function (name) {
+    var path = 'relations.' + name;
+    var relation = relations[name];
+
+    if (!_.isPlainObject(relation)) {
+      return report(path, 'must be an object');
+    }
+
+    if (RELATION_TYPES.indexOf(relation.type) === -1) {
+      report(path + '.type', relation.type === undefined ? 'is required' :
+        'unknown relation type "' + relation.type + '", expected one of ' + RELATION_TYPES.join(', '));
+    }
+
+    // polymorphic `belongsTo` resolves the model at runtime
+    if (relation.model === undefined) {
+      if (!(relation.type === 'belongsTo' && relation.polymorphic)) {
+        report(path + '.model', 'is required');
+      }
+    } else if (typeof relation.model !== 'string' || !relation.model) {
+      report(path + '.model', 'must be a model name');
+    }
+
+    ['foreignKey', 'through', 'keyThrough', 'primaryKey'].forEach(function (key) {
+      if (relation[key] !== undefined && typeof relation[key] !== 'string') {
+        report(path + '.' + key, 'must be a string');
+      }
+    });
+  });
+}
+
+function validateAcls(acls, report) {
+  if (acls === undefined) {
+    return;
+  }
+  if (!Array.isArray(acls)) {
+    return report('acls', 'must be an array');
+  }
+
+  acls.forEach(function (acl, i) {
+    var path = 'acls[' + i + ']';
+
+    if (!_.isPlainObject(acl)) {
+      return report(path, 'must be an object');
+    }
+    if (acl.accessType !== undefined && ACCESS_TYPES.indexOf(acl.accessType) === -1) {
+      report(path + '.accessType', 'must be one of ' + ACCESS_TYPES.join(', '));
+    }
+    if (PERMISSIONS.indexOf(acl.permission) === -1) {
+      report(path + '.permission', 'must be one of ' + PERMISSIONS.join(', '));
+    }
+    if (typeof acl.principalType !== 'string' || !acl.principalType) {
+      report(path + '.principalType', 'must be a non-empty string');
+    }
+    if (typeof acl.principalId !== 'string' || !acl.principalId) {
+      report(path + '.principalId', 'must be a non-empty string');
+    }
+    if (acl.property !== undefined && typeof acl.property !== 'string' &&
+      !(Array.isArray(acl.property) && acl.property.every(_.isString))) {
+      report(path + '.property', 'must be a string or an array of strings');
+    }
+  });
+}
+
+function validateMixins(mixins, report) {
+  if (mixins === undefined) {
+    return;
+  }
+  if (!_.isPlainObject(mixins)) {
+    return report('mixins', 'must be an object');
+  }
+
+  Object.keys(mixins).forEach(function (name) {
+    var value = mixins[name];
+    if (typeof value !== 'boolean' && !_.isPlainObject(value) && !Array.isArray(value)) {
+      report('mixins.' + name, 'must be a boolean, an object or an array of options');
+    }
+  });
+}
+
+function validateHidden(hidden, report) {
+  if (hidden === undefined) {
+    return;
+  }
+  if (!Array.isArray(hidden) || !hidden.every(_.isString)) {
+    report('hidden', 'must be an array of property names');
+  }
+}
+
+function validateMethods(methods, report) {
+  if (methods === undefined) {
+    return;
+  }
+  if (!_.isPlainObject(methods)) {
+    return report('methods', 'must be an object');
+  }
+
+  Object.keys(methods).forEach(function (name) {
+    var path = 'methods.' + name;
+    var method = methods[name];
+
+    if (!_.isPlainObject(method)) {
+      return report(path, 'must be an object');
+    }
+
+    validateArgs(method.accepts, path + '.accepts', false, report);
+    validateArgs(method.returns, path + '.returns', true, report);
+
+    if (method.http === undefined) {
+      return;
+    }
+    var routes = Array.isArray(method.http) ? method.http : [method.http];
+    routes.forEach(function (http, i) {
+      var httpPath = path + '.http' + (Array.isArray(method.http) ? '[' + i + ']' : '');
+      if (!_.isPlainObject(http)) {
+        return report(httpPath, 'must be an object');
+      }
+      if (http.verb !== undefined &&
+        (typeof http.verb !== 'string' || HTTP_VERBS.indexOf(http.verb.toLowerCase()) === -1)) {
+        report(httpPath + '.verb', 'must be one of ' + HTTP_VERBS.join(', '));
+      }
+      if (http.path !== undefined && (typeof http.path !== 'string' || http.path[0] !== '/')) {
+        report(httpPath + '.path', 'must be a string starting with "/"');
+      }
+    });
+  });
+}
+
+function validateArgs(args, path, isReturn, report) {
+  if (args === undefined) {
+    return;
+  }
+  var list = Array.isArray(args) ? args : [args];
+
+  list.forEach(function (arg, i) {
+    var argPath = Array.isArray(args) ? path + '[' + i + ']' : path;
+    if (!_.isPlainObject(arg)) {
+      return report(argPath, 'must be an object');
+    }
+    // a `root` return value needs no name
+    if ((typeof arg.arg !== 'string' || !arg.arg) && !(isReturn && arg.root)) {
+      report(argPath + '.arg', 'must be a non-empty string');
+    }
+    if (arg.type !== undefined && typeof arg.type !== 'string' && !Array.isArray(arg.type)) {
+      report(argPath + '.type', 'must be a type name');
+    }
+  });
+}
+
+function suggestKey(key) {
+  return _.find(KNOWN_KEYS, function (known) {
+    return distance(key.toLowerCase(), known.toLowerCase()) <= Math.min(2, known.length / 4);
+  });
+}
+
+// Levenshtein distance
+function distance(a, b) {
+  var row = _.range(b.length + 1);
+
+  for (var i = 1; i <= a.length; i++) {
+    var prev = row[0];
+    row[0] = i;
+    for (var j = 1; j <= b.length; j++) {
+      var current = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = current;
+    }
+  }
+
+  return row[b.length];
+}
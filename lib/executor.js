@@ -0,0 +1,359 @@
+'use strict';
+
+var _ = require('lodash');
+var path = require('path');
+var debug = require('debug')('loopline:executor');
+var integrity = require('./integrity');
+var SharedMethod = require('./shared-method');
+
+/**
+ * Apply loader instructions to `line`: create data sources, configure
+ * migrations, define mixins and models, attach models, then run boot scripts.
+ *
+ * Models are set up synchronously, the returned promise settles once boot
+ * scripts have finished.
+ *
+ * @param {Application} line The application.
+ * @param {Object} instructions Instructions built by the compiler.
+ * @returns {Promise}
+ */
+exports.execute = function (line, instructions) {
+  setupDataSources(line, instructions);
+  setupMigrations(line, instructions);
+  var models = setupModels(line, instructions);
+  attachModels(line, instructions, models);
+  return runBootScripts(line, instructions);
+};
+
+/**
+ * Asynchronous variant of `execute()`, waits for promises returned by model
+ * customization scripts before models are attached.
+ *
+ * @param {Application} line The application.
+ * @param {Object} instructions Instructions built by the compiler.
+ * @returns {Promise}
+ */
+exports.executeAsync = function (line, instructions) {
+  return new Promise(function (resolve) {
+    setupDataSources(line, instructions);
+    setupMigrations(line, instructions);
+    resolve(setupModelsAsync(line, instructions));
+  }).then(function (models) {
+    attachModels(line, instructions, models);
+    return runBootScripts(line, instructions);
+  });
+};
+
+/**
+ * Define the models listed in `names` again from `instructions` and
+ * re-attach them to their data sources, replacing the models currently
+ * attached to `line`. Used to reload models during development.
+ *
+ * The models attached to `line` are only replaced once all new models are
+ * defined, when a definition or customization script fails the registry
+ * is restored and the error thrown.
+ *
+ * @param {Application} line The application.
+ * @param {Object} instructions Fresh instructions built by the compiler.
+ * @param {String[]} names Names of models to redefine.
+ * @returns {Object} The new models keyed by name.
+ */
+exports.redefineModels = function (line, instructions, names) {
+  var registry = line.registry;
+  var builder = registry.modelBuilder;
+  var selected = instructions.models.filter(function (data) {
+    return names.indexOf(data.name) !== -1;
+  });
+  var previous = {
+    models: _.pick(builder.models, names),
+    definitions: _.pick(builder.definitions, names)
+  };
+  var models = {};
+
+  try {
+    // instructions are sorted by inheritance, bases are redefined first
+    selected.forEach(function (data) {
+      defineModel(registry, data, models);
+    });
+    verifySharedMethods({models: selected, strict: instructions.strict}, models);
+  } catch (err) {
+    names.forEach(function (name) {
+      delete builder.models[name];
+      delete builder.definitions[name];
+    });
+    _.assign(builder.models, previous.models);
+    _.assign(builder.definitions, previous.definitions);
+    throw err;
+  }
+
+  selected.forEach(function (data) {
+    line.deleteModelByName(data.name);
+  });
+  attachModels(line, {models: selected}, models);
+
+  return models;
+};
+
+function setupDataSources(line, instructions) {
+  var dataSources = instructions.dataSources || {};
+
+  Object.keys(dataSources).forEach(function (name) {
+    debug('Creating data source %s', name);
+    // `app.dataSource()` resolves the connector in place, keep instructions intact
+    line.dataSource(name, _.clone(dataSources[name]));
+  });
+}
+
+function setupMigrations(line, instructions) {
+  if (line.migrate && instructions.migrations) {
+    line.migrate.configure(instructions.migrations);
+  }
+}
+
+function verifyModelReferences(line, instructions) {
+  var registry = line.registry || line.loopback;
+  var problems = integrity.findUnresolvedReferences(instructions.models, registry.modelBuilder.models);
+  if (!problems.length) {
+    return;
+  }
+
+  var err = new Error('Unresolved model references:\n' + problems.map(function (p) {
+    var file = p.file ? ' (' + path.relative(process.cwd(), p.file) + ')' : '';
+    return '  ' + p.model + file + ': ' + p.path + ' references unknown model "' + p.reference + '"';
+  }).join('\n'));
+  err.code = 'UNRESOLVED_MODEL_REFERENCES';
+  err.details = problems;
+
+  if (instructions.strict === false) {
+    console.warn('WARNING: %s', err.message);
+    return;
+  }
+  throw err;
+}
+
+/*!
+ * Check that the `methods` declared by model definitions are implemented,
+ * once customization scripts have run.
+ */
+function verifySharedMethods(instructions, models) {
+  var problems = [];
+  instructions.models.forEach(function (data) {
+    var model = models[data.name];
+    if (!data.definition || !model) {
+      return;
+    }
+
+    SharedMethod.fromModel(model).forEach(function (method) {
+      if (method.getFunction()) {
+        return;
+      }
+      problems.push({model: data.name, file: data.sourceFile, method: method.stringName});
+    });
+  });
+  if (!problems.length) {
+    return;
+  }
+
+  var err = new Error('Unimplemented remote methods:\n' + problems.map(function (p) {
+    var file = p.file ? ' (' + path.relative(process.cwd(), p.file) + ')' : '';
+    return '  ' + p.model + file + ': ' + p.method + ' is declared in `methods` but not defined';
+  }).join('\n'));
+  err.code = 'UNIMPLEMENTED_REMOTE_METHODS';
+  err.details = problems;
+
+  if (instructions.strict === false) {
+    console.warn('WARNING: %s', err.message);
+    return;
+  }
+  throw err;
+}
+
+function setupModels(line, instructions) {
+  verifyModelReferences(line, instructions);
+  defineMixins(line, instructions);
+  var models = defineModels(line, instructions);
+  verifySharedMethods(instructions, models);
+  return models;
+}
+
+function setupModelsAsync(line, instructions) {
+  verifyModelReferences(line, instructions);
+  defineMixins(line, instructions);
+  return defineModelsAsync(line, instructions).then(function (models) {
+    verifySharedMethods(instructions, models);
+    return models;
+  });
+}
+
+function attachModels(line, instructions, models) {
+  instructions.models.forEach(function (data) {
+    // Skip base models that are not exported to the line
+    if (!data.config) {
+      return;
+    }
+
+    line.model(models[data.name], data.config);
+  });
+}
+
+function runBootScripts(line, instructions) {
+  return (instructions.bootScripts || []).reduce(function (promise, file) {
+    return promise.then(function () {
+      return runBootScript(line, file);
+    });
+  }, Promise.resolve());
+}
+
+function runBootScript(line, file) {
+  return new Promise(function (resolve, reject) {
+    var script = require(file);
+    if (typeof script !== 'function') {
+      debug('Skipping boot script %s - `module.exports` is not a function', file);
+      return resolve();
+    }
+
+    debug('Running boot script %s', file);
+    if (script.length > 1) {
+      script(line, function (err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve();
+      });
+    } else {
+      resolve(script(line));
+    }
+  }).catch(function (err) {
+    if (!(err instanceof Error)) {
+      err = new Error(String(err));
+    }
+    err.message = 'Boot script ' + JSON.stringify(path.basename(file)) + ' failed: ' + err.message;
+    err.bootScript = file;
+    throw err;
+  });
+}
+
+function defineMixins(line, instructions) {
+  var loopline = line.loopback || line.loopline;
+  var modelBuilder = (line.registry || loopline).modelBuilder;
+  var BaseClass = loopline.Model;
+  var mixins = instructions.mixins || [];
+
+  if (!modelBuilder.mixins || !mixins.length) {
+    return;
+  }
+
+  mixins.forEach(function (obj) {
+    var mixin = require(obj.sourceFile);
+
+    if (typeof mixin === 'function' || mixin.prototype instanceof BaseClass) {
+      debug('Defining mixin %s', obj.name);
+      modelBuilder.mixins.define(obj.name, mixin);
+    } else {
+      debug('Skipping mixin file %s - `module.exports` is not a function or Loopback model', obj);
+    }
+  });
+}
+
+function defineModels(line, instructions) {
+  var registry = line.registry || line.loopback;
+  var models = {};
+  instructions.models.forEach(function (data) {
+    defineModel(registry, data, models);
+  });
+  return models;
+}
+
+function defineModelsAsync(line, instructions) {
+  var registry = line.registry || line.loopback;
+  var models = {};
+  // sequentially, a customized base model must be ready before its subclasses
+  return instructions.models.reduce(function (promise, data) {
+    return promise.then(function () {
+      return defineModel(registry, data, models);
+    });
+  }, Promise.resolve()).then(function () {
+    return models;
+  });
+}
+
+/*!
+ * Create or look up the model described by `data`, store it in `models`
+ * and run its customization script.
+ *
+ * @returns {*} The value returned by the customization script.
+ */
+function defineModel(registry, data, models) {
+  var name = data.name;
+  var model;
+  var result;
+
+  if (!data.definition) {
+    model = registry.getModel(name);
+    if (!model) {
+      throw new Error('Cannot configure unknown model ' + name);
+    }
+    debug('Configuring existing model %s', name);
+  } else if (isBuiltinModel(registry, data)) {
+    model = registry.getModel(name);
+    debug('Configuring built-in model %s %j', name, data.definition);
+    customizeBuiltinModel(registry, model, cloneDefinition(data.definition));
+  } else {
+    debug('Creating new model %s %j', name, data.definition);
+    // the model keeps references to the definition, leave instructions reusable
+    model = registry.createModel(cloneDefinition(data.definition));
+  }
+
+  if (data.definition && data.sourceFile) {
+    debug('Loading customization script %s', data.sourceFile);
+    var code = require(data.sourceFile);
+    if (typeof code === 'function') {
+      debug('Customizing model %s', name);
+      result = code(model);
+    } else {
+      debug('Skipping model file %s - `module.exports` is not a function', data.sourceFile);
+    }
+  }
+
+  models[name] = model;
+  return result;
+}
+
+function isBuiltinModel(registry, data) {
+  return Boolean(registry.builtinModels) && _.has(registry.builtinModels, data.name);
+}
+
+/*!
+ * Apply a definition named like a built-in model, see `builtin-models`,
+ * to the existing model instead of replacing it.
+ */
+function customizeBuiltinModel(registry, model, definition) {
+  _.forEach(definition.properties, function (property, key) {
+    model.defineProperty(key, property);
+  });
+
+  var settings = _.assign(
+    _.omit(definition, ['name', 'properties', 'options', 'base', 'super', 'relations', 'acls']),
+    _.omit(definition.options, ['base', 'super']));
+  if (settings.methods) {
+    // declared methods add to the ones of the built-in model
+    settings.methods = _.assign({}, model.settings.methods, settings.methods);
+  }
+
+  registry.configureModel(model, {
+    relations: definition.relations,
+    acls: definition.acls,
+    options: settings,
+    dataSource: null
+  });
+}
+
+function cloneDefinition(definition) {
+  return _.cloneDeepWith(definition, function (value) {
+    // keep type constructors and other non-plain values by reference
+    if (typeof value === 'function' ||
+      (_.isObject(value) && !_.isPlainObject(value) && !Array.isArray(value))) {
+      return value;
+    }
+  });
+}
@@ -0,0 +1,75 @@
+'use strict';
+
+var _ = require('lodash');
+var fs = require('fs');
+var path = require('path');
+var debug = require('debug')('loopline:instructions');
+
+/**
+ * Write loader instructions to a JSON file. File paths are stored relative
+ * to the directory of `file`, so the file can be shipped together with the
+ * application sources.
+ *
+ * @param {String} file The target file.
+ * @param {Object} instructions Instructions returned by `loopline.compile()`.
+ */
+exports.write = function (file, instructions) {
+  var dir = path.dirname(path.resolve(file));
+  var content = mapPaths(instructions, function (p) {
+    return toPosix(path.relative(dir, p));
+  });
+
+  debug('Writing instructions to %s', file);
+  fs.writeFileSync(file, JSON.stringify(content, null, 2) + '\n');
+};
+
+/**
+ * Read loader instructions written by `write()`, file paths are resolved
+ * against the directory of `file`.
+ *
+ * @param {String} file The instructions file.
+ * @returns {Object} The instructions.
+ */
+exports.read = function (file) {
+  var dir = path.dirname(path.resolve(file));
+
+  debug('Reading instructions from %s', file);
+  var instructions = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return mapPaths(instructions, function (p) {
+    return path.resolve(dir, p);
+  });
+};
+
+/*!
+ * Copy `instructions` and convert all file paths using `fn`.
+ */
+function mapPaths(instructions, fn) {
+  var result = _.clone(instructions);
+
+  result.models = _.map(instructions.models, function (inst) {
+    return withFilePaths(inst, fn);
+  });
+  result.mixins = _.map(instructions.mixins, function (inst) {
+    return withFilePaths(inst, fn);
+  });
+  result.bootScripts = _.map(instructions.bootScripts, fn);
+  if (instructions.migrations && instructions.migrations.dir) {
+    result.migrations = _.assign({}, instructions.migrations, {dir: fn(instructions.migrations.dir)});
+  }
+
+  return result;
+}
+
+function withFilePaths(inst, fn) {
+  var result = _.clone(inst);
+  ['sourceFile', 'definitionFile'].forEach(function (key) {
+    if (result[key]) {
+      result[key] = fn(result[key]);
+    }
+  });
+  return result;
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
@@ -0,0 +1,118 @@
+'use strict';
+
+var _ = require('lodash');
+var ModelBuilder = require('loopback-datasource-juggler').ModelBuilder;
+
+/**
+ * Find references to models that are neither loaded by the instructions
+ * nor present in the registry: `base` models, relation `model` and
+ * `through` models (including relations added by the model config) and
+ * property types naming a model.
+ *
+ * @param {Object[]} modelInstructions Model instructions built by the compiler.
+ * @param {Object} registeredModels Models already defined in the registry,
+ *   keyed by name.
+ * @returns {Array.<{model: String, file: String, path: String, reference: String}>}
+ */
+exports.findUnresolvedReferences = function (modelInstructions, registeredModels) {
+  var known = {};
+  modelInstructions.forEach(function (inst) {
+    known[inst.name] = true;
+  });
+
+  function isKnown(name) {
+    return known[name] || Boolean(registeredModels[name]);
+  }
+
+  var problems = [];
+
+  modelInstructions.forEach(function (inst) {
+    function check(path, name) {
+      if (typeof name !== 'string' || isKnown(name)) {
+        return;
+      }
+      problems.push({
+        model: inst.name,
+        file: inst.definitionFile,
+        path: path,
+        reference: name
+      });
+    }
+
+    var definition = inst.definition || {};
+    var base = definition.base || definition.options && definition.options.base;
+    check(definition.base === undefined ? 'options.base' : 'base', base);
+
+    _.forEach(definition.properties, function (prop, name) {
+      var type = _.isPlainObject(prop) ? prop.type : prop;
+      if (Array.isArray(type)) {
+        type = type[0];
+      }
+      if (typeof type === 'string' && !(type.toLowerCase() in ModelBuilder.schemaTypes)) {
+        check('properties.' + name + '.type', type);
+      }
+    });
+
+    checkRelations('relations', definition.relations);
+    checkRelations('config.relations', inst.config && inst.config.relations);
+
+    function checkRelations(path, relations) {
+      _.forEach(relations, function (relation, name) {
+        if (!_.isPlainObject(relation)) {
+          return;
+        }
+        check(path + '.' + name + '.model', relation.model);
+        check(path + '.' + name + '.through', relation.through);
+      });
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Find inheritance cycles among model instructions.
+ *
+ * @param {Object[]} modelInstructions
+ * @param {function(Object):String} getBaseName Returns the base model name
+ *   of a model definition.
+ * @returns {Array.<Array.<Object>>} Each cycle as a list of instructions,
+ *   starting and ending with the same model.
+ */
+exports.findInheritanceCycles = function (modelInstructions, getBaseName) {
+  var byName = {};
+  modelInstructions.forEach(function (inst) {
+    byName[inst.name] = inst;
+  });
+
+  var reported = {};
+  var cycles = [];
+
+  modelInstructions.forEach(function (inst) {
+    var chain = [];
+    var name = inst.name;
+
+    while (name && byName[name] && chain.indexOf(name) === -1) {
+      chain.push(name);
+      name = getBaseName(byName[name].definition);
+    }
+
+    var start = chain.indexOf(name);
+    if (start === -1) {
+      return;
+    }
+
+    var members = chain.slice(start);
+    var key = members.slice().sort().join();
+    if (reported[key]) {
+      return;
+    }
+    reported[key] = true;
+
+    cycles.push(members.concat(name).map(function (name) {
+      return byName[name];
+    }));
+  });
+
+  return cycles;
+};
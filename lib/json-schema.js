@@ -0,0 +1,97 @@
+'use strict';
+
+var _ = require('lodash');
+
+/*!
+ * JSON Schemas of model property types, shared by the OpenAPI document of
+ * `app.openapi()` and the schemas of `typegen`.
+ */
+
+/**
+ * The schema of a property type: a constructor like `String`, a model or
+ * an array of either. Anonymous models of object properties are inlined,
+ * other models are described by `options.ref(Model)`, e.g. with a `$ref`.
+ *
+ * @param {*} type
+ * @param {Object} options
+ * @param {Function} options.ref Returns the schema of a named model.
+ * @param {Boolean} [options.openapi] Describe buffers the OpenAPI 3.0 way,
+ *   `format: 'byte'` instead of `contentEncoding: 'base64'`.
+ * @returns {Object}
+ */
+exports.typeSchema = function (type, options) {
+  if (Array.isArray(type)) {
+    return {type: 'array', items: type.length ? exports.typeSchema(type[0], options) : {}};
+  }
+  if (exports.isModel(type)) {
+    return type.settings.anonymous ? exports.objectSchema(type.definition.properties, options) :
+      options.ref(type);
+  }
+
+  switch (type && type.name) {
+    case 'String':
+      return {type: 'string'};
+    case 'Number':
+      return {type: 'number'};
+    case 'Boolean':
+      return {type: 'boolean'};
+    case 'Date':
+      return {type: 'string', format: 'date-time'};
+    case 'Buffer':
+      return options.openapi ? {type: 'string', format: 'byte'} : {type: 'string', contentEncoding: 'base64'};
+    case 'Array':
+      return {type: 'array', items: {}};
+    case 'GeoPoint':
+      return {type: 'object', properties: {lat: {type: 'number'}, lng: {type: 'number'}}, required: ['lat', 'lng']};
+    case 'Object':
+    case 'JSON':
+      return {type: 'object'};
+    default:
+      return {};
+  }
+};
+
+/**
+ * The object schema of model `properties`, see `typeSchema()`. Properties
+ * are required when defined so, unless their value is generated.
+ *
+ * @param {Object} properties The property definitions keyed by name.
+ * @param {Object} options
+ * @returns {Object}
+ */
+exports.objectSchema = function (properties, options) {
+  var schema = {type: 'object', properties: {}};
+  var required = [];
+
+  _.forEach(properties, function (property, key) {
+    schema.properties[key] = _.assign(exports.typeSchema(property.type, options),
+      property.description ? {description: property.description} : {});
+    if (exports.isRequired(property)) {
+      required.push(key);
+    }
+  });
+  if (required.length) {
+    schema.required = required;
+  }
+  return schema;
+};
+
+/**
+ * Whether a value of the property must be given.
+ *
+ * @param {Object} property The property definition.
+ * @returns {Boolean}
+ */
+exports.isRequired = function (property) {
+  return Boolean(property.required) && !property.generated;
+};
+
+/**
+ * Whether a property type is a model class.
+ *
+ * @param {*} type
+ * @returns {Boolean}
+ */
+exports.isModel = function (type) {
+  return typeof type === 'function' && Boolean(type.modelName && type.definition);
+};
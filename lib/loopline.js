@@ -1,10 +1,13 @@
 "use strict";
 
 var merge = require('util')._extend;
+var EventEmitter = require('events').EventEmitter;
 var juggler = require('loopback-datasource-juggler');
 var proto = require('./application');
 var Registry = require('./registry');
-var load = require('./loader');
+var loader = require('./loader');
+var ConfigLoader = require('./config-loader');
+var Migrator = require('./migrator');
 
 /**
  * Loopline core module. It provides static properties and
@@ -49,6 +52,11 @@ Object.defineProperties(loopline, {
   PersistedModel: {
     get: function() { return this.registry.getModel('PersistedModel'); }
   },
+  Change: {
+    get: function () {
+      return this.registry.getModel('Change');
+    }
+  },
   defaultDataSources: {
     get: function() { return this.registry.defaultDataSources; }
   },
@@ -68,6 +76,12 @@ Object.defineProperties(loopline, {
 function createApplication(app, options) {
   app = app || {};
 
+  // Apps emit events like `model:reloaded`, express apps already do
+  if (typeof app.emit !== 'function') {
+    merge(app, EventEmitter.prototype);
+    EventEmitter.call(app);
+  }
+
   merge(app, proto);
 
   app.loopline = loopline;
@@ -83,16 +97,20 @@ function createApplication(app, options) {
   // Create a new instance of connector registry per each app instance
   app.connectors = {};
 
+  // Versioned migrations of the app data sources
+  app.migrate = new Migrator(app);
+
   // Register built-in connectors. It's important to keep this code
   // hand-written, so that all require() calls are static
   // and thus browserify can process them (include connectors in the bundle)
   app.connector('memory', loopline.Memory);
+  app.connector('sqlite', loopline.SQLite);
 
   if (loopline.localRegistry || options && options.localRegistry === true) {
     // setup the app registry
     var registry = app.registry = new Registry();
     if (options && options.loadBuiltinModels === true) {
-      // require('./builtin-models')(registry);
+      require('./builtin-models')(registry);
     }
   } else {
     app.registry = loopline.registry;
@@ -101,7 +119,24 @@ function createApplication(app, options) {
   return app;
 }
 
-loopline.load = load;
+loopline.load = loader.load;
+loopline.loadAsync = loader.loadAsync;
+loopline.compile = loader.compile;
+loopline.execute = loader.execute;
+loopline.writeInstructions = loader.writeInstructions;
+loopline.typegen = require('./typegen');
+
+/**
+ * Merge config overrides into a model definition or config object the same
+ * way `loopline.load()` applies `<name>.<env>.json` and `<name>.local.js`.
+ *
+ * @param {Object} target The object to merge into, it's modified in place.
+ * @param {Object} source The overrides.
+ * @returns {Object} The `target` object.
+ *
+ * @header loopline.mergeConfig(target, source)
+ */
+loopline.mergeConfig = ConfigLoader.merge;
 
 /**
  * Create a named vanilla JavaScript class constructor with an attached
@@ -252,3 +287,13 @@ loopline.memory = function(name) {
  */
 
 loopline.DataSource = juggler.DataSource;
+
+/*!
+ * Built in connectors
+ */
+
+loopline.Connector = require('./connectors/base-connector');
+loopline.Memory = require('./connectors/memory');
+loopline.SQLite = require('./connectors/sqlite');
+loopline.Migrator = Migrator;
+loopline.AccessControl = require('./access-control');
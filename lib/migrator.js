@@ -0,0 +1,506 @@
+'use strict';
+
+var _ = require('lodash');
+var fs = require('fs');
+var path = require('path');
+var debug = require('debug')('loopline:migrator');
+
+var MIGRATION_FILE = /^(\d+)[-_.].*\.js$/;
+
+module.exports = Migrator;
+
+/**
+ * Apply versioned migration scripts to a data source, available as
+ * `app.migrate`.
+ *
+ * Migrations are files named `<number>-<name>.js` in `dir`, applied in
+ * numeric order. Each exports `up` and `down` functions called with the
+ * app; they may return a promise or accept a callback as second argument:
+ *
+ * ```js
+ * module.exports = {
+ *   up: function(app) {
+ *     return app.dataSources.db.autoupdate(['Customer']);
+ *   },
+ *   down: function(app, cb) {
+ *     app.models.Customer.updateAll({}, {email: null}, cb);
+ *   }
+ * };
+ * ```
+ *
+ * Applied migrations are recorded by the `Migration` model in the target
+ * data source, together with a snapshot of the model definitions at that
+ * time. `create()` compares the current definitions with the latest
+ * snapshot to propose the next migration.
+ *
+ * @param {Application} app The application.
+ * @param {Object} [settings] See `configure()`.
+ * @class Migrator
+ */
+
+function Migrator(app, settings) {
+  this.app = app;
+  this.settings = {
+    dir: path.resolve('migrations'),
+    dataSource: null,
+    modelName: 'Migration'
+  };
+  this.configure(settings);
+}
+
+/**
+ * Change settings, `loopline.load()` sets `dir` and `dataSource` from its
+ * `migrations` option.
+ *
+ * @param {Object} settings
+ * @property {String} [dir] The migrations directory, default `./migrations`.
+ * @property {String} [dataSource] The name of the target data source,
+ *   required when the app has more than one.
+ * @property {String} [modelName] The model recording applied migrations,
+ *   default `Migration`.
+ * @returns {Migrator}
+ */
+
+Migrator.prototype.configure = function (settings) {
+  _.assign(this.settings, _.omitBy(settings, _.isNil));
+  this.Model = null;
+  return this;
+};
+
+/**
+ * List migrations and whether they are applied. Applied migrations whose
+ * file is gone are listed with `missing: true`.
+ *
+ * @returns {Promise.<Array.<{name: String, applied: Boolean, appliedAt: Date}>>}
+ */
+
+Migrator.prototype.status = function () {
+  var self = this;
+
+  return this.applied().then(function (applied) {
+    var byName = _.keyBy(applied, 'name');
+    var files = self.files();
+
+    var result = files.map(function (file) {
+      var record = byName[file.name];
+      return {name: file.name, applied: Boolean(record), appliedAt: record ? record.appliedAt : null};
+    });
+
+    applied.forEach(function (record) {
+      if (!_.some(files, {name: record.name})) {
+        result.push({name: record.name, applied: true, appliedAt: record.appliedAt, missing: true});
+      }
+    });
+
+    return result;
+  });
+};
+
+/**
+ * Apply pending migrations in order.
+ *
+ * @param {String} [target] Stop after the migration with this name.
+ * @returns {Promise.<String[]>} Names of the applied migrations.
+ */
+
+Migrator.prototype.up = function (target) {
+  var self = this;
+
+  return this.applied().then(function (applied) {
+    var done = _.map(applied, 'name');
+    var files = self.files();
+
+    if (target && !_.some(files, {name: target})) {
+      throw migrationError('Unknown migration ' + JSON.stringify(target), target);
+    }
+    if (target) {
+      files = files.slice(0, _.findIndex(files, {name: target}) + 1);
+    }
+
+    var pending = files.filter(function (file) {
+      return done.indexOf(file.name) === -1;
+    });
+
+    return pending.reduce(function (promise, file) {
+      return promise.then(function () {
+        return self.run(file, 'up');
+      }).then(function () {
+        return self.Model.create({
+          name: file.name,
+          appliedAt: new Date(),
+          schema: self.snapshot()
+        });
+      });
+    }, Promise.resolve()).then(function () {
+      return _.map(pending, 'name');
+    });
+  });
+};
+
+/**
+ * Revert the last `n` applied migrations, newest first.
+ *
+ * @param {Number} [n] How many migrations to revert, default 1.
+ * @returns {Promise.<String[]>} Names of the reverted migrations.
+ */
+
+Migrator.prototype.down = function (n) {
+  var self = this;
+  n = n === undefined ? 1 : n;
+
+  return this.applied().then(function (applied) {
+    var files = _.keyBy(self.files(), 'name');
+    var reverted = applied.slice(Math.max(applied.length - n, 0)).reverse();
+
+    return reverted.reduce(function (promise, record) {
+      return promise.then(function () {
+        var file = files[record.name];
+        if (!file) {
+          throw migrationError('Cannot revert migration ' + JSON.stringify(record.name) +
+            ', its file is missing', record.name);
+        }
+        return self.run(file, 'down');
+      }).then(function () {
+        return self.Model.destroyById(record.name);
+      });
+    }, Promise.resolve()).then(function () {
+      return _.map(reverted, 'name');
+    });
+  });
+};
+
+/**
+ * Compare the current model definitions with the snapshot stored by the
+ * latest applied migration.
+ *
+ * @returns {Promise.<Array.<Object>>} Changes like
+ *   `{kind: 'addProperty', model: 'Customer', property: 'email', to: {type: 'string'}}`,
+ *   `kind` is one of `addModel`, `removeModel`, `addProperty`,
+ *   `removeProperty`, `changeProperty`, `addIndex`, `removeIndex`, `changeIndex`.
+ */
+
+Migrator.prototype.diff = function () {
+  var self = this;
+
+  return this.applied().then(function (applied) {
+    var last = _.last(applied);
+    return diffSnapshots(last && last.schema || {}, self.snapshot());
+  });
+};
+
+/**
+ * Write a new migration file numbered after the existing ones. The stub
+ * lists the model changes found by `diff()` and proposes an `autoupdate()`
+ * of the models that were added or changed. Other steps, and `down`, throw
+ * until they are written.
+ *
+ * @param {String} name A short description, e.g. `'add customer email'`.
+ * @returns {Promise.<String>} The path of the created file.
+ */
+
+Migrator.prototype.create = function (name) {
+  var self = this;
+  var slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+  if (!slug) {
+    return Promise.reject(migrationError('The migration name is required'));
+  }
+
+  return this.diff().then(function (changes) {
+    var files = self.files();
+    var number = files.length ? _.last(files).number + 1 : 1;
+    var file = path.join(self.settings.dir, _.padStart(number, 4, '0') + '-' + slug + '.js');
+
+    if (!fs.existsSync(self.settings.dir)) {
+      fs.mkdirSync(self.settings.dir);
+    }
+
+    debug('Creating migration %s', file);
+    fs.writeFileSync(file, renderStub(self.dataSourceName(), changes));
+    return file;
+  });
+};
+
+/*!
+ * Migration files sorted by number.
+ */
+
+Migrator.prototype.files = function () {
+  var dir = this.settings.dir;
+  var names;
+
+  try {
+    names = fs.readdirSync(dir);
+  } catch (err) {
+    return [];
+  }
+
+  return names
+    .filter(function (name) {
+      return MIGRATION_FILE.test(name);
+    })
+    .map(function (name) {
+      return {
+        name: path.basename(name, '.js'),
+        number: parseInt(MIGRATION_FILE.exec(name)[1], 10),
+        file: path.join(dir, name)
+      };
+    })
+    .sort(function (a, b) {
+      return a.number - b.number || (a.name < b.name ? -1 : 1);
+    });
+};
+
+/*!
+ * Applied migration records sorted by name, set up the model first.
+ */
+
+Migrator.prototype.applied = function () {
+  var self = this;
+
+  return this.setup().then(function () {
+    return self.Model.find();
+  }).then(function (records) {
+    var numbers = _.keyBy(self.files(), 'name');
+    return _.sortBy(records, function (record) {
+      return numbers[record.name] ? numbers[record.name].number : parseInt(record.name, 10);
+    });
+  });
+};
+
+Migrator.prototype.setup = function () {
+  var self = this;
+  if (this.Model) {
+    return Promise.resolve(this.Model);
+  }
+
+  return new Promise(function (resolve) {
+    var ds = self.dataSource();
+    var registry = self.app.registry;
+    var modelName = self.settings.modelName;
+
+    var Model = registry.findModel(modelName);
+    if (!Model || Model.dataSource !== ds) {
+      Model = registry.createModel(modelName, {
+        name: {type: 'string', id: true},
+        appliedAt: 'date',
+        schema: 'object'
+      }, {idInjection: false});
+      Model.attachTo(ds);
+    }
+
+    resolve(ds.autoupdate([modelName]).then(function () {
+      self.Model = Model;
+      return Model;
+    }));
+  });
+};
+
+Migrator.prototype.dataSourceName = function () {
+  var dataSources = this.app.dataSources;
+  var name = this.settings.dataSource;
+
+  if (name) {
+    if (!dataSources[name]) {
+      throw migrationError('Unknown migrations data source ' + JSON.stringify(name));
+    }
+    return name;
+  }
+
+  var names = _.uniqBy(Object.keys(dataSources), function (key) {
+    return dataSources[key];
+  });
+  if (names.length !== 1) {
+    throw migrationError('Set the data source to migrate with `app.migrate.configure({dataSource: name})`');
+  }
+  return names[0];
+};
+
+Migrator.prototype.dataSource = function () {
+  return this.app.dataSources[this.dataSourceName()];
+};
+
+/**
+ * Describe the definitions of models attached to the target data source.
+ *
+ * @returns {Object} Keyed by model name, `{properties, indexes}`.
+ */
+
+Migrator.prototype.snapshot = function () {
+  var ds = this.dataSource();
+  var modelName = this.settings.modelName;
+  var result = {};
+
+  this.app.models().forEach(function (Model) {
+    if (Model.dataSource !== ds || Model.modelName === modelName) {
+      return;
+    }
+    result[Model.modelName] = {
+      properties: _.mapValues(Model.definition.properties, describeProperty),
+      indexes: _.cloneDeep(Model.definition.settings.indexes || {})
+    };
+  });
+
+  return result;
+};
+
+Migrator.prototype.run = function (file, direction) {
+  var app = this.app;
+
+  return new Promise(function (resolve, reject) {
+    var script = require(file.file);
+    var fn = script[direction];
+    if (typeof fn !== 'function') {
+      throw new Error('`' + direction + '` is not a function');
+    }
+
+    debug('Running %s %s', direction, file.name);
+    if (fn.length > 1) {
+      fn.call(script, app, function (err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve();
+      });
+    } else {
+      resolve(fn.call(script, app));
+    }
+  }).catch(function (err) {
+    if (!(err instanceof Error)) {
+      err = new Error(String(err));
+    }
+    err.message = 'Migration ' + JSON.stringify(file.name) + ' failed: ' + err.message;
+    err.migration = file.name;
+    throw err;
+  });
+};
+
+function migrationError(message, name) {
+  var err = new Error(message);
+  err.code = 'MIGRATION_ERROR';
+  if (name) {
+    err.migration = name;
+  }
+  return err;
+}
+
+function describeProperty(prop) {
+  var result = {type: typeName(prop.type)};
+  ['id', 'required', 'index', 'length', 'precision', 'scale'].forEach(function (key) {
+    if (prop[key] !== undefined) {
+      result[key] = _.cloneDeep(prop[key]);
+    }
+  });
+  if (prop.default !== undefined && typeof prop.default !== 'function') {
+    result.default = _.cloneDeep(prop.default);
+  }
+  return result;
+}
+
+function typeName(type) {
+  if (Array.isArray(type)) {
+    return [typeName(type[0])];
+  }
+  if (typeof type === 'function') {
+    return type.modelName || type.name.toLowerCase();
+  }
+  return type ? String(type).toLowerCase() : 'any';
+}
+
+function diffSnapshots(from, to) {
+  var changes = [];
+
+  _.forEach(to, function (model, name) {
+    if (!from[name]) {
+      changes.push({kind: 'addModel', model: name, to: model});
+      return;
+    }
+    diffMap(changes, name, 'Property', 'property', from[name].properties, model.properties);
+    diffMap(changes, name, 'Index', 'index', from[name].indexes, model.indexes);
+  });
+
+  _.forEach(from, function (model, name) {
+    if (!to[name]) {
+      changes.push({kind: 'removeModel', model: name, from: model});
+    }
+  });
+
+  return changes;
+}
+
+function diffMap(changes, model, kind, key, from, to) {
+  from = from || {};
+  to = to || {};
+
+  _.forEach(to, function (def, name) {
+    var change = {model: model};
+    change[key] = name;
+
+    if (!(name in from)) {
+      changes.push(_.assign(change, {kind: 'add' + kind, to: def}));
+    } else if (!_.isEqual(from[name], def)) {
+      changes.push(_.assign(change, {kind: 'change' + kind, from: from[name], to: def}));
+    }
+  });
+
+  _.forEach(from, function (def, name) {
+    if (name in to) {
+      return;
+    }
+    var change = {model: model, kind: 'remove' + kind, from: def};
+    change[key] = name;
+    changes.push(change);
+  });
+}
+
+function describeChange(change) {
+  switch (change.kind) {
+    case 'addModel':
+      return 'add model ' + change.model;
+    case 'removeModel':
+      return 'remove model ' + change.model;
+    case 'addProperty':
+    case 'removeProperty':
+    case 'changeProperty':
+      return change.model + ': ' + change.kind.replace('Property', '') + ' property ' +
+        change.property + ' ' + JSON.stringify(change.to || change.from);
+    default:
+      return change.model + ': ' + change.kind.replace('Index', '') + ' index ' +
+        change.index + ' ' + JSON.stringify(change.to || change.from);
+  }
+}
+
+function renderStub(dataSourceName, changes) {
+  var updated = _.uniq(changes.filter(function (change) {
+    return /^(add|change)/.test(change.kind);
+  }).map(function (change) {
+    return change.model;
+  }));
+
+  var lines = ['\'use strict\';', ''];
+
+  if (changes.length) {
+    lines.push('// Model changes since the last applied migration:');
+    changes.forEach(function (change) {
+      lines.push('// - ' + describeChange(change));
+    });
+    lines.push('');
+  }
+
+  lines.push('module.exports = {');
+  lines.push('  up: function (app) {');
+  if (updated.length) {
+    lines.push('    return app.dataSources[' + JSON.stringify(dataSourceName) + ']' +
+      '.autoupdate(' + JSON.stringify(updated) + ');');
+  } else {
+    lines.push('    throw new Error(\'Not implemented\');');
+  }
+  lines.push('  },');
+  lines.push('');
+  lines.push('  down: function (app) {');
+  lines.push('    throw new Error(\'Not implemented\');');
+  lines.push('  }');
+  lines.push('};');
+
+  return lines.join('\n') + '\n';
+}
@@ -1,5 +1,9 @@
 "use strict";
 
+var _ = require('lodash');
+var utils = require('./utils');
+var SharedMethod = require('./shared-method');
+
 module.exports = function(registry) {
   var Model = registry.modelBuilder.define('Model');
 
@@ -9,6 +13,72 @@ module.exports = function(registry) {
 
   };
 
+  /**
+   * Check whether a caller may invoke a method of the model, according to
+   * the model ACLs, see `AccessControl`.
+   *
+   * ```js
+   * Customer.checkAccess({accessToken: {userId: 1}, modelId: 42}, 'prototype.updateAttributes')
+   *   .then(function(allowed) {
+   *     // ...
+   *   });
+   * ```
+   *
+   * @param {Object} ctx The caller context: `accessToken`, `principals`,
+   *   and the `modelId` of instance methods.
+   * @param {String|Object} method The method name or `{name, accessType}`.
+   * @param {Function} [callback] Called with `(err, allowed)`.
+   * @returns {Promise.<Boolean>}
+   */
+  Model.checkAccess = function (ctx, method, callback) {
+    return utils.settle(registry.accessControl.checkAccess(this, ctx, method), callback);
+  };
+
+  /**
+   * Declare a remote method of the model, like an entry of `methods` in
+   * the model JSON, see `SharedMethod`.
+   *
+   * ```js
+   * Customer.greet = function(name) {
+   *   return 'Hello ' + name;
+   * };
+   * Customer.remoteMethod('greet', {
+   *   accepts: {arg: 'name', type: 'string'},
+   *   returns: {arg: 'greeting', type: 'string'},
+   *   http: {verb: 'get'}
+   * });
+   * ```
+   *
+   * @param {String} name The method name, `prototype.<name>` for instance methods.
+   * @param {Object} options The `accepts`, `returns`, `http` and `description`.
+   */
+  Model.remoteMethod = function (name, options) {
+    // subclasses share the `methods` of their base until they declare their own
+    var methods = this.settings.methods = _.assign({}, this.settings.methods);
+    methods[name] = options || {};
+  };
+
+  /**
+   * Get the remote methods declared by the `methods` of the model.
+   *
+   * ```js
+   * Customer.sharedMethods().forEach(function(method) {
+   *   console.log(method.stringName, method.http);
+   * });
+   *
+   * _.find(Customer.sharedMethods(), {name: 'greet'})
+   *   .invoke({name: 'Ann'}, {accessToken: token})
+   *   .then(function(result) {
+   *     // {greeting: 'Hello Ann'}
+   *   });
+   * ```
+   *
+   * @returns {SharedMethod[]}
+   */
+  Model.sharedMethods = function () {
+    return SharedMethod.fromModel(this);
+  };
+
   Model.setup();
 
   return Model;
@@ -0,0 +1,77 @@
+'use strict';
+
+var crypto = require('crypto');
+var utils = require('../utils');
+
+/**
+ * A token identifying a logged in user, see `User.login()`. Pass it as
+ * the `accessToken` of the options of model methods to check them against
+ * the ACLs of the model.
+ *
+ * @property {String} id The random token.
+ * @property {Number} ttl Time to live in seconds, `-1` never expires.
+ * @property {Date} created
+ * @property {*} userId
+ *
+ * @class AccessToken
+ * @inherits {PersistedModel}
+ */
+
+module.exports = function (AccessToken) {
+  /**
+   * Create a random token id.
+   *
+   * @returns {String}
+   */
+  AccessToken.createAccessTokenId = function () {
+    return crypto.randomBytes(32).toString('hex');
+  };
+
+  /**
+   * Find a valid token by id. Expired tokens are deleted.
+   *
+   * @param {String} id
+   * @param {Function} [callback] Called with `(err, token)`.
+   * @returns {Promise.<AccessToken>} The token, `null` when not found or
+   *   expired.
+   */
+  AccessToken.resolve = function (id, callback) {
+    var promise = Promise.resolve(id ? this.findById(id) : null).then(function (token) {
+      if (!token || !isExpired(token)) {
+        return token;
+      }
+      return token.destroy().then(function () {
+        return null;
+      });
+    });
+
+    return utils.settle(promise, callback);
+  };
+
+  /**
+   * Check whether the token has not expired yet.
+   *
+   * @param {Function} [callback] Called with `(err, isValid)`.
+   * @returns {Promise.<Boolean>}
+   */
+  AccessToken.prototype.validate = function (callback) {
+    return utils.settle(Promise.resolve(!isExpired(this)), callback);
+  };
+
+  AccessToken.observe('before save', function (ctx, next) {
+    if (ctx.instance && ctx.isNewInstance && !ctx.instance.id) {
+      ctx.instance.id = ctx.Model.createAccessTokenId();
+    }
+    next();
+  });
+
+  function isExpired(token) {
+    if (token.ttl === -1) {
+      return false;
+    }
+    var created = token.created ? token.created.getTime() : 0;
+    return !(token.ttl > 0) || created + token.ttl * 1000 <= Date.now();
+  }
+
+  return AccessToken;
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+var _ = require('lodash');
+var utils = require('../utils');
+var AccessControl = require('../access-control');
+
+/**
+ * ACL entries stored in a data source, checked together with the `acls`
+ * of model configs.
+ *
+ * ```js
+ * ACL.create({
+ *   model: 'Note', property: '*', accessType: 'WRITE',
+ *   principalType: 'ROLE', principalId: 'editor', permission: 'ALLOW'
+ * });
+ * ```
+ *
+ * @property {String} model The model name.
+ * @property {String} property A method name or `*`.
+ * @property {String} accessType `READ`, `WRITE`, `EXECUTE` or `*`.
+ * @property {String} permission `ALLOW` or `DENY`.
+ * @property {String} principalType `USER`, `APP` or `ROLE`.
+ * @property {String} principalId
+ *
+ * @class ACL
+ * @inherits {PersistedModel}
+ */
+
+module.exports = function (ACL) {
+  ['ALL', 'ALLOW', 'DENY', 'READ', 'WRITE', 'EXECUTE', 'USER', 'APP', 'ROLE'].forEach(function (key) {
+    ACL[key] = AccessControl[key];
+  });
+
+  /**
+   * Get the stored entries of a model, in the format of model config `acls`.
+   *
+   * @param {String} modelName
+   * @param {Function} [callback] Called with `(err, acls)`.
+   * @returns {Promise.<Object[]>}
+   */
+  ACL.findModelACLs = function (modelName, callback) {
+    var promise = this.find({where: {model: modelName}}).then(function (list) {
+      return list.map(function (acl) {
+        return _.omitBy(_.pick(acl.toObject(), [
+          'property', 'accessType', 'permission', 'principalType', 'principalId'
+        ]), _.isNil);
+      });
+    });
+
+    return utils.settle(promise, callback);
+  };
+
+  return ACL;
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Maps a principal to a `Role`.
+ *
+ * @property {String} principalType `USER`, `APP` or `ROLE`.
+ * @property {String} principalId
+ * @property {*} roleId
+ *
+ * @class RoleMapping
+ * @inherits {PersistedModel}
+ */
+
+module.exports = function (RoleMapping) {
+  RoleMapping.USER = 'USER';
+  RoleMapping.APP = 'APP';
+  RoleMapping.ROLE = 'ROLE';
+
+  return RoleMapping;
+};
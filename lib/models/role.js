@@ -0,0 +1,57 @@
+'use strict';
+
+var _ = require('lodash');
+var utils = require('../utils');
+
+/**
+ * A role granted to users, apps or other roles through `RoleMapping`.
+ * ACL entries with a `ROLE` principal match callers mapped to the role.
+ *
+ * ```js
+ * Role.create({name: 'admin'}).then(function(role) {
+ *   return role.principals.create({principalType: RoleMapping.USER, principalId: user.id});
+ * });
+ * ```
+ *
+ * @property {String} name
+ * @property {String} description
+ *
+ * @class Role
+ * @inherits {PersistedModel}
+ */
+
+module.exports = function (Role) {
+  Role.validatesUniquenessOf('name', {message: 'Role already exists'});
+
+  /**
+   * Check whether one of `principals` is mapped to the role `name`.
+   *
+   * @param {String} name The role name.
+   * @param {Object[]} principals Principals like `{type: 'USER', id: 1}`.
+   * @param {Function} [callback] Called with `(err, isInRole)`.
+   * @returns {Promise.<Boolean>}
+   */
+  Role.isInRole = function (name, principals, callback) {
+    var self = this;
+
+    var promise = this.findOne({where: {name: name}}).then(function (role) {
+      if (!role || _.isEmpty(principals)) {
+        return false;
+      }
+
+      var RoleMapping = self.relations.principals.modelTo;
+      return RoleMapping.count({
+        roleId: role.id,
+        or: principals.map(function (p) {
+          return {principalType: p.type, principalId: String(p.id)};
+        })
+      }).then(function (count) {
+        return count > 0;
+      });
+    });
+
+    return utils.settle(promise, callback);
+  };
+
+  return Role;
+};
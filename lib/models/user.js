@@ -0,0 +1,193 @@
+'use strict';
+
+var crypto = require('crypto');
+var utils = require('../utils');
+
+var HASH_ITERATIONS = 10000;
+var HASH_LENGTH = 32;
+var HASH_DIGEST = 'sha256';
+
+/**
+ * A user with a password that can log in to get an `AccessToken`.
+ *
+ * Passwords are hashed when set, even values looking like a hash, and
+ * hidden from `toJSON()`. Instances loaded from the data source keep the
+ * stored hash, juggler applies no setters to them. Emails are
+ * compared in lower case unless the model sets `caseSensitiveEmail`.
+ *
+ * ```js
+ * User.login({email: 'alice@example.com', password: 'secret'}).then(function(token) {
+ *   return Note.find({}, {accessToken: token});
+ * });
+ * ```
+ *
+ * @property {String} username
+ * @property {String} email
+ * @property {String} password Stored hashed.
+ * @property {Boolean} emailVerified
+ * @property {String} realm
+ *
+ * @class User
+ * @inherits {PersistedModel}
+ */
+
+module.exports = function (User) {
+  /*!
+   * Setters and validations are not inherited, set them up for every
+   * subclass.
+   */
+  User.setup = function setupUser() {
+    User.base.setup.apply(this, arguments);
+    setupUserModel(this);
+  };
+
+  setupUserModel(User);
+
+  /**
+   * Hash a plain text password.
+   *
+   * @param {String} plain
+   * @returns {String} `pbkdf2$<iterations>$<salt>$<hash>`
+   */
+  User.hashPassword = function (plain) {
+    var salt = crypto.randomBytes(16).toString('hex');
+    return ['pbkdf2', HASH_ITERATIONS, salt, hash(plain, salt, HASH_ITERATIONS)].join('$');
+  };
+
+  /**
+   * Compare `plain` with the password of the user.
+   *
+   * @param {String} plain
+   * @param {Function} [callback] Called with `(err, isMatch)`.
+   * @returns {Promise.<Boolean>}
+   */
+  User.prototype.hasPassword = function (plain, callback) {
+    var parts = String(this.password || '').split('$');
+    var matches = false;
+
+    if (parts.length === 4 && typeof plain === 'string') {
+      var expected = Buffer.from(parts[3], 'hex');
+      var actual = Buffer.from(hash(plain, parts[2], Number(parts[1])), 'hex');
+      matches = actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    return utils.settle(Promise.resolve(matches), callback);
+  };
+
+  /**
+   * Create an access token for the user.
+   *
+   * @param {Number} [ttl] Time to live in seconds, the `ttl` setting by
+   *   default and at most the `maxTTL` setting.
+   * @param {Function} [callback] Called with `(err, token)`.
+   * @returns {Promise.<AccessToken>}
+   */
+  User.prototype.createAccessToken = function (ttl, callback) {
+    if (typeof ttl === 'function') {
+      callback = ttl;
+      ttl = undefined;
+    }
+
+    var settings = this.constructor.settings;
+    ttl = ttl || settings.ttl;
+    if (settings.maxTTL && ttl > settings.maxTTL) {
+      ttl = settings.maxTTL;
+    }
+
+    return utils.settle(this.accessTokens.create({ttl: ttl}), callback);
+  };
+
+  /**
+   * Log in with `{email, password}` or `{username, password}`.
+   *
+   * Fails with a `401` `LOGIN_FAILED` error for unknown users and wrong
+   * passwords.
+   *
+   * @param {Object} credentials `email` or `username`, `password` and an
+   *   optional `ttl` of the token.
+   * @param {Function} [callback] Called with `(err, token)`.
+   * @returns {Promise.<AccessToken>}
+   */
+  User.login = function (credentials, callback) {
+    var self = this;
+    credentials = credentials || {};
+
+    var promise = Promise.resolve().then(function () {
+      var where = {};
+      if (credentials.email) {
+        where.email = self.settings.caseSensitiveEmail ?
+          credentials.email : String(credentials.email).toLowerCase();
+      } else if (credentials.username) {
+        where.username = credentials.username;
+      } else {
+        throw utils.statusError(400, 'USERNAME_EMAIL_REQUIRED', 'username or email is required');
+      }
+      return self.findOne({where: where});
+    }).then(function (user) {
+      if (!user) {
+        throw utils.statusError(401, 'LOGIN_FAILED', 'login failed');
+      }
+
+      return user.hasPassword(credentials.password).then(function (matches) {
+        if (!matches) {
+          throw utils.statusError(401, 'LOGIN_FAILED', 'login failed');
+        }
+        return user.createAccessToken(credentials.ttl);
+      });
+    });
+
+    return utils.settle(promise, callback);
+  };
+
+  /**
+   * Log out by deleting the access token `tokenId`.
+   *
+   * @param {String} tokenId
+   * @param {Function} [callback] Called with `(err)`.
+   * @returns {Promise}
+   */
+  User.logout = function (tokenId, callback) {
+    var self = this;
+
+    var promise = Promise.resolve().then(function () {
+      if (!tokenId) {
+        throw utils.statusError(401, 'INVALID_TOKEN', 'accessToken is required to logout');
+      }
+      return self.relations.accessTokens.modelTo.deleteById(tokenId);
+    }).then(function (info) {
+      if (!info || !info.count) {
+        throw utils.statusError(401, 'INVALID_TOKEN', 'could not find accessToken');
+      }
+    });
+
+    return utils.settle(promise, callback);
+  };
+
+  // emails are compared in lower case by default
+  User.observe('before save', function (ctx, next) {
+    var data = ctx.instance || ctx.data;
+    if (!ctx.Model.settings.caseSensitiveEmail && data && typeof data.email === 'string') {
+      data.email = data.email.toLowerCase();
+    }
+    next();
+  });
+
+  function setupUserModel(UserModel) {
+    UserModel.setter.password = function (plain) {
+      if (typeof plain !== 'string' || !plain) {
+        this.$password = plain;
+      } else {
+        this.$password = this.constructor.hashPassword(plain);
+      }
+    };
+
+    UserModel.validatesUniquenessOf('email', {message: 'Email already exists'});
+    UserModel.validatesUniquenessOf('username', {message: 'User already exists'});
+  }
+
+  function hash(plain, salt, iterations) {
+    return crypto.pbkdf2Sync(plain, salt, iterations, HASH_LENGTH, HASH_DIGEST).toString('hex');
+  }
+
+  return User;
+};
@@ -0,0 +1,434 @@
+'use strict';
+
+var _ = require('lodash');
+var jsonSchema = require('./json-schema');
+
+module.exports = createOpenAPIDocument;
+
+var JSON_TYPE = 'application/json';
+
+var ERROR_RESPONSE = {
+  description: 'Error',
+  content: jsonContent({
+    type: 'object',
+    properties: {
+      error: {
+        type: 'object',
+        properties: {
+          statusCode: {type: 'number'},
+          name: {type: 'string'},
+          message: {type: 'string'},
+          code: {type: 'string'},
+          details: {}
+        }
+      }
+    }
+  })
+};
+
+var COUNT_SCHEMA = {type: 'object', properties: {count: {type: 'number'}}};
+
+/**
+ * Describe the REST API of the public models of `app`, see `app.openapi()`.
+ *
+ * @param {Application} app
+ * @param {Object} [options] The `title`, `version`, `description` and
+ *   `basePath` of the API.
+ * @returns {Object} The OpenAPI 3 document.
+ */
+
+function createOpenAPIDocument(app, options) {
+  options = options || {};
+
+  var models = app.models().filter(function (Model) {
+    return Model.shared !== false && Boolean(Model.dataSource);
+  });
+  var schemas = {};
+  var paths = {};
+
+  models.forEach(function (Model) {
+    addSchema(schemas, Model);
+    addModelPaths(paths, Model, schemas);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: _.omitBy({
+      title: options.title || 'loopline',
+      version: options.version || '1.0.0',
+      description: options.description
+    }, _.isUndefined),
+    servers: [{url: options.basePath || '/'}],
+    tags: models.map(function (Model) {
+      return _.omitBy({name: Model.modelName, description: Model.settings.description}, _.isUndefined);
+    }),
+    paths: paths,
+    components: {
+      schemas: schemas,
+      responses: {Error: ERROR_RESPONSE},
+      securitySchemes: {
+        accessToken: {type: 'apiKey', in: 'query', name: 'access_token'},
+        authorization: {type: 'apiKey', in: 'header', name: 'Authorization'}
+      }
+    },
+    // the access token is optional, the model ACLs decide
+    security: [{accessToken: []}, {authorization: []}, {}]
+  };
+}
+
+/*!
+ * Add the component schema of `Model`, and of its base and the models of
+ * its properties, once. A base with properties of its own is referenced
+ * with `allOf` unless the model hides some of them.
+ */
+
+function addSchema(schemas, Model) {
+  var name = Model.modelName;
+  if (schemas[name]) {
+    return ref(name);
+  }
+  // referenced models are added meanwhile, cycles included
+  schemas[name] = {};
+
+  var hidden = Model.settings.hidden || [];
+  var properties = Model.definition.properties;
+  var base = Model.base;
+  var inherit = hasSchema(base) && _.difference(hidden, base.settings.hidden || []).every(function (prop) {
+    return !_.has(base.definition.properties, prop);
+  });
+
+  var schema = jsonSchema.objectSchema(_.omitBy(properties, function (property, key) {
+    return _.includes(hidden, key) || inherit && _.has(base.definition.properties, key);
+  }), schemaOptions(schemas));
+
+  if (inherit) {
+    schema = {allOf: [addSchema(schemas, base), schema]};
+  }
+  if (Model.settings.description) {
+    schema.description = Model.settings.description;
+  }
+
+  schemas[name] = schema;
+  return ref(name);
+}
+
+function hasSchema(Model) {
+  var registry = Model && Model.registry;
+  return Boolean(Model && Model.definition && registry) &&
+    Model !== registry.findModel('Model') && Model !== registry.findModel('PersistedModel');
+}
+
+/*!
+ * Options of `jsonSchema.typeSchema()`, adding the schemas of referenced
+ * models.
+ */
+
+function schemaOptions(schemas) {
+  return {
+    openapi: true,
+    ref: function (Model) {
+      return addSchema(schemas, Model);
+    }
+  };
+}
+
+/*!
+ * The schema of a remote method argument type, a type name like
+ * `'string'`, a model name or an array of either.
+ */
+
+function argSchema(type, Model, schemas) {
+  if (Array.isArray(type)) {
+    return {type: 'array', items: type.length ? argSchema(type[0], Model, schemas) : {}};
+  }
+
+  switch (String(type || 'any').toLowerCase()) {
+    case 'string':
+      return {type: 'string'};
+    case 'number':
+      return {type: 'number'};
+    case 'boolean':
+      return {type: 'boolean'};
+    case 'date':
+      return {type: 'string', format: 'date-time'};
+    case 'buffer':
+      return {type: 'string', format: 'byte'};
+    case 'object':
+      return {type: 'object'};
+    case 'array':
+      return {type: 'array', items: {}};
+    case 'any':
+      return {};
+    default:
+      var TypeModel = Model.registry.findModel(type);
+      return TypeModel ? addSchema(schemas, TypeModel) : {};
+  }
+}
+
+/*!
+ * Paths of the built-in routes of `app.rest()` and of the remote methods
+ * of `Model`, which take precedence like they do there.
+ */
+
+function addModelPaths(paths, Model, schemas) {
+  var name = Model.modelName;
+  var root = Model.http.path;
+  var schema = ref(name);
+  var id = idParameter(Model, 'id');
+
+  function add(path, verb, operationId, operation) {
+    var item = paths[path] = paths[path] || {};
+    item[verb] = _.assign({tags: [name], operationId: name + '.' + operationId}, operation, {
+      responses: _.assign({}, operation.responses, {default: ref('Error', 'responses')})
+    });
+  }
+
+  add(root, 'get', 'find', {
+    summary: 'Find all instances matching the filter.',
+    parameters: [jsonParameter('filter')],
+    responses: {200: response('Matching instances', {type: 'array', items: schema})}
+  });
+  add(root, 'post', 'create', {
+    summary: 'Create a new instance.',
+    requestBody: body(schema),
+    responses: {200: response('The created instance', schema)}
+  });
+  add(root, 'put', 'replaceOrCreate', {
+    summary: 'Replace an existing instance or create a new one.',
+    requestBody: body(schema),
+    responses: {200: response('The instance', schema)}
+  });
+  add(root, 'patch', 'upsert', {
+    summary: 'Update an existing instance or create a new one.',
+    requestBody: body(schema),
+    responses: {200: response('The instance', schema)}
+  });
+  add(root + '/count', 'get', 'count', {
+    summary: 'Count instances matching the where filter.',
+    parameters: [jsonParameter('where')],
+    responses: {200: response('The number of instances', COUNT_SCHEMA)}
+  });
+  add(root + '/findOne', 'get', 'findOne', {
+    summary: 'Find the first instance matching the filter.',
+    parameters: [jsonParameter('filter')],
+    responses: {200: response('The first matching instance', schema)}
+  });
+  add(root + '/update', 'post', 'updateAll', {
+    summary: 'Update instances matching the where filter.',
+    parameters: [jsonParameter('where')],
+    requestBody: body(schema),
+    responses: {200: response('The number of updated instances', COUNT_SCHEMA)}
+  });
+  add(root + '/{id}', 'get', 'findById', {
+    summary: 'Find an instance by id.',
+    parameters: [id, jsonParameter('filter')],
+    responses: {200: response('The instance', schema)}
+  });
+  add(root + '/{id}', 'head', 'exists__head', {
+    summary: 'Check whether an instance exists.',
+    parameters: [id],
+    responses: {200: {description: 'The instance exists'}}
+  });
+  add(root + '/{id}/exists', 'get', 'exists', {
+    summary: 'Check whether an instance exists.',
+    parameters: [id],
+    responses: {200: response('Whether the instance exists', {type: 'object', properties: {exists: {type: 'boolean'}}})}
+  });
+  add(root + '/{id}', 'put', 'replaceById', {
+    summary: 'Replace the attributes of an instance.',
+    parameters: [id],
+    requestBody: body(schema),
+    responses: {200: response('The instance', schema)}
+  });
+  add(root + '/{id}', 'patch', 'prototype.updateAttributes', {
+    summary: 'Update attributes of an instance.',
+    parameters: [id],
+    requestBody: body(schema),
+    responses: {200: response('The instance', schema)}
+  });
+  add(root + '/{id}', 'delete', 'deleteById', {
+    summary: 'Delete an instance by id.',
+    parameters: [id],
+    responses: {200: response('The number of deleted instances', COUNT_SCHEMA)}
+  });
+
+  _.forEach(Model.relations, function (relation, relationName) {
+    var Target = relation.modelTo;
+    if (!Target) {
+      return;
+    }
+
+    var path = root + '/{id}/' + relationName;
+    var target = addSchema(schemas, Target);
+
+    if (!relation.multiple) {
+      add(path, 'get', 'prototype.__get__' + relationName, {
+        summary: 'Fetch the related ' + Target.modelName + '.',
+        parameters: [id],
+        responses: {200: response('The related instance', target)}
+      });
+      return;
+    }
+
+    var fk = idParameter(Target, 'fk');
+    add(path, 'get', 'prototype.__get__' + relationName, {
+      summary: 'Query the related ' + relationName + '.',
+      parameters: [id, jsonParameter('filter')],
+      responses: {200: response('The related instances', {type: 'array', items: target})}
+    });
+    add(path, 'post', 'prototype.__create__' + relationName, {
+      summary: 'Create a related instance in ' + relationName + '.',
+      parameters: [id],
+      requestBody: body(target),
+      responses: {200: response('The created instance', target)}
+    });
+    add(path + '/count', 'get', 'prototype.__count__' + relationName, {
+      summary: 'Count the related ' + relationName + '.',
+      parameters: [id, jsonParameter('where')],
+      responses: {200: response('The number of related instances', COUNT_SCHEMA)}
+    });
+    add(path + '/{fk}', 'get', 'prototype.__findById__' + relationName, {
+      summary: 'Find a related instance in ' + relationName + ' by id.',
+      parameters: [id, fk],
+      responses: {200: response('The related instance', target)}
+    });
+    add(path + '/{fk}', 'put', 'prototype.__updateById__' + relationName, {
+      summary: 'Update a related instance in ' + relationName + ' by id.',
+      parameters: [id, fk],
+      requestBody: body(target),
+      responses: {200: response('The related instance', target)}
+    });
+    add(path + '/{fk}', 'delete', 'prototype.__destroyById__' + relationName, {
+      summary: 'Delete a related instance in ' + relationName + ' by id.',
+      parameters: [id, fk],
+      responses: {204: {description: 'Deleted'}}
+    });
+  });
+
+  Model.sharedMethods().forEach(function (method) {
+    method.http.forEach(function (http, i) {
+      var operation = methodOperation(Model, method, http, schemas);
+      // `all` matches any verb, documented as `post`
+      add(operation.path, http.verb === 'all' ? 'post' : http.verb,
+        method.stringName + (i ? '__' + i : ''), operation.spec);
+    });
+  });
+}
+
+/*!
+ * Describe a remote method, see `SharedMethod`. Arguments named in the
+ * path are path parameters, the others are query parameters of `GET`,
+ * `HEAD` and `DELETE` and body fields otherwise.
+ */
+
+function methodOperation(Model, method, http, schemas) {
+  var pathParams = [];
+  var subPath = http.path.replace(/:(\w+)/g, function (match, name) {
+    pathParams.push(name);
+    return '{' + name + '}';
+  });
+  var path = Model.http.path + (method.isStatic ? '' : '/{id}') + (subPath === '/' ? '' : subPath);
+  var inQuery = ['get', 'head', 'delete'].indexOf(http.verb) !== -1;
+
+  var parameters = method.isStatic ? [] : [idParameter(Model, 'id')];
+  var bodySchema = {type: 'object', properties: {}};
+  var required = [];
+  var wholeBody;
+
+  method.accepts.forEach(function (accept) {
+    if (accept.http === 'optionsFromRequest') {
+      return;
+    }
+
+    var schema = _.assign(argSchema(accept.type, Model, schemas),
+      accept.description ? {description: accept.description} : {});
+    if (accept.http && accept.http.source === 'body') {
+      wholeBody = {schema: schema, required: Boolean(accept.required)};
+    } else if (pathParams.indexOf(accept.arg) !== -1) {
+      parameters.push({name: accept.arg, in: 'path', required: true, schema: schema});
+    } else if (inQuery) {
+      parameters.push(_.assign({name: accept.arg, in: 'query', required: Boolean(accept.required)},
+        isStructured(schema) ? {content: jsonContent(schema)} : {schema: schema}));
+    } else {
+      bodySchema.properties[accept.arg] = schema;
+      if (accept.required) {
+        required.push(accept.arg);
+      }
+    }
+  });
+  if (required.length) {
+    bodySchema.required = required;
+  }
+
+  var requestBody;
+  if (wholeBody) {
+    requestBody = body(wholeBody.schema, wholeBody.required);
+  } else if (!_.isEmpty(bodySchema.properties)) {
+    requestBody = body(bodySchema, required.length > 0);
+  }
+
+  var spec = _.omitBy({
+    summary: method.description,
+    parameters: parameters.length ? parameters : undefined,
+    requestBody: requestBody,
+    responses: {}
+  }, _.isUndefined);
+
+  var root = _.find(method.returns, 'root');
+  if (root) {
+    spec.responses[200] = response('The result', argSchema(root.type, Model, schemas));
+  } else if (method.returns.length) {
+    spec.responses[200] = response('The result', {
+      type: 'object',
+      properties: _.fromPairs(method.returns.map(function (ret) {
+        return [ret.arg, argSchema(ret.type, Model, schemas)];
+      }))
+    });
+  } else {
+    spec.responses[204] = {description: 'No content'};
+  }
+
+  return {path: path, spec: spec};
+}
+
+function isStructured(schema) {
+  return Boolean(schema.$ref) || schema.type === 'object' || schema.type === 'array';
+}
+
+function idParameter(Model, name) {
+  var idName = Model.definition.idName() || 'id';
+  var property = Model.definition.properties[idName];
+  return {
+    name: name,
+    in: 'path',
+    required: true,
+    schema: property ? jsonSchema.typeSchema(property.type, schemaOptions({})) : {type: 'string'}
+  };
+}
+
+function jsonParameter(name) {
+  return {
+    name: name,
+    in: 'query',
+    description: 'The ' + name + ' filter as JSON',
+    content: jsonContent({type: 'object'})
+  };
+}
+
+function body(schema, required) {
+  return {required: required !== false, content: jsonContent(schema)};
+}
+
+function response(description, schema) {
+  return {description: description, content: jsonContent(schema)};
+}
+
+function jsonContent(schema) {
+  var content = {};
+  content[JSON_TYPE] = {schema: schema};
+  return content;
+}
+
+function ref(name, section) {
+  return {$ref: '#/components/' + (section || 'schemas') + '/' + name};
+}
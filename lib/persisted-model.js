@@ -1,21 +1,87 @@
-"use strict";
+'use strict';
 
-module.exports = function(registry) {
+var _ = require('lodash');
+var assert = require('assert');
+var debug = require('debug')('loopline:persisted-model');
+var utils = require('./utils');
+
+// events the juggler DAO emits itself, with ids and where filters
+var DAO_EVENTS = ['changed', 'deleted', 'deletedAll'];
+
+// operations the DAO emits its events after
+var DAO_EVENT_OPERATIONS = ['after save', 'after delete'];
+
+// operations notifying `observe()` hooks
+var OPERATION_HOOKS = [
+  'access', 'before save', 'persist', 'loaded', 'after save', 'before delete', 'after delete'
+];
+
+module.exports = function (registry) {
   var Model = registry.getModel('Model');
 
   /**
    * Extends Model with basic query and CRUD support.
    *
-   * **Change Event**
+   * **Change Events**
    *
-   * Listen for model changes using the `change` event.
+   * Listen for model changes using the `created`, `changed` and `deleted`
+   * events, emitted once per affected instance with the operation context
+   * (`options`, `where`, `data`, `hookState`, ...):
    *
    * ```js
-   * MyPersistedModel.on('changed', function(obj) {
+   * MyPersistedModel.addListener('changed', function(obj, ctx) {
    *    console.log(obj) // => the changed model
    * });
    * ```
    *
+   * `on()` works as well, but the juggler reports listening to `changed`,
+   * `deleted` and `deletedAll` with `on()` as deprecated.
+   *
+   * `updateAll()` and `destroyAll()` also emit `updatedAll` and `deletedAll`
+   * once with the array of affected instances. `deleteById()` only emits
+   * `deleted`. Operations called with `{notify: false}` emit nothing.
+   *
+   * Bulk operations cost extra queries while someone listens: `updateAll()`
+   * finds the ids of the matching records before the update and loads them
+   * after it, three round trips instead of one, `destroyAll()` loads the
+   * records before deleting them. `upsert()` looks its id up first, to tell
+   * an insert from an update when the connector doesn't report it. These
+   * queries get the options of the operation, e.g. its `transaction`, but
+   * run no `access` or `loaded` hooks and no access checks.
+   *
+   * **Operation Hooks**
+   *
+   * Intercept persistence with `observe()` hooks of `access`, `before save`,
+   * `persist`, `loaded`, `after save`, `before delete` and `after delete`.
+   * Hooks get the operation context (`Model`, `instance` or `data` and `where`,
+   * `isNewInstance`, `options`, `hookState`, ...) and may be synchronous,
+   * call `next` or return a promise:
+   *
+   * ```js
+   * MyPersistedModel.observe('before save', function(ctx) {
+   *   (ctx.instance || ctx.data).updated = new Date();
+   * });
+   * MyPersistedModel.observe('access', function(ctx, next) {
+   *   ctx.query.where = _.assign({deleted: false}, ctx.query.where);
+   *   next();
+   * });
+   * ```
+   *
+   * Hooks of a model also run for its subclasses, before their own hooks.
+   *
+   * **Change Tracking**
+   *
+   * With the `trackChanges` setting, changes of the model are recorded in a
+   * change log (see `Change`) attached to the same data source, so that the
+   * model can be replicated to another data source:
+   *
+   * ```js
+   * var Customer = app.registry.createModel('Customer', {name: 'string'}, {trackChanges: true});
+   * Customer.replicate(since, RemoteCustomer).then(function(result) {
+   *   since = result.checkpoint;
+   * });
+   * ```
+   *
    * @class PersistedModel
    */
 
@@ -28,9 +94,450 @@ module.exports = function(registry) {
     // call Model.setup first
     Model.setup.call(this);
 
+    // check methods called with a caller context, see `AccessControl`
+    this.on('dataAccessConfigured', function (Model) {
+      registry.accessControl.protect(Model);
+    });
+
+    // statics are copied from the base model
+    this._changeModel = null;
+    if (this.settings.trackChanges) {
+      this.on('dataSourceAttached', this.enableChangeTracking.bind(this));
+    }
+  };
+
+  var notifyObserversOf = PersistedModel.notifyObserversOf;
+
+  /*!
+   * The DAO emits its own `changed`, `deleted` and `deletedAll` events, with
+   * ids and where filters, from the callback of the `after save` and `after
+   * delete` hooks. Their listeners are set aside while the callback runs, the
+   * change events are emitted by the hooks below instead.
+   */
+  PersistedModel.notifyObserversOf = function (operation, context, callback) {
+    var Model = this;
+    // base models are notified of the operations of their subclasses too
+    if (DAO_EVENT_OPERATIONS.indexOf(operation) === -1 || !context || context.Model !== Model ||
+        typeof callback !== 'function') {
+      return notifyObserversOf.apply(this, arguments);
+    }
+
+    return notifyObserversOf.call(this, operation, context, function () {
+      var self = this;
+      var args = arguments;
+      return withoutDaoListeners(Model, function () {
+        return callback.apply(self, args);
+      });
+    });
+  };
+
+  var observe = PersistedModel.observe;
+  var removeObserver = PersistedModel.removeObserver;
+
+  /**
+   * Register a hook of `operation`. A hook taking a single `ctx` argument
+   * and not returning a promise continues once it returns, errors it
+   * throws fail the operation.
+   *
+   * @param {String} operation The operation, e.g. `'before save'`.
+   * @param {Function} listener Called with `(ctx, [next])`, `this` is the
+   *   model the hook is registered on.
+   */
+  PersistedModel.observe = function (operation, listener) {
+    if (OPERATION_HOOKS.indexOf(operation) === -1) {
+      debug('Unknown operation hook "%s" of %s', operation, this.modelName);
+    }
+    return observe.call(this, operation, createObserver(this, listener));
+  };
+
+  /**
+   * Unregister a hook added by `observe()`.
+   *
+   * @param {String} operation
+   * @param {Function} listener
+   */
+  PersistedModel.removeObserver = function (operation, listener) {
+    var observers = this._observers && this._observers[operation];
+    var observer = _.find(observers, {listener: listener});
+    return removeObserver.call(this, operation, observer || listener);
+  };
+
+  /**
+   * Get the change log of a model with `trackChanges`.
+   *
+   * @returns {Change} The change model, `null` until the model is attached.
+   */
+  PersistedModel.getChangeModel = function () {
+    return this._changeModel;
+  };
+
+  /**
+   * Set up the change log, called when a model with `trackChanges` is
+   * attached to a data source.
+   */
+  PersistedModel.enableChangeTracking = function () {
+    assert(this.dataSource, 'Cannot track changes of ' + this.modelName + ', it is not attached');
+
+    if (!this._changeModel) {
+      this._changeModel = registry.createModel(this.modelName + 'Change', {}, {
+        base: registry.getModel('Change')
+      });
+      this._changeModel.trackedModel = this;
+    }
+    if (this._changeModel.dataSource !== this.dataSource) {
+      this._changeModel.attachTo(this.dataSource);
+    }
+  };
+
+  /**
+   * Get changes recorded since `since`.
+   *
+   * @param {Number} [since] A checkpoint, `-1` or omitted for all changes.
+   * @param {Object} [options] Options passed to the model operations.
+   * @param {Function} [callback] Called with `(err, changes)`.
+   * @returns {Promise.<Change[]>}
+   */
+  PersistedModel.changes = function (since, options, callback) {
+    if (typeof since === 'function') {
+      callback = since;
+      since = undefined;
+    } else if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+
+    var Change = trackedChangeModel(this);
+    var filter = {order: 'checkpoint ASC'};
+    if (since !== undefined && since >= 0) {
+      filter.where = {checkpoint: {gte: since}};
+    }
+
+    return utils.settle(Change.find(filter, options || {}), callback);
+  };
+
+  /**
+   * Compare changes of another model, e.g. from `changes()`, with the
+   * changes of this model.
+   *
+   * @param {Change[]} remoteChanges
+   * @param {Function} [callback] Called with `(err, {deltas, conflicts})`.
+   * @returns {Promise.<{deltas: Change[], conflicts: Change[]}>} `deltas`
+   *   to apply and `conflicts`, both lists of remote changes.
+   */
+  PersistedModel.diff = function (remoteChanges, callback) {
+    return utils.settle(trackedChangeModel(this).diff(remoteChanges), callback);
+  };
+
+  /**
+   * Close the current checkpoint, see `Change.checkpoint()`.
+   *
+   * @param {Function} [callback] Called with `(err, checkpoint)`.
+   * @returns {Promise.<Number>} The checkpoint new changes are recorded in.
+   */
+  PersistedModel.checkpoint = function (callback) {
+    return utils.settle(trackedChangeModel(this).checkpoint(), callback);
+  };
+
+  /**
+   * Get the checkpoint new changes are recorded in.
+   *
+   * @param {Function} [callback] Called with `(err, checkpoint)`.
+   * @returns {Promise.<Number>}
+   */
+  PersistedModel.currentCheckpoint = function (callback) {
+    return utils.settle(trackedChangeModel(this).currentCheckpoint(), callback);
+  };
+
+  /**
+   * Record changes for instances not in the change log yet, e.g. data
+   * written before `trackChanges` was enabled.
+   *
+   * @param {Function} [callback] Called with `(err)`.
+   * @returns {Promise}
+   */
+  PersistedModel.rectifyAllChanges = function (callback) {
+    return utils.settle(trackedChangeModel(this).rectifyAll(), callback);
+  };
+
+  /**
+   * Copy changes recorded since `since` to `targetModel`. Instances changed
+   * on both sides are not copied but reported as conflicts.
+   *
+   * ```js
+   * var since = -1;
+   * EdgeCustomer.replicate(since, Customer).then(function(result) {
+   *   since = result.checkpoint; // for the next replication
+   *   result.conflicts.forEach(function(conflict) {
+   *     conflict.resolveUsingSource();
+   *   });
+   * });
+   * ```
+   *
+   * @param {Number} [since] The checkpoint returned by the last replication,
+   *   `-1` or omitted to replicate all changes.
+   * @param {PersistedModel} targetModel A model with `trackChanges`.
+   * @param {Object} [options] Options passed to the model operations.
+   * @param {Function} [callback] Called with `(err, {conflicts, checkpoint})`.
+   * @returns {Promise.<{conflicts: Conflict[], checkpoint: Number}>}
+   *   `checkpoint` is the `since` value of the next replication.
+   */
+  PersistedModel.replicate = function (since, targetModel, options, callback) {
+    if (typeof since === 'function' && since.modelName) {
+      callback = options;
+      options = targetModel;
+      targetModel = since;
+      since = undefined;
+    }
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+    options = options || {};
+
+    var sourceModel = this;
+    var Change = registry.getModel('Change');
+    var checkpoint;
+
+    var promise = Promise.resolve().then(function () {
+      trackedChangeModel(targetModel);
+      return sourceModel.checkpoint();
+    }).then(function (cp) {
+      checkpoint = cp;
+      return sourceModel.changes(since, options);
+    }).then(function (changes) {
+      return trackedChangeModel(targetModel).diff(changes, options);
+    }).then(function (diff) {
+      return diff.deltas.reduce(function (promise, change) {
+        return promise.then(function () {
+          return Change.copyInstance(sourceModel, targetModel, change.modelId, options);
+        });
+      }, Promise.resolve()).then(function () {
+        // later target changes start from the replicated revisions
+        return targetModel.checkpoint();
+      }).then(function () {
+        return {
+          conflicts: diff.conflicts.map(function (change) {
+            return new Change.Conflict(change.modelId, sourceModel, targetModel);
+          }),
+          checkpoint: checkpoint
+        };
+      });
+    });
+
+    return utils.settle(promise, callback);
   };
 
   PersistedModel.setup();
 
+  PersistedModel.observe('before save', function (ctx, next) {
+    var Model = ctx.Model;
+    if (ctx.instance || ctx.currentInstance || !hasListeners(Model, ['created', 'changed', 'updatedAll'])) {
+      return next();
+    }
+    // where may not match the records once updated, remember their ids,
+    // they also tell whether an upsert inserted its record
+    findAffected(ctx, ctx.where, [idName(Model)], function (err, instances) {
+      if (err) {
+        return next(err);
+      }
+      ctx.hookState.changeEventIds = _.map(instances, idName(Model));
+      next();
+    });
+  });
+
+  PersistedModel.observe('after save', function (ctx, next) {
+    var Model = ctx.Model;
+    var ids = ctx.hookState.changeEventIds;
+    if (ctx.instance) {
+      var isNewInstance = ctx.isNewInstance;
+      if (isNewInstance === undefined && ids) {
+        isNewInstance = !_.includes(ids, ctx.instance[idName(Model)]);
+      }
+      Model.emit(isNewInstance ? 'created' : 'changed', ctx.instance, ctx);
+      return next();
+    }
+    if (!ids) {
+      return next();
+    }
+
+    var where = {};
+    where[idName(Model)] = {inq: ids};
+    findAffected(ctx, where, null, function (err, instances) {
+      if (err) {
+        return next(err);
+      }
+      instances.forEach(function (inst) {
+        Model.emit('changed', inst, ctx);
+      });
+      Model.emit('updatedAll', instances, ctx);
+      next();
+    });
+  });
+
+  PersistedModel.observe('before delete', function (ctx, next) {
+    if (ctx.instance || !hasListeners(ctx.Model, ['deleted', 'deletedAll'])) {
+      return next();
+    }
+    findAffected(ctx, ctx.where, null, function (err, instances) {
+      if (err) {
+        return next(err);
+      }
+      ctx.hookState.changeEventInstances = instances;
+      next();
+    });
+  });
+
+  PersistedModel.observe('after delete', function (ctx, next) {
+    var Model = ctx.Model;
+    if (ctx.instance) {
+      Model.emit('deleted', ctx.instance, ctx);
+      return next();
+    }
+
+    var instances = ctx.hookState.changeEventInstances;
+    if (!instances) {
+      return next();
+    }
+
+    instances.forEach(function (inst) {
+      Model.emit('deleted', inst, ctx);
+    });
+    if (!isWhereById(Model, ctx.where)) {
+      Model.emit('deletedAll', instances, ctx);
+    }
+    next();
+  });
+
+  PersistedModel.observe('before save', rememberTrackedIds);
+  PersistedModel.observe('before delete', rememberTrackedIds);
+  PersistedModel.observe('after save', rectifyTrackedChanges);
+  PersistedModel.observe('after delete', rectifyTrackedChanges);
+
+  function createObserver(Model, listener) {
+    var observer = function (ctx, next) {
+      var result;
+      try {
+        result = listener.call(Model, ctx, next);
+      } catch (err) {
+        return next(err);
+      }
+
+      if (result && typeof result.then === 'function') {
+        result.then(function () {
+          next();
+        }, next);
+      } else if (listener.length < 2) {
+        next();
+      }
+    };
+    observer.listener = listener;
+    return observer;
+  }
+
+  function withoutDaoListeners(Model, fn) {
+    var listeners = DAO_EVENTS.map(function (event) {
+      var current = Model.rawListeners(event);
+      Model.removeAllListeners(event);
+      return current;
+    });
+
+    try {
+      return fn();
+    } finally {
+      DAO_EVENTS.forEach(function (event, i) {
+        // keep listeners added meanwhile, after the previous ones
+        var added = Model.rawListeners(event);
+        Model.removeAllListeners(event);
+        listeners[i].concat(added).forEach(function (listener) {
+          Model.addListener(event, listener);
+        });
+      });
+    }
+  }
+
+  function isTracked(Model) {
+    return Boolean(Model.settings.trackChanges && Model.getChangeModel());
+  }
+
+  function trackedChangeModel(Model) {
+    if (!isTracked(Model)) {
+      throw new Error('Change tracking is not enabled for ' + Model.modelName +
+        ', set `trackChanges` and attach it to a data source');
+    }
+    return Model.getChangeModel();
+  }
+
+  function rememberTrackedIds(ctx, next) {
+    var Model = ctx.Model;
+    if (ctx.instance || ctx.currentInstance || !isTracked(Model)) {
+      return next();
+    }
+
+    if (isWhereById(Model, ctx.where)) {
+      ctx.hookState.trackedIds = [ctx.where[idName(Model)]];
+      return next();
+    }
+    findAffected(ctx, ctx.where, [idName(Model)], function (err, instances) {
+      if (err) {
+        return next(err);
+      }
+      ctx.hookState.trackedIds = _.map(instances, idName(Model));
+      next();
+    });
+  }
+
+  function rectifyTrackedChanges(ctx, next) {
+    var Model = ctx.Model;
+    if (!isTracked(Model)) {
+      return next();
+    }
+
+    var ids = ctx.instance ? [ctx.instance[idName(Model)]] : ctx.hookState.trackedIds;
+    if (!ids || !ids.length) {
+      return next();
+    }
+
+    Model.getChangeModel().rectifyModelChanges(ids, ctx.options).then(function () {
+      next();
+    }, next);
+  }
+
+  function hasListeners(Model, events) {
+    return events.some(function (event) {
+      return Model.listeners(event).length > 0;
+    });
+  }
+
+  /*!
+   * Find the records an operation affects, with the options of the
+   * operation so that e.g. its transaction applies. The lookup is no
+   * operation of the caller, it skips operation hooks and access checks.
+   */
+
+  function findAffected(ctx, where, fields, callback) {
+    var filter = _.isEmpty(where) ? {} : {where: where};
+    if (fields) {
+      filter.fields = fields;
+    }
+
+    var options = _.assign({}, ctx.options, {notify: false});
+    Object.defineProperty(options, 'accessChecked', {value: true});
+    ctx.Model.find(filter, options, callback);
+  }
+
+  function idName(Model) {
+    return Model.definition.idName() || 'id';
+  }
+
+  /*!
+   * `deleteById()` deletes by `{<id>: value}`, the hooks can't tell it
+   * from `destroyAll()` otherwise.
+   */
+  function isWhereById(Model, where) {
+    var keys = Object.keys(where || {});
+    return keys.length === 1 && keys[0] === idName(Model) &&
+      (where[keys[0]] === null || typeof where[keys[0]] !== 'object');
+  }
+
   return PersistedModel;
 };
@@ -4,6 +4,8 @@ var juggler = require('loopback-datasource-juggler');
 var debug = require('debug')('loopback:registry');
 var DataSource = juggler.DataSource;
 var ModelBuilder = juggler.ModelBuilder;
+var Connector = require('./connectors/base-connector');
+var AccessControl = require('./access-control');
 
 module.exports = Registry;
 
@@ -16,8 +18,10 @@ module.exports = Registry;
 function Registry() {
   this.defaultDataSources = {};
   this.modelBuilder = new ModelBuilder();
+  this.accessControl = new AccessControl(this);
   require('./model')(this);
   require('./persisted-model')(this);
+  require('./change')(this);
   // this.modelBuilder.define('Model');
   // this.modelBuilder.define('PersistedModel');
 
@@ -325,6 +329,16 @@ Registry.prototype.createDataSource = function(name, options) {
     return ModelCtor;
   };
 
+  // the connector may be set up asynchronously
+  Object.defineProperty(ds, 'capabilities', {
+    get: function () {
+      return Connector.getCapabilities(this.connector);
+    }
+  });
+  ds.supports = function (capability) {
+    return Boolean(this.capabilities[capability]);
+  };
+
   if (ds.settings && ds.settings.defaultForType) {
     var msg = 'DataSource option "defaultForType" is no longer supported';
     throw new Error(msg);
@@ -348,7 +362,7 @@ Registry.prototype.memory = function(name) {
 
   if (!memory) {
     memory = this._memoryDataSources[name] = this.createDataSource({
-      connector: 'memory'
+      connector: require('./connectors/memory')
     });
   }
 
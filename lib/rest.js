@@ -0,0 +1,501 @@
+'use strict';
+
+var _ = require('lodash');
+var url = require('url');
+var debug = require('debug')('loopline:rest');
+var utils = require('./utils');
+
+module.exports = createRestHandler;
+
+/*!
+ * Endpoints of every public model, below its `http.path`. Literal
+ * segments are listed before the params they would match.
+ */
+
+var ROUTES = [
+  route('GET', '', find),
+  route('POST', '', create),
+  route('PUT', '', replaceOrCreate),
+  route('PATCH', '', upsert),
+  route('GET', 'count', count),
+  route('GET', 'findOne', findOne),
+  route('POST', 'update', updateAll),
+  route('GET', ':id', findById),
+  route('HEAD', ':id', exists),
+  route('GET', ':id/exists', exists),
+  route('PUT', ':id', replaceById),
+  route('PATCH', ':id', updateById),
+  route('DELETE', ':id', deleteById),
+  route('GET', ':id/:relation', getRelated),
+  route('POST', ':id/:relation', createRelated),
+  route('GET', ':id/:relation/count', countRelated),
+  route('GET', ':id/:relation/:fk', findRelatedById),
+  route('PUT', ':id/:relation/:fk', updateRelatedById),
+  route('DELETE', ':id/:relation/:fk', deleteRelatedById)
+];
+
+var MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Create a `(req, res, [next])` handler exposing the public models of `app`,
+ * see `app.rest()`.
+ *
+ * @param {Application} app
+ * @returns {Function}
+ */
+
+function createRestHandler(app) {
+  return function restHandler(req, res, next) {
+    var parsed = url.parse(req.url, true);
+    var match = matchRoute(app, req.method, parsed.pathname);
+
+    if (!match) {
+      if (typeof next === 'function') {
+        return next();
+      }
+      return sendError(res, utils.statusError(404, 'NOT_FOUND', 'Cannot ' + req.method + ' ' + parsed.pathname));
+    }
+
+    debug('%s %s', req.method, parsed.pathname);
+    Promise.all([readBody(req), createContext(app, req, parsed.query)]).then(function (results) {
+      return match.route.handler(match.Model, match.params, {
+        method: req.method,
+        body: results[0],
+        query: parsed.query,
+        options: results[1]
+      });
+    }).then(function (result) {
+      send(res, req.method === 'HEAD' ? '' : result);
+    }).catch(function (err) {
+      sendError(res, err);
+    });
+  };
+}
+
+function route(method, pattern, handler) {
+  return {method: method, segments: pattern ? pattern.split('/') : [], handler: handler};
+}
+
+function matchRoute(app, method, pathname) {
+  var segments = pathname.split('/').filter(Boolean).map(safeDecode);
+  var Model = _.find(app.models(), function (Model) {
+    return Model.shared !== false && Boolean(Model.dataSource) && Model.http.path === '/' + segments[0];
+  });
+  if (!Model) {
+    return null;
+  }
+
+  var rest = segments.slice(1);
+  var params;
+  var match = _.find(sharedMethodRoutes(Model).concat(ROUTES), function (r) {
+    if ((r.method !== method && r.method !== 'ALL') || r.segments.length !== rest.length) {
+      return false;
+    }
+
+    params = {};
+    return r.segments.every(function (segment, i) {
+      if (segment[0] !== ':') {
+        return segment === rest[i];
+      }
+      params[segment.slice(1)] = rest[i];
+      return segment !== ':relation' || _.has(Model.relations, rest[i]);
+    });
+  });
+
+  return match ? {Model: Model, route: match, params: params} : null;
+}
+
+/*!
+ * Routes of the remote methods declared by the model, see `SharedMethod`,
+ * matched before the built-in ones. Instance methods are below `:id`.
+ */
+
+function sharedMethodRoutes(Model) {
+  return _.flatMap(Model.sharedMethods(), function (method) {
+    return method.http.map(function (http) {
+      var pattern = _.compact([method.isStatic ? '' : ':id'].concat(http.path.split('/'))).join('/');
+      return route(http.verb.toUpperCase(), pattern, function (Model, params, req) {
+        return method.invoke(collectArgs(method, params, req), req.options);
+      });
+    });
+  });
+}
+
+/*!
+ * Arguments of a remote method from the path params, the query string and
+ * the fields of the body, in that order. An argument with
+ * `http: {source: 'body'}` takes the whole body.
+ */
+
+function collectArgs(method, params, req) {
+  var body = _.isPlainObject(req.body) ? req.body : {};
+  var args = _.assign({}, body, req.query, params);
+
+  method.accepts.forEach(function (accept) {
+    if (accept.http && accept.http.source === 'body') {
+      args[accept.arg] = req.body;
+    }
+  });
+  return args;
+}
+
+/*!
+ * The caller context of model methods, checked against the model ACLs.
+ * The access token is `req.accessToken` when set by another middleware,
+ * otherwise it's resolved from the `access_token` query parameter or the
+ * `Authorization` header with the `AccessToken` model of the app.
+ */
+
+function createContext(app, req, query) {
+  if (req.accessToken !== undefined) {
+    return Promise.resolve({accessToken: req.accessToken});
+  }
+
+  var AccessToken = app.models.AccessToken;
+  var id = query.access_token || (req.headers && req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!id || !AccessToken || !AccessToken.dataSource || typeof AccessToken.resolve !== 'function') {
+    return Promise.resolve({accessToken: null});
+  }
+
+  return AccessToken.resolve(id).then(function (token) {
+    return {accessToken: token || null};
+  });
+}
+
+function readBody(req) {
+  if (req.body !== undefined) {
+    return Promise.resolve(req.body);
+  }
+  if (['POST', 'PUT', 'PATCH'].indexOf(req.method) === -1) {
+    return Promise.resolve();
+  }
+
+  return new Promise(function (resolve, reject) {
+    var chunks = [];
+    var size = 0;
+
+    req.on('data', function (chunk) {
+      size += chunk.length;
+      if (size <= MAX_BODY_SIZE) {
+        return chunks.push(chunk);
+      }
+
+      // stop buffering, the rest of the request is drained so that the
+      // error response reaches the client
+      chunks = [];
+      reject(utils.statusError(413, 'REQUEST_TOO_LARGE', 'Request body is too large'));
+    });
+    req.on('error', reject);
+    req.on('end', function () {
+      if (size > MAX_BODY_SIZE) {
+        return;
+      }
+      var text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (err) {
+        reject(utils.statusError(400, 'INVALID_JSON', 'Request body is not valid JSON: ' + err.message));
+      }
+    });
+  });
+}
+
+/*!
+ * Send `result` as JSON, `undefined` as an empty `204` response.
+ */
+
+function send(res, result) {
+  if (result === undefined) {
+    res.statusCode = 204;
+    return res.end();
+  }
+
+  var body = typeof result === 'string' ? result : JSON.stringify(result);
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  res.end(body);
+}
+
+/*!
+ * Report an error as `{error: {statusCode, name, message, code, details}}`,
+ * with the status code of the error, `500` by default.
+ */
+
+function sendError(res, err) {
+  var statusCode = err.statusCode || err.status || 500;
+  if (statusCode >= 500) {
+    debug('Unhandled error %s', err.stack || err);
+  }
+
+  var body = JSON.stringify({
+    error: _.omitBy({
+      statusCode: statusCode,
+      name: err.name,
+      message: err.message,
+      code: err.code,
+      details: err.details
+    }, _.isUndefined)
+  });
+
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  // the client may still be sending the rejected body
+  if (statusCode === 413) {
+    res.setHeader('Connection', 'close');
+  }
+  res.end(body);
+}
+
+function notFound(Model, id) {
+  return utils.statusError(404, 'MODEL_NOT_FOUND', 'Unknown "' + Model.modelName + '" id "' + id + '".');
+}
+
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return segment;
+  }
+}
+
+function parseJSON(query, name) {
+  var value = query[name];
+  if (value === undefined || value === '') {
+    return {};
+  }
+  if (typeof value !== 'string') {
+    value = value[0];
+  }
+
+  try {
+    var parsed = JSON.parse(value);
+    if (parsed && typeof parsed === 'object') {
+      return parsed;
+    }
+  } catch (err) {
+    // reported below
+  }
+  throw utils.statusError(400, 'INVALID_' + name.toUpperCase(), 'The `' + name + '` parameter must be a JSON object');
+}
+
+/*!
+ * The `filter` query parameter. Included relations are loaded by nested
+ * calls, which are not checked: the caller must be allowed to `find` the
+ * models they target.
+ */
+
+function parseFilter(Model, req) {
+  var filter = parseJSON(req.query, 'filter');
+  var accessControl = Model.registry.accessControl;
+
+  return Promise.all(includedModels(Model, filter.include).map(function (Target) {
+    return accessControl.authorize(Target, req.options, 'find');
+  })).then(function () {
+    return filter;
+  });
+}
+
+/*!
+ * Models targeted by an `include` filter: a relation name, an array,
+ * `{relation: nestedInclude}` or `{relation, scope: {include}}`.
+ */
+
+function includedModels(Model, include) {
+  if (Array.isArray(include)) {
+    return _.flatMap(include, function (item) {
+      return includedModels(Model, item);
+    });
+  }
+  if (typeof include === 'string') {
+    return relatedModels(Model, include);
+  }
+  if (!include || typeof include !== 'object') {
+    return [];
+  }
+  if (typeof include.relation === 'string') {
+    return relatedModels(Model, include.relation, include.scope && include.scope.include);
+  }
+  return _.flatMap(_.keys(include), function (name) {
+    return relatedModels(Model, name, include[name]);
+  });
+}
+
+function relatedModels(Model, name, include) {
+  var relation = Model.relations[name];
+  // unknown relations are reported by the query, polymorphic ones have no
+  // single target model
+  if (!relation || !relation.modelTo) {
+    return [];
+  }
+  return _.compact([relation.modelTo, relation.modelThrough])
+    .concat(includedModels(relation.modelTo, include));
+}
+
+function findInstance(Model, id, options) {
+  return Model.findById(id, {}, options).then(function (inst) {
+    if (!inst) {
+      throw notFound(Model, id);
+    }
+    return inst;
+  });
+}
+
+/*!
+ * Call a relation method with a callback, not all of them return a promise
+ * when given options.
+ */
+
+function invoke(fn, receiver, args) {
+  return new Promise(function (resolve, reject) {
+    fn.apply(receiver, args.concat(function (err, result) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(result);
+    }));
+  });
+}
+
+function assertListRelation(Model, name) {
+  var relation = Model.relations[name];
+  if (!relation.multiple) {
+    throw utils.statusError(404, 'NOT_FOUND', 'Relation "' + name + '" of ' + Model.modelName + ' is not a list');
+  }
+}
+
+function find(Model, params, req) {
+  return parseFilter(Model, req).then(function (filter) {
+    return Model.find(filter, req.options);
+  });
+}
+
+function create(Model, params, req) {
+  if (Array.isArray(req.body)) {
+    return Promise.all(req.body.map(function (data) {
+      return Model.create(data, req.options);
+    }));
+  }
+  return Model.create(req.body, req.options);
+}
+
+function replaceOrCreate(Model, params, req) {
+  return Model.replaceOrCreate(req.body, req.options);
+}
+
+function upsert(Model, params, req) {
+  return Model.upsert(req.body, req.options);
+}
+
+function count(Model, params, req) {
+  return Model.count(parseJSON(req.query, 'where'), req.options).then(function (count) {
+    return {count: count};
+  });
+}
+
+function findOne(Model, params, req) {
+  return parseFilter(Model, req).then(function (filter) {
+    return Model.findOne(filter, req.options);
+  }).then(function (inst) {
+    if (!inst) {
+      throw utils.statusError(404, 'MODEL_NOT_FOUND', 'No "' + Model.modelName + '" instance found');
+    }
+    return inst;
+  });
+}
+
+function updateAll(Model, params, req) {
+  return Model.updateAll(parseJSON(req.query, 'where'), req.body, req.options).then(function (info) {
+    return {count: info.count};
+  });
+}
+
+function findById(Model, params, req) {
+  return parseFilter(Model, req).then(function (filter) {
+    return Model.findById(params.id, filter, req.options);
+  }).then(function (inst) {
+    if (!inst) {
+      throw notFound(Model, params.id);
+    }
+    return inst;
+  });
+}
+
+function exists(Model, params, req) {
+  return Model.exists(params.id, req.options).then(function (exists) {
+    if (!exists && req.method === 'HEAD') {
+      throw notFound(Model, params.id);
+    }
+    return {exists: exists};
+  });
+}
+
+function replaceById(Model, params, req) {
+  return Model.replaceById(params.id, req.body, req.options);
+}
+
+function updateById(Model, params, req) {
+  return findInstance(Model, params.id, req.options).then(function (inst) {
+    return inst.updateAttributes(req.body, req.options);
+  });
+}
+
+function deleteById(Model, params, req) {
+  return Model.deleteById(params.id, req.options).then(function (info) {
+    return {count: info.count};
+  });
+}
+
+function getRelated(Model, params, req) {
+  var relation = Model.relations[params.relation];
+  // `belongsTo` and `hasOne` accessors take a refresh flag
+  var condOrRefresh = relation.multiple ? parseFilter(relation.modelTo, req) : true;
+
+  return Promise.all([findInstance(Model, params.id, req.options), condOrRefresh]).then(function (results) {
+    var inst = results[0];
+    return invoke(inst[params.relation], inst, [results[1], req.options]);
+  });
+}
+
+function createRelated(Model, params, req) {
+  assertListRelation(Model, params.relation);
+  return findInstance(Model, params.id, req.options).then(function (inst) {
+    var scope = inst[params.relation];
+    return invoke(scope.create, scope, [req.body, req.options]);
+  });
+}
+
+function countRelated(Model, params, req) {
+  assertListRelation(Model, params.relation);
+  return findInstance(Model, params.id, req.options).then(function (inst) {
+    var scope = inst[params.relation];
+    return invoke(scope.count, scope, [parseJSON(req.query, 'where'), req.options]);
+  }).then(function (count) {
+    return {count: count};
+  });
+}
+
+function findRelatedById(Model, params, req) {
+  assertListRelation(Model, params.relation);
+  return findInstance(Model, params.id, req.options).then(function (inst) {
+    var scope = inst[params.relation];
+    return invoke(scope.findById, scope, [params.fk, req.options]);
+  });
+}
+
+function updateRelatedById(Model, params, req) {
+  assertListRelation(Model, params.relation);
+  return findInstance(Model, params.id, req.options).then(function (inst) {
+    var scope = inst[params.relation];
+    return invoke(scope.updateById, scope, [params.fk, req.body, req.options]);
+  });
+}
+
+function deleteRelatedById(Model, params, req) {
+  assertListRelation(Model, params.relation);
+  return findInstance(Model, params.id, req.options).then(function (inst) {
+    var scope = inst[params.relation];
+    return invoke(scope.destroy, scope, [params.fk, req.options]);
+  }).then(_.noop);
+}
@@ -0,0 +1,296 @@
+'use strict';
+
+var _ = require('lodash');
+var AccessControl = require('./access-control');
+var utils = require('./utils');
+
+module.exports = SharedMethod;
+
+var HTTP_VERBS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'all'];
+
+/**
+ * A method of a model callable by transports like REST, declared in the
+ * `methods` of the model definition and implemented by its script:
+ *
+ * ```json
+ * "methods": {
+ *   "greet": {
+ *     "accepts": [{"arg": "name", "type": "string", "required": true}],
+ *     "returns": {"arg": "greeting", "type": "string"},
+ *     "http": {"verb": "get", "path": "/greet"}
+ *   },
+ *   "prototype.activate": {
+ *     "accepts": {"arg": "until", "type": "date"},
+ *     "returns": {"arg": "data", "type": "object", "root": true}
+ *   }
+ * }
+ * ```
+ *
+ * Methods named `prototype.<name>` (or with `isStatic: false`) are instance
+ * methods. An argument with `http: 'optionsFromRequest'` gets the options
+ * of the invocation, e.g. the `accessToken` of the caller.
+ *
+ * @param {Function} Model The model class.
+ * @param {String} name The method name, e.g. `'greet'` or `'prototype.activate'`.
+ * @param {Object} definition The method definition.
+ * @class SharedMethod
+ */
+
+function SharedMethod(Model, name, definition) {
+  definition = definition || {};
+
+  this.Model = Model;
+  this.isStatic = name.indexOf('prototype.') !== 0 && definition.isStatic !== false;
+  this.name = name.replace(/^prototype\./, '');
+  this.stringName = this.isStatic ? this.name : 'prototype.' + this.name;
+  this.description = definition.description;
+  this.accessType = definition.accessType || AccessControl.EXECUTE;
+  this.accepts = toArray(definition.accepts);
+  this.returns = toArray(definition.returns);
+  this.http = toArray(definition.http).map(function (http) {
+    return {
+      verb: String(http.verb || 'post').toLowerCase(),
+      path: http.path || '/' + this.name
+    };
+  }, this);
+  if (!this.http.length) {
+    this.http.push({verb: 'post', path: '/' + this.name});
+  }
+}
+
+SharedMethod.HTTP_VERBS = HTTP_VERBS;
+
+/**
+ * Get the shared methods of `Model` from its `methods` setting.
+ *
+ * @param {Function} Model
+ * @returns {SharedMethod[]}
+ */
+
+SharedMethod.fromModel = function (Model) {
+  return _.map(Model.settings.methods, function (definition, name) {
+    return new SharedMethod(Model, name, definition);
+  });
+};
+
+/**
+ * Get the implementation of the method.
+ *
+ * @returns {Function} The function, `undefined` when not implemented.
+ */
+
+SharedMethod.prototype.getFunction = function () {
+  var target = this.isStatic ? this.Model : this.Model.prototype;
+  var fn = target[this.name];
+  return typeof fn === 'function' ? fn : undefined;
+};
+
+/**
+ * Coerce argument values, e.g. strings of a query string, to the types of
+ * `accepts`.
+ *
+ * @param {Object} args Argument values keyed by `arg` name.
+ * @returns {Array} The values in the order of `accepts`.
+ * @throws {Error} A `400` error for missing or invalid values.
+ */
+
+SharedMethod.prototype.coerceArgs = function (args) {
+  var self = this;
+  args = args || {};
+
+  return this.accepts.filter(function (accept) {
+    return accept.http !== 'optionsFromRequest';
+  }).map(function (accept) {
+    var value = args[accept.arg];
+    if (value === undefined || value === '') {
+      value = accept.default;
+    }
+
+    if (value === undefined || value === null) {
+      if (accept.required) {
+        throw invalidArg(self, accept, 'is required');
+      }
+      return value;
+    }
+    return coerce(self, accept, value);
+  });
+};
+
+/**
+ * Invoke the method.
+ *
+ * Called with a caller context in `options`, the method is checked against
+ * the model ACLs first, see `AccessControl`.
+ *
+ * @param {Object} args Argument values keyed by `arg` name, coerced to
+ *   their types. Instance methods take the instance `id` as well.
+ * @param {Object} [options] Options of the invocation, passed to arguments
+ *   with `http: 'optionsFromRequest'`.
+ * @param {Function} [callback] Called with `(err, result)`.
+ * @returns {Promise} The result: the value of a `root` return argument or
+ *   an object keyed by the `returns` arg names.
+ */
+
+SharedMethod.prototype.invoke = function (args, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+
+  var self = this;
+  var Model = this.Model;
+  var registry = Model.registry;
+  options = options || {};
+
+  var promise = Promise.resolve().then(function () {
+    var fn = self.getFunction();
+    if (!fn) {
+      throw utils.statusError(501, 'METHOD_NOT_IMPLEMENTED',
+        'Method ' + Model.modelName + '.' + self.stringName + ' is not implemented');
+    }
+
+    var values = self.coerceArgs(args);
+    var modelId = self.isStatic ? undefined : args && args.id;
+    if (!self.isStatic && (modelId === undefined || modelId === '')) {
+      throw utils.statusError(400, 'INVALID_ARGUMENT', 'The instance `id` of ' + self.stringName + ' is required');
+    }
+
+    var check = Promise.resolve();
+    if (AccessControl.isCallerContext(options)) {
+      check = registry.accessControl.authorize(Model, _.assign({}, options, {modelId: modelId}), {
+        name: self.stringName,
+        accessType: self.accessType
+      });
+      // nested calls of the method are trusted
+      options = _.clone(options);
+      Object.defineProperty(options, 'accessChecked', {value: true});
+    }
+
+    return check.then(function () {
+      return self.isStatic ? Model : Model.findById(modelId, {}, options).then(function (inst) {
+        if (!inst) {
+          throw utils.statusError(404, 'MODEL_NOT_FOUND', 'Unknown "' + Model.modelName + '" id "' + modelId + '".');
+        }
+        return inst;
+      });
+    }).then(function (receiver) {
+      return call(self, fn, receiver, insertOptions(self, values, options));
+    });
+  });
+
+  return utils.settle(promise, callback);
+};
+
+/*!
+ * Call `fn` with a callback when it takes one more argument than declared,
+ * and use the returned value or promise otherwise.
+ */
+
+function call(method, fn, receiver, values) {
+  if (fn.length > values.length) {
+    return new Promise(function (resolve, reject) {
+      fn.apply(receiver, values.concat(function (err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve(toResult(method, _.toArray(arguments).slice(1)));
+      }));
+    });
+  }
+
+  return Promise.resolve(fn.apply(receiver, values)).then(function (value) {
+    return toResult(method, method.returns.length > 1 ? value : [value]);
+  });
+}
+
+function insertOptions(method, values, options) {
+  var result = values.slice();
+  method.accepts.forEach(function (accept, i) {
+    if (accept.http === 'optionsFromRequest') {
+      result.splice(i, 0, options);
+    }
+  });
+  return result;
+}
+
+function toResult(method, values) {
+  var root = _.findIndex(method.returns, 'root');
+  if (root !== -1) {
+    return values[root];
+  }
+  if (!method.returns.length) {
+    return undefined;
+  }
+
+  var result = {};
+  method.returns.forEach(function (ret, i) {
+    result[ret.arg] = values[i];
+  });
+  return result;
+}
+
+function coerce(method, accept, value) {
+  var type = Array.isArray(accept.type) ? 'array' : String(accept.type || 'any').toLowerCase();
+
+  switch (type) {
+    case 'number':
+      var number = Number(value);
+      if (value === true || value === false || isNaN(number)) {
+        throw invalidArg(method, accept, 'must be a number');
+      }
+      return number;
+    case 'boolean':
+      if (value === 'true' || value === '1') {
+        return true;
+      }
+      if (value === 'false' || value === '0') {
+        return false;
+      }
+      if (typeof value !== 'boolean') {
+        throw invalidArg(method, accept, 'must be a boolean');
+      }
+      return value;
+    case 'date':
+      var date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw invalidArg(method, accept, 'must be a date');
+      }
+      return date;
+    case 'string':
+      if (typeof value === 'object') {
+        throw invalidArg(method, accept, 'must be a string');
+      }
+      return String(value);
+    case 'object':
+    case 'array':
+      if (typeof value === 'string') {
+        value = parseJSON(method, accept, value);
+      }
+      if (type === 'array' ? !Array.isArray(value) : !_.isPlainObject(value)) {
+        throw invalidArg(method, accept, 'must be an ' + type);
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+function parseJSON(method, accept, value) {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw invalidArg(method, accept, 'must be valid JSON');
+  }
+}
+
+function invalidArg(method, accept, message) {
+  return utils.statusError(400, 'INVALID_ARGUMENT',
+    'The `' + accept.arg + '` argument of ' + method.Model.modelName + '.' + method.stringName + ' ' + message);
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
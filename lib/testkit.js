@@ -0,0 +1,464 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var Connector = require('./connectors/base-connector');
+
+/**
+ * Connector conformance test kit. Defines a mocha suite checking that data
+ * sources built by `getDataSource` behave the way loopline models expect:
+ * CRUD, `where` operators and other filters, relations, transactions and
+ * error codes.
+ *
+ * Each test covers one feature. Features listed in `options.skip` are not
+ * run and reported as unsupported, `transactions` are only run when the
+ * connector declares the capability.
+ *
+ * ```js
+ * var testkit = require('loopline/testkit');
+ *
+ * testkit('my-connector', function() {
+ *   return loopline.createDataSource({connector: require('..')});
+ * }, {
+ *   skip: ['regexp'],
+ *   report: function(capabilities) {
+ *     console.log(capabilities); // => {create: true, ..., regexp: false}
+ *   }
+ * });
+ * ```
+ *
+ * @param {String} name The connector name used in the suite title.
+ * @param {Function} getDataSource Returns the data source to test, called
+ *   once before the suite runs.
+ * @param {Object} [options]
+ * @property {String[]} [skip] Features the connector does not support.
+ * @property {Function} [report] Called with `{feature: Boolean}` after the
+ *   suite, a feature is `true` when its test passed.
+ * @header testkit(name, getDataSource, options)
+ */
+
+module.exports = function testkit(name, getDataSource, options) {
+  options = options || {};
+
+  var skip = options.skip || [];
+  var capabilities = {};
+  var ds;
+  var Item;
+  var Owner;
+
+  describe(name + ' connector conformance', function () {
+    before(function () {
+      ds = getDataSource();
+      assert(ds && ds.connector, 'getDataSource() must return a data source');
+
+      Owner = ds.createModel('ConformanceOwner', {
+        name: {type: 'string', required: true}
+      }, {
+        relations: {items: {type: 'hasMany', model: 'ConformanceItem', foreignKey: 'ownerId'}}
+      });
+      Item = ds.createModel('ConformanceItem', {
+        name: {type: 'string', required: true},
+        count: 'number',
+        price: 'number',
+        active: 'boolean',
+        created: 'date'
+      }, {
+        relations: {owner: {type: 'belongsTo', model: 'ConformanceOwner', foreignKey: 'ownerId'}}
+      });
+
+      if (typeof ds.connector.automigrate === 'function') {
+        return ds.automigrate([Owner.modelName, Item.modelName]);
+      }
+    });
+
+    beforeEach(function () {
+      return Item.destroyAll().then(function () {
+        return Owner.destroyAll();
+      }).then(function () {
+        // `create()` of an array does not return a promise
+        return Promise.all([
+          {name: 'apple', count: 3, price: 1.5, active: true, created: new Date('2016-01-01')},
+          {name: 'banana', count: 10, price: 0.5, active: false, created: new Date('2016-02-01')},
+          {name: 'cherry', count: 0, price: 12, active: true, created: new Date('2016-03-01')},
+          {name: 'Date', count: 7, price: 4, active: true, created: new Date('2016-04-01')}
+        ].map(function (data) {
+          return Item.create(data);
+        }));
+      });
+    });
+
+    after(function () {
+      if (options.report) {
+        options.report(capabilities);
+      }
+    });
+
+    describe('crud', function () {
+      feature('create', function () {
+        return Item.create({name: 'elder', count: 1}).then(function (item) {
+          assert(item.id !== undefined && item.id !== null, 'an id is generated');
+          return Item.findById(item.id);
+        }).then(function (item) {
+          assert.equal(item.name, 'elder');
+          assert.equal(item.count, 1);
+        });
+      });
+
+      feature('findById', function () {
+        return findOne({name: 'apple'}).then(function (apple) {
+          return Item.findById(apple.id);
+        }).then(function (apple) {
+          assert.equal(apple.name, 'apple');
+          assert(apple.created instanceof Date, 'dates are returned as Date');
+          assert.equal(apple.created.getTime(), new Date('2016-01-01').getTime());
+        });
+      });
+
+      feature('save', function () {
+        return findOne({name: 'apple'}).then(function (apple) {
+          apple.count = 4;
+          return apple.save();
+        }).then(function () {
+          return findOne({name: 'apple'});
+        }).then(function (apple) {
+          assert.equal(apple.count, 4);
+          assert.equal(apple.price, 1.5);
+        });
+      });
+
+      feature('updateAttributes', function () {
+        return findOne({name: 'apple'}).then(function (apple) {
+          return apple.updateAttributes({count: 5});
+        }).then(function () {
+          return findOne({name: 'apple'});
+        }).then(function (apple) {
+          assert.equal(apple.count, 5);
+          assert.equal(apple.price, 1.5);
+        });
+      });
+
+      feature('upsert', function () {
+        return findOne({name: 'apple'}).then(function (apple) {
+          return Item.upsert({id: apple.id, name: 'apple', count: 6});
+        }).then(function (apple) {
+          return Item.findById(apple.id);
+        }).then(function (apple) {
+          assert.equal(apple.count, 6);
+          assert.equal(apple.price, 1.5, 'other properties are kept');
+          return Item.upsert({name: 'elder'});
+        }).then(function () {
+          return Item.count();
+        }).then(function (count) {
+          assert.equal(count, 5);
+        });
+      });
+
+      feature('replaceOrCreate', function () {
+        return findOne({name: 'apple'}).then(function (apple) {
+          return Item.replaceOrCreate({id: apple.id, name: 'apricot'});
+        }).then(function (apricot) {
+          return Item.findById(apricot.id);
+        }).then(function (apricot) {
+          assert.equal(apricot.name, 'apricot');
+          assert(_.isNil(apricot.count), 'other properties are removed');
+        });
+      });
+
+      feature('replaceById', function () {
+        var id;
+
+        return findOne({name: 'banana'}).then(function (banana) {
+          id = banana.id;
+          return Item.replaceById(id, {name: 'blueberry'});
+        }).then(function () {
+          return Item.findById(id);
+        }).then(function (blueberry) {
+          assert.equal(blueberry.name, 'blueberry');
+          assert(_.isNil(blueberry.count), 'other properties are removed');
+        });
+      });
+
+      feature('updateAll', function () {
+        return Item.updateAll({active: true}, {price: 2}).then(function (info) {
+          assert.equal(info.count, 3);
+          return Item.count({price: 2});
+        }).then(function (count) {
+          assert.equal(count, 3);
+        });
+      });
+
+      feature('destroyById', function () {
+        return findOne({name: 'apple'}).then(function (apple) {
+          return Item.destroyById(apple.id);
+        }).then(function (info) {
+          assert.equal(info.count, 1);
+          return Item.count();
+        }).then(function (count) {
+          assert.equal(count, 3);
+        });
+      });
+
+      feature('destroyAll', function () {
+        return Item.destroyAll({count: {gt: 5}}).then(function (info) {
+          assert.equal(info.count, 2);
+          return names({});
+        }).then(function (result) {
+          assert.deepEqual(result, ['apple', 'cherry']);
+        });
+      });
+
+      feature('count', function () {
+        return Promise.all([Item.count(), Item.count({active: true})]).then(function (result) {
+          assert.deepEqual(result, [4, 3]);
+        });
+      });
+
+      feature('exists', function () {
+        return findOne({name: 'apple'}).then(function (apple) {
+          return Promise.all([Item.exists(apple.id), Item.exists(unknownId(apple.id))]);
+        }).then(function (result) {
+          assert.deepEqual(result, [true, false]);
+        });
+      });
+    });
+
+    describe('filters', function () {
+      feature('equality', function () {
+        return Promise.all([names({name: 'apple'}), names({active: false}), names({count: 0})])
+          .then(function (result) {
+            assert.deepEqual(result, [['apple'], ['banana'], ['cherry']]);
+          });
+      });
+
+      feature('neq', function () {
+        return names({active: {neq: true}}).then(function (result) {
+          assert.deepEqual(result, ['banana']);
+        });
+      });
+
+      feature('gt/gte/lt/lte', function () {
+        return Promise.all([
+          names({count: {gt: 3}}),
+          names({count: {gte: 3}}),
+          names({price: {lt: 1.5}}),
+          names({price: {lte: 1.5}}),
+          names({created: {gt: new Date('2016-02-15')}})
+        ]).then(function (result) {
+          assert.deepEqual(result, [
+            ['Date', 'banana'],
+            ['Date', 'apple', 'banana'],
+            ['banana'],
+            ['apple', 'banana'],
+            ['Date', 'cherry']
+          ]);
+        });
+      });
+
+      feature('between', function () {
+        return names({count: {between: [3, 7]}}).then(function (result) {
+          assert.deepEqual(result, ['Date', 'apple']);
+        });
+      });
+
+      feature('inq/nin', function () {
+        return Promise.all([
+          names({name: {inq: ['apple', 'cherry', 'fig']}}),
+          names({name: {nin: ['apple', 'cherry']}})
+        ]).then(function (result) {
+          assert.deepEqual(result, [['apple', 'cherry'], ['Date', 'banana']]);
+        });
+      });
+
+      feature('like/nlike', function () {
+        return Promise.all([
+          names({name: {like: '%an%'}}),
+          names({name: {nlike: '%an%'}})
+        ]).then(function (result) {
+          assert.deepEqual(result, [['banana'], ['Date', 'apple', 'cherry']]);
+        });
+      });
+
+      feature('regexp', function () {
+        return names({name: {regexp: '^[ab]'}}).then(function (result) {
+          assert.deepEqual(result, ['apple', 'banana']);
+        });
+      });
+
+      feature('and/or', function () {
+        return Promise.all([
+          names({and: [{active: true}, {count: {gt: 0}}]}),
+          names({or: [{name: 'apple'}, {count: {gt: 8}}]})
+        ]).then(function (result) {
+          assert.deepEqual(result, [['Date', 'apple'], ['apple', 'banana']]);
+        });
+      });
+
+      feature('order', function () {
+        return Item.find({order: ['active DESC', 'count ASC']}).then(function (list) {
+          assert.deepEqual(_.map(list, 'name'), ['cherry', 'apple', 'Date', 'banana']);
+        });
+      });
+
+      feature('limit/skip', function () {
+        return Item.find({order: 'count DESC', skip: 1, limit: 2}).then(function (list) {
+          assert.deepEqual(_.map(list, 'name'), ['Date', 'apple']);
+        });
+      });
+
+      feature('fields', function () {
+        return Item.find({where: {name: 'apple'}, fields: ['id', 'name']}).then(function (list) {
+          assert.equal(list[0].name, 'apple');
+          assert(_.isNil(list[0].count), 'count is not returned');
+        });
+      });
+    });
+
+    describe('relations', function () {
+      feature('hasMany', function () {
+        var ann;
+
+        return Owner.create({name: 'Ann'}).then(function (owner) {
+          ann = owner;
+          return ann.items.create({name: 'fig'});
+        }).then(function () {
+          return ann.items.getAsync();
+        }).then(function (items) {
+          assert.deepEqual(_.map(items, 'name'), ['fig']);
+        });
+      });
+
+      feature('include', function () {
+        return Promise.all([Owner.create({name: 'Ann'}), findOne({name: 'apple'})]).then(function (results) {
+          return results[1].updateAttributes({ownerId: results[0].id});
+        }).then(function () {
+          return Item.find({where: {name: 'apple'}, include: 'owner'});
+        }).then(function (items) {
+          assert.equal(items[0].toJSON().owner.name, 'Ann');
+          return Owner.find({include: 'items'});
+        }).then(function (owners) {
+          assert.deepEqual(_.map(owners[0].toJSON().items, 'name'), ['apple']);
+        });
+      });
+    });
+
+    describe('transactions', function () {
+      before(function () {
+        if (!Connector.getCapabilities(ds.connector).transactions) {
+          skip = skip.concat('commit', 'rollback');
+        }
+      });
+
+      feature('commit', function () {
+        var tx;
+
+        return Item.beginTransaction({}).then(function (transaction) {
+          tx = transaction;
+          return Item.create({name: 'fig'}, {transaction: tx});
+        }).then(function () {
+          return tx.commit();
+        }).then(function () {
+          return Item.count({name: 'fig'});
+        }).then(function (count) {
+          assert.equal(count, 1);
+        });
+      });
+
+      feature('rollback', function () {
+        var tx;
+
+        return Item.beginTransaction({}).then(function (transaction) {
+          tx = transaction;
+          return Item.create({name: 'fig'}, {transaction: tx});
+        }).then(function () {
+          return tx.rollback();
+        }).then(function () {
+          return Item.count({name: 'fig'});
+        }).then(function (count) {
+          assert.equal(count, 0);
+        });
+      });
+    });
+
+    describe('errors', function () {
+      feature('duplicate id', function () {
+        return findOne({name: 'apple'}).then(function (apple) {
+          return Item.create({id: apple.id, name: 'again'});
+        }).then(function () {
+          throw new assert.AssertionError({message: 'creating a duplicate id should fail'});
+        }, function (err) {
+          if (err instanceof assert.AssertionError) {
+            throw err;
+          }
+        });
+      });
+
+      feature('not found', function () {
+        return findOne({name: 'apple'}).then(function (apple) {
+          return Item.replaceById(unknownId(apple.id), {name: 'nothing'});
+        }).then(function () {
+          throw new assert.AssertionError({message: 'replacing a missing record should fail'});
+        }, function (err) {
+          if (err instanceof assert.AssertionError) {
+            throw err;
+          }
+          assert.equal(err.statusCode, 404);
+        });
+      });
+
+      feature('missing id', function () {
+        return findOne({name: 'apple'}).then(function (apple) {
+          return Item.findById(unknownId(apple.id));
+        }).then(function (item) {
+          assert.strictEqual(item, null);
+        });
+      });
+
+      feature('validation', function () {
+        return Item.create({count: 1}).then(function () {
+          throw new assert.AssertionError({message: 'an invalid item should not be created'});
+        }, function (err) {
+          if (err instanceof assert.AssertionError) {
+            throw err;
+          }
+          assert.equal(err.statusCode, 422);
+          return Item.count();
+        }).then(function (count) {
+          assert.equal(count, 4);
+        });
+      });
+    });
+  });
+
+  /*!
+   * Define a test of a single feature and record whether it passed.
+   */
+
+  function feature(title, fn) {
+    it(title, function () {
+      if (skip.indexOf(title) !== -1) {
+        capabilities[title] = false;
+        return this.skip();
+      }
+
+      capabilities[title] = false;
+      return Promise.resolve(fn()).then(function () {
+        capabilities[title] = true;
+      });
+    });
+  }
+
+  function findOne(where) {
+    return Item.findOne({where: where});
+  }
+
+  // sorted by name, case sensitive
+  function names(where) {
+    return Item.find({where: where}).then(function (list) {
+      return _.map(list, 'name').sort();
+    });
+  }
+
+  function unknownId(id) {
+    return typeof id === 'number' ? 9999999 : String(id) + 'x';
+  }
+};
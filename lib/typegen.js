@@ -0,0 +1,376 @@
+'use strict';
+
+var _ = require('lodash');
+var fs = require('fs');
+var path = require('path');
+var classify = require('underscore.string/classify');
+var debug = require('debug')('loopline:typegen');
+var compiler = require('./compiler');
+var jsonSchema = require('./json-schema');
+
+/*!
+ * Relation types holding a list of related instances.
+ */
+
+var LIST_RELATIONS = ['hasMany', 'hasAndBelongsToMany', 'referencesMany', 'embedsMany'];
+
+/*!
+ * Models are referenced by their schema file.
+ */
+
+var SCHEMA_OPTIONS = {
+  ref: function (Model) {
+    return {$ref: Model.modelName + '.json'};
+  }
+};
+
+/*!
+ * Shared declarations of the generated `.d.ts` file, prefixed to leave
+ * the plain names to the models.
+ */
+
+var PRELUDE = [
+  '// Generated by loopline from the model definitions, do not edit.',
+  '',
+  'export type LooplineWhere<D> = {[P in keyof D]?: any} & {and?: LooplineWhere<D>[]; or?: LooplineWhere<D>[]};',
+  '',
+  'export interface LooplineFilter<D> {',
+  '  where?: LooplineWhere<D>;',
+  '  fields?: (keyof D)[] | {[P in keyof D]?: boolean};',
+  '  include?: string | string[] | object;',
+  '  order?: string | string[];',
+  '  limit?: number;',
+  '  skip?: number;',
+  '  offset?: number;',
+  '}',
+  '',
+  'export interface LooplineInstance<D> {',
+  '  toJSON(): D;',
+  '  save(options?: object): Promise<this>;',
+  '  updateAttributes(data: Partial<D>, options?: object): Promise<this>;',
+  '  destroy(options?: object): Promise<void>;',
+  '}',
+  '',
+  'export interface LooplineModelClass<T, D, ID> {',
+  '  modelName: string;',
+  '  new (data?: Partial<D>): T;',
+  '  find(filter?: LooplineFilter<D>, options?: object): Promise<T[]>;',
+  '  findOne(filter?: LooplineFilter<D>, options?: object): Promise<T | null>;',
+  '  findById(id: ID, filter?: LooplineFilter<D>, options?: object): Promise<T | null>;',
+  '  create(data: Partial<D>, options?: object): Promise<T>;',
+  '  create(data: Partial<D>[], options?: object): Promise<T[]>;',
+  '  count(where?: LooplineWhere<D>, options?: object): Promise<number>;',
+  '  deleteById(id: ID, options?: object): Promise<{count: number}>;',
+  '}',
+  '',
+  'export interface LooplineHasMany<T, D> {',
+  '  (filter?: LooplineFilter<D>, options?: object): Promise<T[]>;',
+  '  create(data: Partial<D>, options?: object): Promise<T>;',
+  '  findById(id: any, options?: object): Promise<T>;',
+  '  count(where?: LooplineWhere<D>, options?: object): Promise<number>;',
+  '  updateById(id: any, data: Partial<D>, options?: object): Promise<T>;',
+  '  destroy(id: any, options?: object): Promise<void>;',
+  '}',
+  '',
+  'export interface LooplineBelongsTo<T> {',
+  '  (refresh?: boolean, options?: object): Promise<T | null>;',
+  '}',
+  '',
+  'export interface LooplineHasOne<T, D> extends LooplineBelongsTo<T> {',
+  '  create(data: Partial<D>, options?: object): Promise<T>;',
+  '  update(data: Partial<D>, options?: object): Promise<T>;',
+  '  destroy(options?: object): Promise<void>;',
+  '}'
+];
+
+/*!
+ * Names of the shared declarations and of the global types used by the
+ * declarations, models cannot use them.
+ */
+
+var RESERVED_TYPES = ['LooplineWhere', 'LooplineFilter', 'LooplineInstance', 'LooplineModelClass',
+  'LooplineHasMany', 'LooplineBelongsTo', 'LooplineHasOne', 'Models',
+  'Array', 'Buffer', 'Date', 'Partial', 'Promise'];
+
+/**
+ * Generate JSON Schemas and TypeScript declarations of the models of a
+ * registry, e.g. for TypeScript services using loopline models.
+ *
+ * ```js
+ * var typegen = require('loopline').typegen;
+ *
+ * loopline.load(app, __dirname);
+ * typegen.write(app.registry, path.join(__dirname, 'types'));
+ * // types/models.d.ts, types/schemas/Customer.json, ...
+ * ```
+ *
+ * Models are listed in inheritance order, bases first, see
+ * `compiler.sortByInheritance()`. Anonymous models of object properties are
+ * inlined, `Model` and `PersistedModel` are left out.
+ *
+ * @class typegen
+ */
+
+/**
+ * Get the models of `registry` to generate types for, bases first.
+ *
+ * @param {Registry} registry
+ * @returns {Function[]} The model classes.
+ */
+exports.getModels = function (registry) {
+  var models = registry.modelBuilder.models;
+  var instructions = _.filter(models, isGenerated).map(function (Model) {
+    return {name: Model.modelName, definition: {base: baseName(Model)}};
+  });
+
+  return compiler.sortByInheritance(process.cwd(), instructions).map(function (inst) {
+    return models[inst.name];
+  });
+};
+
+/**
+ * Build a JSON Schema (draft-07) of the instance data of each model. A
+ * model with a base references the base schema `<Base>.json` with `allOf`,
+ * other models by `$ref` as well.
+ *
+ * @param {Registry} registry
+ * @returns {Object} The schemas keyed by model name, bases first.
+ */
+exports.jsonSchemas = function (registry) {
+  var schemas = {};
+
+  exports.getModels(registry).forEach(function (Model) {
+    var schema = jsonSchema.objectSchema(ownProperties(Model), SCHEMA_OPTIONS);
+    var base = Model.base;
+
+    if (isGenerated(base)) {
+      schema = {allOf: [{$ref: base.modelName + '.json'}, schema]};
+    }
+
+    schemas[Model.modelName] = _.assign({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      $id: Model.modelName + '.json',
+      title: Model.modelName
+    }, Model.settings.description ? {description: Model.settings.description} : {}, schema);
+  });
+
+  return schemas;
+};
+
+/**
+ * Build TypeScript declarations of the models: per model an interface of
+ * its instance data (`CustomerData`), of its instances with the relation
+ * accessors (`Customer`) and of the model class with typed static methods
+ * like `find`, `findById` and `create` (`CustomerModel`), plus a `Models`
+ * interface of all model classes, e.g. for `app.models`.
+ *
+ * Throws when two of these names clash, e.g. for models `Order` and
+ * `OrderData`, or a model takes a name used by the declarations like
+ * `Models`, `LooplineFilter` or `Date`.
+ *
+ * @param {Registry} registry
+ * @returns {String} The content of a `.d.ts` file.
+ */
+exports.declarations = function (registry) {
+  var models = exports.getModels(registry);
+  var lines = PRELUDE.slice();
+
+  checkTypeNames(models);
+
+  models.forEach(function (Model) {
+    var name = typeName(Model);
+    var base = isGenerated(Model.base) ? typeName(Model.base) : null;
+    var idProperty = Model.definition.properties[Model.definition.idName() || 'id'];
+
+    lines.push('');
+    if (Model.settings.description) {
+      lines.push('/** ' + Model.settings.description + ' */');
+    }
+
+    lines.push('export interface ' + name + 'Data' + (base ? ' extends ' + base + 'Data' : '') + ' {');
+    _.forEach(ownProperties(Model), function (property, key) {
+      lines.push('  ' + propertyKey(key) + (isOptional(property) ? '?' : '') + ': ' +
+        tsType(property.type) + ';');
+    });
+    lines.push('}', '');
+
+    lines.push('export interface ' + name + ' extends ' +
+      (base ? base + ', ' + name + 'Data' : name + 'Data, LooplineInstance<' + name + 'Data>') + ' {');
+    if (base) {
+      lines.push('  toJSON(): ' + name + 'Data;');
+    }
+    _.forEach(ownRelations(Model), function (relation, key) {
+      lines.push('  ' + propertyKey(key) + ': ' + relationType(registry, relation) + ';');
+    });
+    lines.push('}', '');
+
+    lines.push('export interface ' + name + 'Model extends LooplineModelClass<' + name + ', ' + name + 'Data, ' +
+      (idProperty ? tsType(idProperty.type) : 'any') + '> {}');
+  });
+
+  lines.push('', 'export interface Models {');
+  models.forEach(function (Model) {
+    lines.push('  ' + propertyKey(Model.modelName) + ': ' + typeName(Model) + 'Model;');
+  });
+  lines.push('}', '');
+
+  return lines.join('\n');
+};
+
+/**
+ * Write `models.d.ts` and `schemas/<Model>.json` files of the models into
+ * `dir`, see `declarations()` and `jsonSchemas()`.
+ *
+ * @param {Registry} registry
+ * @param {String} dir The output directory, created when missing.
+ * @returns {String[]} The written files.
+ */
+exports.write = function (registry, dir) {
+  var schemaDir = path.join(dir, 'schemas');
+  mkdirp(schemaDir);
+
+  var files = _.map(exports.jsonSchemas(registry), function (schema, name) {
+    var file = path.join(schemaDir, name + '.json');
+    debug('Writing JSON Schema of %s to %s', name, file);
+    fs.writeFileSync(file, JSON.stringify(schema, null, 2) + '\n');
+    return file;
+  });
+
+  var declarations = path.join(dir, 'models.d.ts');
+  debug('Writing declarations to %s', declarations);
+  fs.writeFileSync(declarations, exports.declarations(registry));
+  return [declarations].concat(files);
+};
+
+function isGenerated(Model) {
+  if (!Model || !Model.modelName || !Model.definition || Model.settings.anonymous) {
+    return false;
+  }
+  return Model.modelName !== 'Model' && Model.modelName !== 'PersistedModel';
+}
+
+function baseName(Model) {
+  return isGenerated(Model.base) ? Model.base.modelName : undefined;
+}
+
+function typeName(Model) {
+  return classify(Model.modelName);
+}
+
+/*!
+ * Properties defined by the model itself, not inherited from a generated
+ * base model.
+ */
+
+function ownProperties(Model) {
+  var properties = Model.definition.properties;
+  if (!isGenerated(Model.base)) {
+    return properties;
+  }
+
+  var inherited = Model.base.definition.properties;
+  return _.omitBy(properties, function (property, key) {
+    return _.has(inherited, key);
+  });
+}
+
+function ownRelations(Model) {
+  var relations = Model.settings.relations || {};
+  if (!isGenerated(Model.base)) {
+    return relations;
+  }
+
+  var inherited = Model.base.settings.relations || {};
+  return _.omitBy(relations, function (relation, key) {
+    return _.has(inherited, key);
+  });
+}
+
+/*!
+ * Throw when a type of a model has the name of a type of another model
+ * or of a type used by the declarations, TypeScript would merge or
+ * reject them.
+ */
+
+function checkTypeNames(models) {
+  var owners = _.fromPairs(RESERVED_TYPES.map(function (type) {
+    return [type, null];
+  }));
+
+  models.forEach(function (Model) {
+    var name = typeName(Model);
+    [name, name + 'Data', name + 'Model'].forEach(function (type) {
+      if (_.has(owners, type)) {
+        var owner = owners[type] ? 'the model ' + owners[type].modelName : 'a type used by the declarations';
+        throw new Error('Cannot declare the type ' + type + ' of the model ' + Model.modelName +
+          ', it is the name of ' + owner);
+      }
+      owners[type] = Model;
+    });
+  });
+}
+
+function isOptional(property) {
+  return !jsonSchema.isRequired(property);
+}
+
+function tsType(type) {
+  if (Array.isArray(type)) {
+    var item = type.length ? tsType(type[0]) : 'any';
+    return /^\w+$/.test(item) ? item + '[]' : 'Array<' + item + '>';
+  }
+  if (jsonSchema.isModel(type)) {
+    if (!type.settings.anonymous) {
+      return typeName(type) + 'Data';
+    }
+    return '{' + _.map(type.definition.properties, function (property, key) {
+      return propertyKey(key) + (isOptional(property) ? '?' : '') + ': ' + tsType(property.type);
+    }).join('; ') + '}';
+  }
+
+  switch (type && type.name) {
+    case 'String':
+      return 'string';
+    case 'Number':
+      return 'number';
+    case 'Boolean':
+      return 'boolean';
+    case 'Date':
+      return 'Date';
+    case 'Buffer':
+      return 'Buffer';
+    case 'Array':
+      return 'any[]';
+    case 'GeoPoint':
+      return '{lat: number; lng: number}';
+    default:
+      return 'any';
+  }
+}
+
+function relationType(registry, relation) {
+  var Target = relation.model && registry.findModel(relation.model);
+  // polymorphic relations resolve the model at runtime
+  var target = Target ? typeName(Target) : 'any';
+  var data = Target ? target + 'Data' : 'any';
+
+  if (LIST_RELATIONS.indexOf(relation.type) !== -1) {
+    return 'LooplineHasMany<' + target + ', ' + data + '>';
+  }
+  if (relation.type === 'belongsTo') {
+    return 'LooplineBelongsTo<' + target + '>';
+  }
+  return 'LooplineHasOne<' + target + ', ' + data + '>';
+}
+
+function propertyKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function mkdirp(dir) {
+  if (fs.existsSync(dir)) {
+    return;
+  }
+  mkdirp(path.dirname(dir));
+  fs.mkdirSync(dir);
+}
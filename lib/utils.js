@@ -0,0 +1,127 @@
+'use strict';
+
+var fs = require('fs');
+
+/*!
+ * Helpers shared by the modules: promise helpers, mostly file system helpers
+ * used by the asynchronous loader, and errors.
+ */
+
+/**
+ * Read the contents of a directory, resolve with an empty list when the
+ * directory cannot be read.
+ *
+ * @param {String} dir
+ * @returns {Promise.<Array.<String>>}
+ */
+exports.readDir = function (dir) {
+  return new Promise(function (resolve) {
+    fs.readdir(dir, function (err, files) {
+      resolve(err ? [] : files);
+    });
+  });
+};
+
+/**
+ * Check whether `file` exists.
+ *
+ * @param {String} file
+ * @returns {Promise.<Boolean>}
+ */
+exports.fileExists = function (file) {
+  return new Promise(function (resolve) {
+    fs.stat(file, function (err) {
+      resolve(!err);
+    });
+  });
+};
+
+/**
+ * Check whether `file` exists and is a regular file.
+ *
+ * @param {String} file
+ * @returns {Promise.<Boolean>}
+ */
+exports.isFile = function (file) {
+  return new Promise(function (resolve) {
+    fs.stat(file, function (err, stats) {
+      resolve(!err && stats.isFile());
+    });
+  });
+};
+
+/**
+ * Read and parse a JSON file.
+ *
+ * @param {String} file
+ * @returns {Promise.<Object>}
+ */
+exports.readJson = function (file) {
+  return new Promise(function (resolve, reject) {
+    fs.readFile(file, 'utf8', function (err, content) {
+      if (err) {
+        return reject(err);
+      }
+      try {
+        resolve(JSON.parse(content));
+      } catch (e) {
+        e.message = file + ': ' + e.message;
+        reject(e);
+      }
+    });
+  });
+};
+
+/**
+ * Resolve with the first item of `list` passing the asynchronous `test`,
+ * items are tested in order.
+ *
+ * @param {Array} list
+ * @param {function(item:*):Promise.<Boolean>} test
+ * @returns {Promise}
+ */
+exports.findFirst = function (list, test) {
+  return list.reduce(function (promise, item) {
+    return promise.then(function (found) {
+      if (found !== undefined) {
+        return found;
+      }
+      return test(item).then(function (ok) {
+        return ok ? item : undefined;
+      });
+    });
+  }, Promise.resolve(undefined));
+};
+
+/**
+ * Also report the outcome of `promise` to a node style `callback`, for
+ * methods supporting both.
+ *
+ * @param {Promise} promise
+ * @param {Function} [callback] Called with `(err, result)`.
+ * @returns {Promise} The `promise`.
+ */
+exports.settle = function (promise, callback) {
+  if (callback) {
+    promise.then(function (result) {
+      callback(null, result);
+    }, callback);
+  }
+  return promise;
+};
+
+/**
+ * Create an error with the HTTP `statusCode` and the `code` the REST handler
+ * reports.
+ *
+ * @param {Number} statusCode
+ * @param {String} code
+ * @param {String} message
+ * @returns {Error}
+ */
+exports.statusError = function (statusCode, code, message) {
+  var err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
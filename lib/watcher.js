@@ -0,0 +1,164 @@
+'use strict';
+
+var _ = require('lodash');
+var fs = require('fs');
+var path = require('path');
+var debug = require('debug')('loopline:watcher');
+var compiler = require('./compiler');
+var executor = require('./executor');
+
+var RELOAD_DELAY = 50;
+
+module.exports = Watcher;
+
+/**
+ * Watch the directories of loaded model definitions and customization
+ * scripts, rebuild models when their files change.
+ *
+ * A change of `customer.json`, `customer.js` or any of their overrides
+ * purges the files from the require cache, recompiles the instructions
+ * and redefines `Customer` and all models inheriting from it. For each
+ * redefined model the app emits `model:reloaded` with `(Model, previous)`;
+ * failures are emitted as `model:reloadError`.
+ *
+ * New model files are not picked up, restart the app to load them.
+ *
+ * @param {Application} line The application.
+ * @param {Object} options Normalized loader options.
+ * @param {Object} instructions Instructions the app was loaded from.
+ * @class Watcher
+ */
+
+function Watcher(line, options, instructions) {
+  this.line = line;
+  this.options = options;
+  this.instructions = instructions;
+  this.watchers = [];
+  this.pending = {};
+  this.timer = null;
+
+  watchedDirs(instructions).forEach(function (dir) {
+    debug('Watching %s', dir);
+    this.watchers.push(fs.watch(dir, this.onChange.bind(this, dir)));
+  }, this);
+}
+
+/**
+ * Stop watching.
+ */
+
+Watcher.prototype.close = function () {
+  this.watchers.forEach(function (w) {
+    w.close();
+  });
+  this.watchers = [];
+  clearTimeout(this.timer);
+};
+
+Watcher.prototype.onChange = function (dir, event, filename) {
+  if (!filename) {
+    return;
+  }
+
+  // `customer.local.json` belongs to `customer.json`
+  var basename = path.basename(filename).split('.')[0];
+  var names = modelsInFiles(this.instructions, dir, basename);
+  if (!names.length) {
+    return;
+  }
+
+  debug('%s %s changed', event, path.join(dir, filename));
+  names.forEach(function (name) {
+    this.pending[name] = path.join(dir, basename);
+  }, this);
+
+  clearTimeout(this.timer);
+  this.timer = setTimeout(this.reload.bind(this), RELOAD_DELAY);
+};
+
+Watcher.prototype.reload = function () {
+  var line = this.line;
+  var pending = this.pending;
+  this.pending = {};
+
+  var previous = {};
+  var names;
+  var models;
+
+  try {
+    _.forEach(pending, purgeRequireCache);
+
+    var instructions = compiler.compile(this.options);
+    names = withDescendants(instructions.models, Object.keys(pending));
+    names.forEach(function (name) {
+      previous[name] = line.registry.findModel(name);
+    });
+
+    models = executor.redefineModels(line, instructions, names);
+    this.instructions = instructions;
+  } catch (err) {
+    debug('Cannot reload %j: %s', Object.keys(pending), err.stack);
+    if (line.listeners('model:reloadError').length) {
+      line.emit('model:reloadError', err);
+    } else {
+      console.error('Cannot reload models: %s', err.message);
+    }
+    return;
+  }
+
+  names.forEach(function (name) {
+    debug('Reloaded model %s', name);
+    line.emit('model:reloaded', models[name], previous[name]);
+  });
+};
+
+function watchedDirs(instructions) {
+  var dirs = [];
+  instructions.models.forEach(function (inst) {
+    [inst.definitionFile, inst.sourceFile].forEach(function (file) {
+      if (file) {
+        dirs.push(path.dirname(file));
+      }
+    });
+  });
+  return _.uniq(dirs);
+}
+
+function modelsInFiles(instructions, dir, basename) {
+  return instructions.models
+    .filter(function (inst) {
+      return [inst.definitionFile, inst.sourceFile].some(function (file) {
+        return file && path.dirname(file) === dir &&
+          path.basename(file, path.extname(file)) === basename;
+      });
+    })
+    .map(function (inst) {
+      return inst.name;
+    });
+}
+
+function purgeRequireCache(prefix) {
+  Object.keys(require.cache).forEach(function (file) {
+    if (file === prefix || file.indexOf(prefix + '.') === 0) {
+      debug('Purging %s from the require cache', file);
+      delete require.cache[file];
+    }
+  });
+}
+
+function withDescendants(modelInstructions, names) {
+  var result = names.slice();
+
+  // instructions are sorted by inheritance, a base comes before subclasses
+  modelInstructions.forEach(function (inst) {
+    var definition = inst.definition || {};
+    var base = definition.base || definition.options && definition.options.base;
+    if (base && result.indexOf(base) !== -1 && result.indexOf(inst.name) === -1) {
+      result.push(inst.name);
+    }
+  });
+
+  return result.filter(function (name) {
+    return _.some(modelInstructions, {name: name});
+  });
+}
@@ -0,0 +1,241 @@
+'use strict';
+
+var assert = require('chai').assert;
+var _ = require('lodash');
+var loopline = require('..');
+var rejected = require('./support').rejected;
+
+describe('access control', function () {
+  var app;
+  var Note;
+
+  var alice = {accessToken: {userId: 1}};
+  var bob = {accessToken: {userId: 2}};
+  var anonymous = {accessToken: null};
+
+  function defineNote(acls, options) {
+    Note = app.registry.createModel('Note', {
+      title: 'string',
+      ownerId: 'number'
+    }, options);
+    app.model(Note, {dataSource: 'db', acls: acls});
+    return Note;
+  }
+
+  beforeEach(function () {
+    app = loopline(null, {localRegistry: true});
+    app.dataSource('db', {connector: 'memory'});
+  });
+
+  describe('checkAccess', function () {
+    function check(ctx, method) {
+      return Note.checkAccess(ctx, method);
+    }
+
+    it('should allow access without ACLs', function () {
+      defineNote();
+      return check(anonymous, 'deleteById').then(function (allowed) {
+        assert.isTrue(allowed);
+      });
+    });
+
+    it('should apply the default permission of the model', function () {
+      defineNote([], {defaultPermission: 'DENY'});
+      return check(alice, 'find').then(function (allowed) {
+        assert.isFalse(allowed);
+      });
+    });
+
+    it('should match access types', function () {
+      defineNote([
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: '$everyone', accessType: 'READ', permission: 'ALLOW'}
+      ]);
+
+      return Promise.all([
+        check(anonymous, 'find'),
+        check(anonymous, 'prototype.updateAttributes'),
+        check(anonymous, 'customAction'),
+        check(_.assign({accessType: 'READ'}, anonymous), 'customAction')
+      ]).then(function (results) {
+        assert.deepEqual(results, [true, false, false, true]);
+      });
+    });
+
+    it('should prefer exact properties and their aliases', function () {
+      defineNote([
+        {principalType: 'ROLE', principalId: '$everyone', accessType: 'WRITE', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: '$everyone', property: ['upsert', 'deleteById'], permission: 'ALLOW'}
+      ]);
+
+      return Promise.all([
+        check(anonymous, 'create'),
+        check(anonymous, 'updateOrCreate'),
+        check(anonymous, 'destroyById'),
+        check(anonymous, 'prototype.destroy')
+      ]).then(function (results) {
+        assert.deepEqual(results, [false, true, true, false]);
+      });
+    });
+
+    it('should prefer users over roles', function () {
+      defineNote([
+        {principalType: 'ROLE', principalId: '$authenticated', permission: 'ALLOW'},
+        {principalType: 'USER', principalId: '2', permission: 'DENY'},
+        {principalType: 'APP', principalId: 'mobile', permission: 'DENY'}
+      ]);
+
+      return Promise.all([
+        check(alice, 'find'),
+        check(bob, 'find'),
+        check({accessToken: {userId: 1, appId: 'mobile'}}, 'find')
+      ]).then(function (results) {
+        assert.deepEqual(results, [true, false, false]);
+      });
+    });
+
+    it('should let DENY win at the same specificity', function () {
+      defineNote([
+        {principalType: 'ROLE', principalId: 'admin', permission: 'ALLOW'},
+        {principalType: 'ROLE', principalId: 'auditor', permission: 'DENY'}
+      ]);
+
+      return check({accessToken: {userId: 1}, principals: [
+        {type: 'ROLE', id: 'admin'},
+        {type: 'ROLE', id: 'auditor'}
+      ]}, 'find').then(function (allowed) {
+        assert.isFalse(allowed);
+      });
+    });
+
+    it('should resolve $authenticated and $unauthenticated', function () {
+      defineNote([
+        {principalType: 'ROLE', principalId: '$unauthenticated', permission: 'DENY'}
+      ]);
+
+      return Promise.all([check(anonymous, 'find'), check(alice, 'find')]).then(function (results) {
+        assert.deepEqual(results, [false, true]);
+      });
+    });
+
+    it('should resolve $owner', function () {
+      defineNote([
+        {principalType: 'ROLE', principalId: '$everyone', accessType: 'WRITE', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: '$owner', accessType: 'WRITE', permission: 'ALLOW'}
+      ]);
+
+      return Note.create({title: 'mine', ownerId: 1}).then(function (note) {
+        return Promise.all([
+          check(_.assign({modelId: note.id}, alice), 'prototype.updateAttributes'),
+          check(_.assign({modelId: note.id}, bob), 'prototype.updateAttributes'),
+          check(alice, 'create')
+        ]);
+      }).then(function (results) {
+        assert.deepEqual(results, [true, false, false]);
+      });
+    });
+
+    it('should use registered role resolvers', function () {
+      var calls = [];
+      app.registry.accessControl.registerResolver('$weekday', function (role, req, cb) {
+        calls.push([role, req.modelName, req.property, req.accessType]);
+        cb(null, req.context.day !== 'sunday');
+      });
+      defineNote([
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: '$weekday', permission: 'ALLOW'}
+      ]);
+
+      return Promise.all([
+        check({accessToken: null, day: 'monday'}, 'find'),
+        check({accessToken: null, day: 'sunday'}, 'find')
+      ]).then(function (results) {
+        assert.deepEqual(results, [true, false]);
+        assert.deepEqual(calls[0], ['$weekday', 'Note', 'find', 'READ']);
+      });
+    });
+
+    it('should support callbacks', function (done) {
+      defineNote();
+      Note.checkAccess(alice, 'find', function (err, allowed) {
+        if (err) {
+          return done(err);
+        }
+        assert.isTrue(allowed);
+        done();
+      });
+    });
+  });
+
+  describe('model methods', function () {
+    beforeEach(function () {
+      defineNote([
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: '$everyone', accessType: 'READ', permission: 'ALLOW'},
+        {principalType: 'ROLE', principalId: '$authenticated', property: 'create', permission: 'ALLOW'},
+        {principalType: 'ROLE', principalId: '$owner', accessType: 'WRITE', permission: 'ALLOW'}
+      ]);
+      return Note.create({id: 1, title: 'first', ownerId: 1});
+    });
+
+    it('should not check calls without a caller', function () {
+      return Note.deleteById(1).then(function () {
+        return Note.count();
+      }).then(function (count) {
+        assert.equal(count, 0);
+      });
+    });
+
+    it('should reject anonymous callers with 401', function () {
+      return rejected(Note.create({title: 'second'}, anonymous)).then(function (err) {
+        assert.equal(err.statusCode, 401);
+        assert.equal(err.code, 'AUTHORIZATION_REQUIRED');
+        return Note.count();
+      }).then(function (count) {
+        assert.equal(count, 1);
+      });
+    });
+
+    it('should reject denied users with 403', function () {
+      return rejected(Note.deleteById(1, bob)).then(function (err) {
+        assert.equal(err.statusCode, 403);
+        assert.equal(err.code, 'ACCESS_DENIED');
+      });
+    });
+
+    it('should run allowed calls', function () {
+      return Note.find({}, anonymous).then(function (list) {
+        assert.lengthOf(list, 1);
+        return Note.create({title: 'second', ownerId: 2}, bob);
+      }).then(function (note) {
+        assert.equal(note.title, 'second');
+        return Note.deleteById(1, alice);
+      }).then(function () {
+        return Note.count();
+      }).then(function (count) {
+        assert.equal(count, 1);
+      });
+    });
+
+    it('should check instance methods against the owner', function () {
+      var note;
+
+      return Note.findById(1).then(function (found) {
+        note = found;
+        return rejected(note.updateAttributes({title: 'changed'}, bob));
+      }).then(function (err) {
+        assert.equal(err.statusCode, 403);
+        return note.updateAttributes({title: 'changed'}, alice);
+      }).then(function (updated) {
+        assert.equal(updated.title, 'changed');
+      });
+    });
+
+    it('should report denials to callbacks', function (done) {
+      Note.updateAll({}, {title: 'all'}, anonymous, function (err) {
+        assert.equal(err && err.statusCode, 401);
+        done();
+      });
+    });
+  });
+});
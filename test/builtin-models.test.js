@@ -0,0 +1,264 @@
+'use strict';
+
+var assert = require('chai').assert;
+var crypto = require('crypto');
+var path = require('path');
+var loopline = require('..');
+var rejected = require('./support').rejected;
+
+describe('builtin models', function () {
+  var app;
+  var models;
+
+  beforeEach(function () {
+    app = loopline(null, {localRegistry: true, loadBuiltinModels: true});
+    app.dataSource('db', {connector: 'memory'});
+    models = app.registry.builtinModels;
+  });
+
+  it('should only be defined on demand', function () {
+    var other = loopline(null, {localRegistry: true});
+    assert.isUndefined(other.registry.findModel('User'));
+    assert.strictEqual(app.registry.getModel('User'), models.User);
+    assert.sameMembers(Object.keys(models), ['User', 'AccessToken', 'Role', 'RoleMapping', 'ACL']);
+  });
+
+  describe('User', function () {
+    var User;
+    var AccessToken;
+
+    beforeEach(function () {
+      User = models.User;
+      AccessToken = models.AccessToken;
+      app.model(User, {dataSource: 'db'});
+      app.model(AccessToken, {dataSource: 'db'});
+      return User.create({email: 'Alice@example.com', password: 'secret'});
+    });
+
+    it('should hash and hide passwords', function () {
+      return User.findOne().then(function (user) {
+        assert.match(user.password, /^pbkdf2\$/);
+        assert.notProperty(user.toJSON(), 'password');
+        return Promise.all([user.hasPassword('secret'), user.hasPassword('wrong')]);
+      }).then(function (results) {
+        assert.deepEqual(results, [true, false]);
+      });
+    });
+
+    it('should hash passwords looking like a hash', function () {
+      var salt = 'abcd';
+      var forged = 'pbkdf2$1$' + salt + '$' + crypto.pbkdf2Sync('guess', salt, 1, 32, 'sha256').toString('hex');
+
+      return User.create({email: 'mallory@example.com', password: forged}).then(function (user) {
+        assert.notEqual(user.password, forged);
+        return Promise.all([user.hasPassword('guess'), user.hasPassword(forged)]);
+      }).then(function (results) {
+        assert.deepEqual(results, [false, true]);
+      });
+    });
+
+    it('should not accept the stored hash of another user', function () {
+      var alice;
+
+      return User.findOne().then(function (user) {
+        alice = user;
+        return User.create({email: 'mallory@example.com', password: 'x'});
+      }).then(function (mallory) {
+        return mallory.updateAttributes({password: alice.password});
+      }).then(function (mallory) {
+        assert.notEqual(mallory.password, alice.password);
+        return mallory.hasPassword('secret');
+      }).then(function (matches) {
+        assert.isFalse(matches);
+      });
+    });
+
+    it('should keep the stored hash of loaded users', function () {
+      var hashed;
+
+      return User.findOne().then(function (user) {
+        hashed = user.password;
+        user.realm = 'staff';
+        return user.save();
+      }).then(function () {
+        return User.findOne();
+      }).then(function (user) {
+        assert.equal(user.password, hashed);
+        return user.hasPassword('secret');
+      }).then(function (matches) {
+        assert.isTrue(matches);
+      });
+    });
+
+    it('should reject duplicate emails', function () {
+      return rejected(User.create({email: 'alice@example.com', password: 'x'})).then(function (err) {
+        assert.equal(err.name, 'ValidationError');
+      });
+    });
+
+    it('should log in and out', function () {
+      var token;
+
+      return User.login({email: 'ALICE@example.com', password: 'secret'}).then(function (result) {
+        token = result;
+        assert.instanceOf(token, AccessToken);
+        assert.lengthOf(token.id, 64);
+        assert.equal(token.ttl, User.settings.ttl);
+        return AccessToken.resolve(token.id);
+      }).then(function (resolved) {
+        assert.equal(resolved.userId, token.userId);
+        return User.logout(token.id);
+      }).then(function () {
+        return AccessToken.count();
+      }).then(function (count) {
+        assert.equal(count, 0);
+      });
+    });
+
+    it('should reject wrong credentials with 401', function () {
+      return Promise.all([
+        rejected(User.login({email: 'alice@example.com', password: 'wrong'})),
+        rejected(User.login({email: 'bob@example.com', password: 'secret'}))
+      ]).then(function (errors) {
+        assert.equal(errors[0].statusCode, 401);
+        assert.equal(errors[0].code, 'LOGIN_FAILED');
+        assert.equal(errors[1].statusCode, 401);
+        assert.equal(errors[1].code, 'LOGIN_FAILED');
+      });
+    });
+
+    it('should cap the token ttl', function (done) {
+      User.login({email: 'alice@example.com', password: 'secret', ttl: 1e9}, function (err, token) {
+        if (err) {
+          return done(err);
+        }
+        assert.equal(token.ttl, User.settings.maxTTL);
+        done();
+      });
+    });
+
+    it('should let users read their own record', function () {
+      return User.login({email: 'alice@example.com', password: 'secret'}).then(function (token) {
+        var ctx = {accessToken: token};
+        return Promise.all([
+          User.findById(token.userId, {}, ctx),
+          rejected(User.find({}, ctx)),
+          rejected(User.findById(token.userId, {}, {accessToken: null}))
+        ]);
+      }).then(function (results) {
+        assert.equal(results[0].email, 'alice@example.com');
+        assert.equal(results[1].statusCode, 403);
+        assert.equal(results[2].statusCode, 401);
+      });
+    });
+  });
+
+  describe('AccessToken', function () {
+    beforeEach(function () {
+      app.model(models.AccessToken, {dataSource: 'db'});
+    });
+
+    it('should not resolve expired tokens', function () {
+      var AccessToken = models.AccessToken;
+      var hourAgo = new Date(Date.now() - 3600 * 1000);
+
+      return Promise.all([
+        AccessToken.create({ttl: 60, created: hourAgo}),
+        AccessToken.create({ttl: -1, created: hourAgo})
+      ]).then(function (tokens) {
+        return Promise.all([AccessToken.resolve(tokens[0].id), AccessToken.resolve(tokens[1].id)]);
+      }).then(function (resolved) {
+        assert.isNull(resolved[0]);
+        assert.isOk(resolved[1]);
+        return AccessToken.count();
+      }).then(function (count) {
+        assert.equal(count, 1);
+      });
+    });
+  });
+
+  describe('Role and ACL', function () {
+    var Note;
+
+    beforeEach(function () {
+      ['Role', 'RoleMapping', 'ACL'].forEach(function (name) {
+        app.model(models[name], {dataSource: 'db'});
+      });
+      Note = app.registry.createModel('Note', {title: 'string'});
+      app.model(Note, {dataSource: 'db', acls: [
+        {principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: 'editor', permission: 'ALLOW'}
+      ]});
+    });
+
+    it('should resolve roles from role mappings', function () {
+      return models.Role.create({name: 'editor'}).then(function (role) {
+        return role.principals.create({principalType: models.RoleMapping.USER, principalId: 1});
+      }).then(function () {
+        return Promise.all([
+          Note.checkAccess({accessToken: {userId: 1}}, 'create'),
+          Note.checkAccess({accessToken: {userId: 2}}, 'create')
+        ]);
+      }).then(function (results) {
+        assert.deepEqual(results, [true, false]);
+      });
+    });
+
+    it('should check stored ACL entries', function () {
+      return models.ACL.create({
+        model: 'Note',
+        property: 'find',
+        principalType: models.ACL.USER,
+        principalId: '2',
+        permission: models.ACL.ALLOW
+      }).then(function () {
+        return Promise.all([
+          Note.checkAccess({accessToken: {userId: 2}}, 'find'),
+          Note.checkAccess({accessToken: {userId: 2}}, 'create')
+        ]);
+      }).then(function (results) {
+        assert.deepEqual(results, [true, false]);
+      });
+    });
+  });
+
+  describe('loader', function () {
+    beforeEach(function () {
+      app = loopline(null, {localRegistry: true, loadBuiltinModels: true});
+      loopline.load(app, path.resolve(__dirname, 'fixtures', 'builtin'));
+      models = app.registry.builtinModels;
+    });
+
+    it('should configure built-in models from model-config', function () {
+      assert.strictEqual(app.models.User, models.User);
+      assert.strictEqual(models.Role.dataSource, app.dataSources.db);
+      assert.notOk(models.ACL.dataSource);
+    });
+
+    it('should customize built-in models from model definitions', function () {
+      var User = models.User;
+      assert.isTrue(User.customized);
+      assert.property(User.definition.properties, 'nickname');
+      assert.isTrue(User.settings.caseSensitiveEmail);
+      assert.deepEqual(User.settings.acls[3], {
+        principalType: 'ROLE', principalId: '$authenticated', permission: 'ALLOW', property: 'find'
+      });
+      // the built-in ACLs are kept
+      assert.lengthOf(User.settings.acls, 4);
+    });
+
+    it('should extend built-in models', function () {
+      var Customer = app.models.Customer;
+      assert.instanceOf(new Customer(), models.User);
+
+      return Customer.create({email: 'bob@example.com', password: 'secret', plan: 'pro'}).then(function () {
+        return rejected(Customer.create({email: 'bob@example.com', password: 'x'}));
+      }).then(function (err) {
+        assert.equal(err.name, 'ValidationError');
+        return Customer.login({email: 'bob@example.com', password: 'secret'});
+      }).then(function (token) {
+        assert.isOk(token.id);
+      });
+    });
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+var assert = require('chai').assert;
+var loopline = require('..');
+
+describe('config-loader', function () {
+  describe('merge', function () {
+    var merge = loopline.mergeConfig;
+
+    it('should override scalar values', function () {
+      var target = {base: 'Model', strict: false};
+      merge(target, {base: 'PersistedModel'});
+      assert.deepEqual(target, {base: 'PersistedModel', strict: false});
+    });
+
+    it('should merge nested objects', function () {
+      var target = {properties: {name: {type: 'string'}}};
+      merge(target, {properties: {name: {required: true}, age: 'number'}});
+      assert.deepEqual(target.properties, {
+        name: {type: 'string', required: true},
+        age: 'number'
+      });
+    });
+
+    it('should merge relations by name', function () {
+      var target = {
+        relations: {
+          orders: {type: 'hasMany', model: 'Order'},
+          address: {type: 'embedsOne', model: 'Address'}
+        }
+      };
+      merge(target, {relations: {orders: {foreignKey: 'buyerId'}}});
+      assert.deepEqual(target.relations, {
+        orders: {type: 'hasMany', model: 'Order', foreignKey: 'buyerId'},
+        address: {type: 'embedsOne', model: 'Address'}
+      });
+    });
+
+    it('should merge acls by key', function () {
+      var target = {
+        acls: [
+          {property: '*', accessType: '*', principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'},
+          {property: 'find', accessType: 'READ', principalType: 'ROLE', principalId: '$everyone', permission: 'ALLOW'},
+          {property: ['count', 'exists'], accessType: 'READ', principalType: 'ROLE', principalId: '$everyone', permission: 'ALLOW'}
+        ]
+      };
+      merge(target, {
+        acls: [
+          {property: '*', accessType: '*', principalType: 'ROLE', principalId: '$everyone', permission: 'ALLOW'},
+          {property: 'create', accessType: 'WRITE', principalType: 'ROLE', principalId: '$owner', permission: 'ALLOW'},
+          {property: ['count', 'exists'], accessType: 'READ', principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'}
+        ]
+      });
+      assert.deepEqual(target.acls.map(function (acl) {
+        return acl.property + ':' + acl.permission;
+      }), ['*:ALLOW', 'find:ALLOW', 'count,exists:DENY', 'create:ALLOW']);
+    });
+
+    it('should override other arrays', function () {
+      var target = {hidden: ['password', 'email']};
+      merge(target, {hidden: ['token']});
+      assert.deepEqual(target.hidden, ['token']);
+    });
+
+    it('should not share objects with the source', function () {
+      var source = {options: {validateUpsert: true}, hidden: ['password']};
+      var target = merge({}, source);
+      target.hidden.push('email');
+      assert.deepEqual(source.hidden, ['password']);
+    });
+  });
+});
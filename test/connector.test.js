@@ -0,0 +1,115 @@
+'use strict';
+
+var assert = require('chai').assert;
+var _ = require('lodash');
+var loopline = require('..');
+var Connector = loopline.Connector;
+
+describe('connector', function () {
+  var app;
+
+  beforeEach(function () {
+    app = loopline(null, {localRegistry: true});
+  });
+
+  describe('capabilities', function () {
+    it('should expose the capabilities of the connector', function () {
+      var ds = app.dataSource('db', {connector: 'memory'});
+      assert.deepEqual(ds.capabilities, {
+        transactions: false,
+        nestedQueries: true,
+        geo: false,
+        fullText: false,
+        regexp: true
+      });
+      assert.isTrue(ds.supports('nestedQueries'));
+      assert.isFalse(ds.supports('geo'));
+      assert.isFalse(ds.supports('unknown'));
+    });
+
+    it('should be available to attached models', function () {
+      app.dataSource('db', {connector: 'memory'});
+      var Note = app.model('Note', {dataSource: 'db'});
+      assert.isTrue(Note.dataSource.supports('nestedQueries'));
+    });
+
+    it('should default to false and detect transactions', function () {
+      assert.deepEqual(Connector.getCapabilities({}), {
+        transactions: false,
+        nestedQueries: false,
+        geo: false,
+        fullText: false,
+        regexp: false
+      });
+      assert.isTrue(Connector.getCapabilities({beginTransaction: _.noop}).transactions);
+      assert.isFalse(Connector.getCapabilities({
+        beginTransaction: _.noop,
+        capabilities: {transactions: false}
+      }).transactions);
+    });
+  });
+
+  describe('JugglingDB adapters', function () {
+    var Note;
+
+    beforeEach(function () {
+      app.connector('fake', Connector.fromJDBAdapter(require('./fixtures/jdb')));
+      app.dataSource('db', {connector: 'fake'});
+      Note = app.model('Note', {dataSource: 'db', properties: {title: 'string', tag: 'string'}});
+
+      return Promise.all([
+        Note.create({title: 'a', tag: 'x'}),
+        Note.create({title: 'b', tag: 'x'}),
+        Note.create({title: 'c', tag: 'y'})
+      ]);
+    });
+
+    it('should wrap the adapter into a connector', function () {
+      var connector = app.dataSources.db.connector;
+      assert.instanceOf(connector, Connector);
+      assert.equal(connector.jdbAdapter.settings.connector.name, 'jdb-fake');
+    });
+
+    it('should find and count', function () {
+      return Promise.all([
+        Note.findById(2),
+        Note.find({where: {tag: 'x'}}),
+        Note.count({tag: 'x'}),
+        Note.exists(3),
+        Note.exists(4)
+      ]).then(function (result) {
+        assert.equal(result[0].title, 'b');
+        assert.deepEqual(_.map(result[1], 'title'), ['a', 'b']);
+        assert.deepEqual(result.slice(2), [2, true, false]);
+      });
+    });
+
+    it('should update attributes', function () {
+      return Note.findById(1).then(function (note) {
+        return note.updateAttributes({title: 'A'});
+      }).then(function () {
+        return Note.findById(1);
+      }).then(function (note) {
+        assert.equal(note.title, 'A');
+      });
+    });
+
+    it('should update and destroy matching records', function () {
+      return Note.updateAll({tag: 'x'}, {tag: 'z'}).then(function (info) {
+        assert.equal(info.count, 2);
+        return Note.destroyAll({tag: 'z'});
+      }).then(function (info) {
+        assert.equal(info.count, 2);
+        return Note.find();
+      }).then(function (list) {
+        assert.deepEqual(_.map(list, 'title'), ['c']);
+        return Note.destroyById(3);
+      }).then(function (info) {
+        assert.equal(info.count, 1);
+        return Note.count();
+      }).then(function (count) {
+        assert.equal(count, 0);
+      });
+    });
+  });
+});
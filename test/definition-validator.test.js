@@ -0,0 +1,116 @@
+'use strict';
+
+var assert = require('chai').assert;
+var validate = require('../lib/definition-validator');
+
+describe('definition-validator', function () {
+  function paths(issues) {
+    return issues.map(function (issue) {
+      return issue.path;
+    });
+  }
+
+  it('should accept a valid definition', function () {
+    assert.deepEqual(validate({
+      name: 'Customer',
+      base: 'PersistedModel',
+      properties: {
+        name: 'string',
+        age: {type: 'Number', required: true},
+        tags: ['string'],
+        address: {type: {street: 'string'}},
+        location: 'GeoPoint',
+        manager: 'Customer'
+      },
+      relations: {
+        orders: {type: 'hasMany', model: 'Order', foreignKey: 'customerId'},
+        owner: {type: 'belongsTo', polymorphic: true}
+      },
+      acls: [
+        {principalType: 'ROLE', principalId: '$everyone', accessType: 'READ', permission: 'ALLOW'}
+      ],
+      mixins: {TimeStamps: true, Audit: {log: true}},
+      hidden: ['password'],
+      strict: true,
+      customSetting: 'anything'
+    }), []);
+  });
+
+  it('should require a name', function () {
+    assert.deepEqual(paths(validate({properties: {}})), ['name']);
+  });
+
+  it('should report unknown property types', function () {
+    var issues = validate({name: 'A', properties: {a: 'strng', b: {type: ['nubmer']}}});
+    assert.deepEqual(paths(issues), ['properties.a', 'properties.b.type[0]']);
+    assert.match(issues[0].message, /unknown type "strng"/);
+  });
+
+  it('should accept types of known models', function () {
+    assert.deepEqual(validate({name: 'A', properties: {b: 'address'}}, {modelNames: ['address']}), []);
+  });
+
+  it('should require property types in property objects', function () {
+    assert.deepEqual(paths(validate({name: 'A', properties: {a: {required: true}}})), ['properties.a.type']);
+  });
+
+  it('should report misspelled keys', function () {
+    var issues = validate({name: 'A', relatons: {}});
+    assert.deepEqual(paths(issues), ['relatons']);
+    assert.match(issues[0].message, /did you mean "relations"/);
+  });
+
+  it('should validate relations', function () {
+    assert.deepEqual(paths(validate({
+      name: 'A',
+      relations: {
+        a: {type: 'hasManny', model: 'B'},
+        b: {type: 'hasMany'},
+        c: {type: 'belongsTo', model: 'B', foreignKey: 1},
+        d: 'B'
+      }
+    })), ['relations.a.type', 'relations.b.model', 'relations.c.foreignKey', 'relations.d']);
+  });
+
+  it('should validate acls', function () {
+    assert.deepEqual(paths(validate({
+      name: 'A',
+      acls: [
+        {principalType: 'ROLE', principalId: '$owner', permission: 'ALLOW', accessType: 'DELETE'},
+        {principalId: '$owner', permission: 'PERMIT', property: 1}
+      ]
+    })), ['acls[0].accessType', 'acls[1].permission', 'acls[1].principalType', 'acls[1].property']);
+    assert.deepEqual(paths(validate({name: 'A', acls: {}})), ['acls']);
+  });
+
+  it('should validate mixins and hidden', function () {
+    assert.deepEqual(paths(validate({
+      name: 'A',
+      mixins: {TimeStamps: 'yes'},
+      hidden: 'password'
+    })), ['mixins.TimeStamps', 'hidden']);
+  });
+
+  it('should validate methods', function () {
+    assert.deepEqual(paths(validate({
+      name: 'A',
+      methods: {
+        'greet': {
+          accepts: [{arg: 'name', type: 'string'}, {type: 'number'}],
+          returns: {type: 'object', root: true},
+          http: {verb: 'fetch', path: 'greet'}
+        },
+        'prototype.wave': {returns: 'string', http: [{verb: 'get'}, 'post']},
+        'shout': true
+      }
+    })), [
+      'methods.greet.accepts[1].arg',
+      'methods.greet.http.verb',
+      'methods.greet.http.path',
+      'methods.prototype.wave.returns',
+      'methods.prototype.wave.http[1]',
+      'methods.shout'
+    ]);
+    assert.deepEqual(paths(validate({name: 'A', methods: []})), ['methods']);
+  });
+});
@@ -0,0 +1,10 @@
+'use strict';
+
+module.exports = function (Account) {
+  return new Promise(function (resolve) {
+    setTimeout(function () {
+      Account.customizedBeforeAttach = !Account.app;
+      resolve();
+    }, 10);
+  });
+};
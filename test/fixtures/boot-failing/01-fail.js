@@ -0,0 +1,7 @@
+'use strict';
+
+module.exports = function (app, cb) {
+  setImmediate(function () {
+    cb(new Error('seed failed'));
+  });
+};
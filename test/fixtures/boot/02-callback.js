@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = function (app, cb) {
+  setImmediate(function () {
+    app.bootLog.push('callback');
+    cb();
+  });
+};
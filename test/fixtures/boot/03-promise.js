@@ -0,0 +1,7 @@
+'use strict';
+
+module.exports = function (app) {
+  return app.models.Customer.create({name: 'seed'}).then(function () {
+    app.bootLog.push('promise');
+  });
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+// A minimal JugglingDB style adapter: no `options` arguments,
+// `count(model, callback, where)` and `destroyAll(model, callback)`.
+
+exports.name = 'jdb-fake';
+
+exports.initialize = function (schema, callback) {
+  schema.adapter = new Fake(schema.settings);
+  process.nextTick(callback);
+};
+
+function Fake(settings) {
+  this.settings = settings;
+  this.data = {};
+  this.lastId = 0;
+}
+
+Fake.prototype.define = function (definition) {
+  this.data[definition.model.modelName] = {};
+};
+
+Fake.prototype.create = function (model, data, callback) {
+  var id = data.id || ++this.lastId;
+  data.id = id;
+  this.data[model][id] = JSON.parse(JSON.stringify(data));
+  callback(null, id);
+};
+
+Fake.prototype.find = function (model, id, callback) {
+  callback(null, this.data[model][id] || null);
+};
+
+Fake.prototype.all = function (model, filter, callback) {
+  var records = this.data[model];
+  var where = filter && filter.where || {};
+  callback(null, Object.keys(records).map(function (id) {
+    return records[id];
+  }).filter(function (record) {
+    return Object.keys(where).every(function (key) {
+      return record[key] === where[key];
+    });
+  }));
+};
+
+Fake.prototype.count = function (model, callback, where) {
+  this.all(model, {where: where}, function (err, list) {
+    callback(err, list.length);
+  });
+};
+
+Fake.prototype.updateAttributes = function (model, id, data, callback) {
+  var record = this.data[model][id];
+  Object.keys(data).forEach(function (key) {
+    record[key] = data[key];
+  });
+  callback(null, record);
+};
+
+Fake.prototype.destroy = function (model, id, callback) {
+  delete this.data[model][id];
+  callback();
+};
+
+Fake.prototype.destroyAll = function (model, callback) {
+  this.data[model] = {};
+  callback();
+};
@@ -0,0 +1,9 @@
+module.exports = function (Greeter) {
+  Greeter.greet = function (name) {
+    return 'Hello ' + name;
+  };
+
+  Greeter.prototype.rename = function (name, callback) {
+    this.updateAttributes({name: name}, callback);
+  };
+};
@@ -0,0 +1,13 @@
+'use strict';
+
+module.exports = {
+  up: function (app) {
+    app.log.push('up 0001');
+    return app.models.Person.create({name: 'Alice'});
+  },
+
+  down: function (app) {
+    app.log.push('down 0001');
+    return app.models.Person.destroyAll({name: 'Alice'});
+  }
+};
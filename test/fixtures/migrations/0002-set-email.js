@@ -0,0 +1,13 @@
+'use strict';
+
+module.exports = {
+  up: function (app, cb) {
+    app.log.push('up 0002');
+    app.models.Person.updateAll({name: 'Alice'}, {email: 'alice@example.com'}, cb);
+  },
+
+  down: function (app, cb) {
+    app.log.push('down 0002');
+    app.models.Person.updateAll({name: 'Alice'}, {email: null}, cb);
+  }
+};
@@ -0,0 +1,11 @@
+'use strict';
+
+module.exports = {
+  up: function (app) {
+    app.log.push('up 0003');
+  },
+
+  down: function (app) {
+    app.log.push('down 0003');
+  }
+};
@@ -0,0 +1,5 @@
+'use strict';
+
+module.exports = function (Model) {
+  Model.defineProperty('deleted', {type: Boolean, default: false});
+};
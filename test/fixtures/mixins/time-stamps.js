@@ -0,0 +1,6 @@
+'use strict';
+
+module.exports = function (Model, options) {
+  Model.defineProperty('createdAt', {type: Date, default: '$now'});
+  Model.settings._timeStamps = options;
+};
@@ -1,8 +1,12 @@
 'use strict';
 
 var assert = require('chai').assert;
+var _ = require('lodash');
+var fs = require('fs');
+var os = require('os');
 var path = require('path');
 var loopline = require('..');
+var rejected = require('./support').rejected;
 
 describe('loader', function () {
 
@@ -30,4 +34,493 @@ describe('loader', function () {
       });
     });
   });
+
+  describe('mixins', function () {
+    var app;
+    var mixins;
+
+    beforeEach(function () {
+      app = loopline(null, {localRegistry: true});
+      app.dataSource('default', {connector: 'memory'});
+      mixins = app.registry.modelBuilder.mixins.mixins;
+    });
+
+    it('should define mixins referenced by models', function () {
+      loopline.load(app, path.resolve(__dirname, 'fixtures'));
+      assert.isFunction(mixins.TimeStamps);
+      var Customer = app.registry.getModel('Customer');
+      assert.property(Customer.definition.properties, 'createdAt');
+      assert.deepEqual(Customer.settings._timeStamps, {});
+    });
+
+    it('should skip mixins not referenced by any model', function () {
+      loopline.load(app, path.resolve(__dirname, 'fixtures'));
+      assert.notProperty(mixins, 'Trashable');
+      assert.notProperty(mixins, 'SoftDelete');
+    });
+
+    it('should read mixin name from metadata file', function () {
+      loopline.load(app, path.resolve(__dirname, 'fixtures'), {
+        modelDefinitions: [{definition: {name: 'Note', mixins: {Trashable: true}}}],
+        bootDirs: []
+      });
+      assert.isFunction(mixins.Trashable);
+      assert.property(app.registry.getModel('Note').definition.properties, 'deleted');
+    });
+
+    it('should support custom name normalization', function () {
+      loopline.load(app, path.resolve(__dirname, 'fixtures'), {
+        modelDefinitions: [{definition: {name: 'Note', mixins: {'time-stamps': true}}}],
+        normalization: 'none',
+        bootDirs: []
+      });
+      assert.isFunction(mixins['time-stamps']);
+      assert.notProperty(mixins, 'TimeStamps');
+    });
+
+    it('should reject unknown normalization', function () {
+      return rejected(loopline.load(app, path.resolve(__dirname, 'fixtures'), {normalization: 'upper'}))
+        .then(function (err) {
+          assert.match(err.message, /Invalid mixin name normalization/);
+        });
+    });
+  });
+
+  describe('datasources', function () {
+    var app;
+
+    beforeEach(function () {
+      app = loopline(null, {localRegistry: true});
+    });
+
+    it('should create data sources from datasources.json', function () {
+      loopline.load(app, path.resolve(__dirname, 'fixtures'));
+      assert.ok(app.dataSources.default);
+      assert.ok(app.dataSources.archive);
+      assert.equal(app.registry.getModel('Customer').dataSource, app.dataSources.default);
+    });
+
+    it('should apply env and local overrides', function () {
+      loopline.load(app, path.resolve(__dirname, 'fixtures'), {env: 'production'});
+      var settings = app.dataSources.archive.settings;
+      assert.equal(settings.description, 'production');
+      assert.equal(settings.host, 'localhost');
+    });
+
+    it('should ignore overrides for other environments', function () {
+      loopline.load(app, path.resolve(__dirname, 'fixtures'), {env: 'test'});
+      var settings = app.dataSources.archive.settings;
+      assert.equal(settings.description, 'base');
+      assert.equal(settings.host, 'localhost');
+    });
+
+    it('should prefer `dataSources` option over files', function () {
+      loopline.load(app, path.resolve(__dirname, 'fixtures'), {
+        dataSources: {default: {connector: 'memory', custom: true}}
+      });
+      assert.isTrue(app.dataSources.default.settings.custom);
+      assert.notProperty(app.dataSources, 'archive');
+    });
+  });
+
+  describe('model-config', function () {
+    var app;
+    var root = path.resolve(__dirname, 'fixtures', 'configured');
+
+    beforeEach(function () {
+      app = loopline(null, {localRegistry: true});
+    });
+
+    it('should attach models to configured data sources', function () {
+      loopline.load(app, root);
+      assert.equal(app.models.Customer.dataSource, app.dataSources.db);
+      assert.equal(app.models.Order.dataSource, app.dataSources.archive);
+    });
+
+    it('should attach models with `dataSource: null` to no data source', function () {
+      loopline.load(app, root);
+      assert.ok(app.models.Draft);
+      assert.notOk(app.models.Draft.dataSource);
+    });
+
+    it('should skip models missing in model-config', function () {
+      loopline.load(app, root);
+      assert.notOk(app.models.Invoice);
+      assert.notOk(app.registry.findModel('Invoice'));
+    });
+
+    it('should load mixins from `_meta.mixins`', function () {
+      loopline.load(app, root);
+      assert.property(app.models.Customer.definition.properties, 'createdAt');
+    });
+
+    it('should apply env overrides', function () {
+      loopline.load(app, root, {env: 'production'});
+      assert.equal(app.models.Order.dataSource, app.dataSources.db);
+    });
+
+    it('should apply env overrides to model definitions', function () {
+      loopline.load(app, root, {env: 'production'});
+      var Order = app.models.Order;
+      assert.property(Order.definition.properties, 'total');
+      assert.property(Order.definition.properties, 'currency');
+      assert.deepEqual(Order.settings.hidden, ['total']);
+    });
+
+    it('should apply local overrides to model definitions', function () {
+      loopline.load(app, root);
+      var Order = app.models.Order;
+      assert.equal(Order.settings.description, 'local');
+      assert.notProperty(Order.definition.properties, 'currency');
+    });
+
+    it('should not load override files as models', function () {
+      loopline.load(app, path.resolve(root, 'common'), {
+        dataSources: {default: {connector: 'memory'}}
+      });
+      assert.ok(app.models.Order);
+      assert.notOk(app.registry.findModel('OrderProduction'));
+      assert.notOk(app.registry.findModel('OrderLocal'));
+    });
+  });
+
+  describe('boot scripts', function () {
+    var app;
+    var root = path.resolve(__dirname, 'fixtures');
+
+    beforeEach(function () {
+      app = loopline(null, {localRegistry: true});
+    });
+
+    it('should run boot scripts in order once models are set up', function () {
+      return loopline.load(app, root).then(function (result) {
+        assert.equal(result, app);
+        assert.deepEqual(app.bootLog, ['sync', 'callback', 'promise']);
+        return app.models.Customer.count();
+      }).then(function (count) {
+        assert.equal(count, 1);
+      });
+    });
+
+    it('should accept a callback', function (done) {
+      loopline.load(app, root, function (err) {
+        if (err) {
+          return done(err);
+        }
+        assert.deepEqual(app.bootLog, ['sync', 'callback', 'promise']);
+        done();
+      });
+    });
+
+    it('should run scripts listed in `bootScripts`', function () {
+      return loopline.load(app, root, {
+        bootDirs: [],
+        bootScripts: ['./boot/01-sync.js']
+      }).then(function () {
+        assert.deepEqual(app.bootLog, ['sync']);
+      });
+    });
+
+    it('should stop and report the failing script', function () {
+      return loopline.load(app, root, {bootDirs: ['./boot-failing']}).then(function () {
+        throw new Error('load should have failed');
+      }, function (err) {
+        assert.match(err.message, /Boot script "01-fail.js" failed: seed failed/);
+        assert.equal(err.bootScript, path.resolve(root, 'boot-failing', '01-fail.js'));
+        assert.notOk(app.bootLog);
+      });
+    });
+
+    it('should pass the error to the callback', function (done) {
+      loopline.load(app, root, {bootDirs: ['./boot-failing']}, function (err) {
+        assert.match(err && err.message, /seed failed/);
+        done();
+      });
+    });
+  });
+
+  describe('loadAsync', function () {
+    var app;
+
+    beforeEach(function () {
+      app = loopline(null, {localRegistry: true});
+    });
+
+    it('should resolve with a summary', function () {
+      return loopline.loadAsync(app, path.resolve(__dirname, 'fixtures')).then(function (summary) {
+        assert.deepEqual(summary.dataSources, ['default', 'archive']);
+        assert.deepEqual(summary.mixins, ['TimeStamps']);
+        assert.deepEqual(summary.models, ['Customer']);
+        assert.lengthOf(summary.bootScripts, 3);
+        assert.deepEqual(app.bootLog, ['sync', 'callback', 'promise']);
+      });
+    });
+
+    it('should set up the same models as load()', function () {
+      var root = path.resolve(__dirname, 'fixtures', 'configured');
+      return loopline.loadAsync(app, root, {env: 'production'}).then(function () {
+        assert.equal(app.models.Customer.dataSource, app.dataSources.db);
+        assert.equal(app.models.Order.dataSource, app.dataSources.db);
+        assert.property(app.models.Order.definition.properties, 'currency');
+        assert.equal(app.models.Order.settings.description, 'local');
+        assert.property(app.models.Customer.definition.properties, 'createdAt');
+        assert.notOk(app.registry.findModel('Invoice'));
+      });
+    });
+
+    it('should wait for async customization scripts', function () {
+      return loopline.loadAsync(app, path.resolve(__dirname, 'fixtures', 'async')).then(function () {
+        assert.isTrue(app.models.Account.customizedBeforeAttach);
+      });
+    });
+
+    it('should accept a callback', function (done) {
+      loopline.loadAsync(app, path.resolve(__dirname, 'fixtures', 'async'), function (err, summary) {
+        if (err) {
+          return done(err);
+        }
+        assert.deepEqual(summary.models, ['Account']);
+        done();
+      });
+    });
+
+    it('should reject on boot script failure', function () {
+      var root = path.resolve(__dirname, 'fixtures');
+      return loopline.loadAsync(app, root, {bootDirs: ['./boot-failing']}).then(function () {
+        throw new Error('load should have failed');
+      }, function (err) {
+        assert.match(err.message, /seed failed/);
+      });
+    });
+  });
+
+  describe('compile/execute', function () {
+    var root = path.resolve(__dirname, 'fixtures');
+    var file = path.join(os.tmpdir(), 'loopline-instructions-' + process.pid + '.json');
+    var app;
+
+    beforeEach(function () {
+      app = loopline(null, {localRegistry: true});
+    });
+
+    afterEach(function () {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should compile plain serializable instructions', function () {
+      var instructions = loopline.compile(root, {env: 'production'});
+      assert.deepEqual(JSON.parse(JSON.stringify(instructions)), instructions);
+      assert.equal(instructions.env, 'production');
+      assert.equal(instructions.dataSources.archive.description, 'production');
+      assert.deepEqual(_.map(instructions.models, 'name'), ['Customer']);
+      assert.equal(instructions.models[0].sourceFile, path.join(root, 'models', 'customer.js'));
+      assert.deepEqual(_.map(instructions.mixins, 'name'), ['TimeStamps']);
+      assert.lengthOf(instructions.bootScripts, 3);
+    });
+
+    it('should not touch any application when compiling', function () {
+      var before = Object.keys(loopline.registry.modelBuilder.models);
+      loopline.compile(path.resolve(root, 'async'));
+      assert.deepEqual(Object.keys(loopline.registry.modelBuilder.models), before);
+    });
+
+    it('should execute instructions', function () {
+      var instructions = loopline.compile(root);
+      return loopline.execute(app, instructions).then(function (result) {
+        assert.equal(result, app);
+        assert.equal(app.models.Customer.dataSource, app.dataSources.default);
+        assert.property(app.models.Customer.definition.properties, 'createdAt');
+        assert.deepEqual(app.bootLog, ['sync', 'callback', 'promise']);
+      });
+    });
+
+    it('should execute the same instructions more than once', function () {
+      var instructions = loopline.compile(path.resolve(root, 'configured'));
+      var copy = JSON.parse(JSON.stringify(instructions));
+      var other = loopline(null, {localRegistry: true});
+      return loopline.execute(app, instructions).then(function () {
+        return loopline.execute(other, instructions);
+      }).then(function () {
+        assert.deepEqual(JSON.parse(JSON.stringify(instructions)), copy);
+        assert.notEqual(app.models.Order, other.models.Order);
+        assert.equal(other.models.Order.dataSource, other.dataSources.archive);
+      });
+    });
+
+    it('should write instructions with relative paths', function () {
+      loopline.writeInstructions(file, loopline.compile(root));
+      var content = JSON.parse(fs.readFileSync(file, 'utf8'));
+      assert.notOk(path.isAbsolute(content.models[0].sourceFile));
+      assert.notOk(path.isAbsolute(content.mixins[0].sourceFile));
+      assert.notOk(path.isAbsolute(content.bootScripts[0]));
+    });
+
+    it('should execute instructions from a file', function (done) {
+      loopline.writeInstructions(file, loopline.compile(root));
+      loopline.execute(app, file, function (err) {
+        if (err) {
+          return done(err);
+        }
+        assert.equal(app.registry.getModel('Customer').settings._customized, 'Customer');
+        assert.deepEqual(app.bootLog, ['sync', 'callback', 'promise']);
+        done();
+      });
+    });
+  });
+
+  describe('model definition validation', function () {
+    var root = path.resolve(__dirname, 'fixtures', 'invalid');
+    var app;
+
+    function problems(err) {
+      return err.details.map(function (d) {
+        return d.file + ':' + d.path;
+      });
+    }
+
+    beforeEach(function () {
+      app = loopline(null, {localRegistry: true});
+      app.dataSource('default', {connector: 'memory'});
+    });
+
+    it('should report all problems in one error', function () {
+      return rejected(loopline.load(app, root)).then(function (err) {
+        assert.equal(err.code, 'INVALID_MODEL_DEFINITION');
+        assert.deepEqual(problems(err), [
+          'models/product.json:relatons',
+          'models/product.json:properties.title',
+          'models/vendor.json:relations.products.type',
+          'models/vendor.json:acls[0].permission'
+        ]);
+        assert.include(err.message, 'models/product.json: properties.title unknown type "strng"');
+      });
+    });
+
+    it('should pass the error to the callback of load()', function (done) {
+      loopline.load(app, root, function (err, result) {
+        assert.equal(err.code, 'INVALID_MODEL_DEFINITION');
+        assert.isUndefined(result);
+        done();
+      });
+    });
+
+    it('should reject the promise of loadAsync()', function () {
+      return loopline.loadAsync(app, root).then(function () {
+        throw new Error('load should have failed');
+      }, function (err) {
+        assert.equal(err.code, 'INVALID_MODEL_DEFINITION');
+        assert.lengthOf(err.details, 4);
+      });
+    });
+
+    it('should only warn in non-strict mode', function () {
+      var warn = console.warn;
+      var warnings = [];
+      console.warn = function () {
+        warnings.push(Array.prototype.join.call(arguments, ' '));
+      };
+      try {
+        loopline.load(app, root, {
+          modelDefinitions: [{definition: {name: 'Note', relatons: {}}}],
+          strict: false
+        });
+      } finally {
+        console.warn = warn;
+      }
+      assert.ok(app.models.Note);
+      assert.match(warnings[0], /Invalid model definitions/);
+      assert.match(warnings[0], /options.modelDefinitions: relatons unknown key/);
+    });
+  });
+
+  describe('remote methods', function () {
+    var app;
+    var root = path.resolve(__dirname, 'fixtures', 'methods');
+
+    beforeEach(function () {
+      app = loopline(null, {localRegistry: true});
+      app.dataSource('default', {connector: 'memory'});
+    });
+
+    it('should bind declared methods to the customization script', function () {
+      loopline.load(app, root, {models: {Greeter: {dataSource: 'default'}}, bootDirs: []});
+      var methods = app.models.Greeter.sharedMethods();
+      assert.deepEqual(methods.map(function (m) {
+        return m.stringName;
+      }), ['greet', 'prototype.rename']);
+      assert.strictEqual(methods[0].getFunction(), app.models.Greeter.greet);
+    });
+
+    it('should report methods missing in the customization script', function () {
+      return rejected(loopline.load(app, root, {
+        modelDefinitions: [{
+          definition: {name: 'Greeter', methods: {'greet': {}, 'prototype.wave': {}}},
+          sourceFile: 'models/greeter.js'
+        }],
+        models: {Greeter: {dataSource: 'default'}},
+        bootDirs: []
+      })).then(function (err) {
+        assert.equal(err.code, 'UNIMPLEMENTED_REMOTE_METHODS');
+        assert.deepEqual(err.details.map(function (d) {
+          return d.model + ':' + d.method;
+        }), ['Greeter:prototype.wave']);
+        assert.match(err.message, /Greeter \(.*greeter\.js\): prototype.wave is declared/);
+      });
+    });
+  });
+
+  describe('model references', function () {
+    var app;
+
+    beforeEach(function () {
+      app = loopline(null, {localRegistry: true});
+      app.dataSource('default', {connector: 'memory'});
+    });
+
+    it('should report all unresolved references', function () {
+      return rejected(loopline.load(app, path.resolve(__dirname, 'fixtures', 'dangling'))).then(function (err) {
+        assert.equal(err.code, 'UNRESOLVED_MODEL_REFERENCES');
+        assert.deepEqual(err.details.map(function (d) {
+          return d.model + ':' + d.path + ':' + d.reference;
+        }), [
+          'Ticket:base:Item',
+          'Ticket:properties.reporter.type:Person',
+          'Ticket:relations.assignee.model:Agent',
+          'Ticket:relations.watchers.through:Watch'
+        ]);
+        assert.match(err.message, /Ticket \(.*ticket\.json\): relations.assignee.model references unknown model "Agent"/);
+      });
+    });
+
+    it('should check relations added by the model config', function () {
+      return rejected(loopline.load(app, path.resolve(__dirname, 'fixtures'), {
+        models: {Customer: {dataSource: 'default', relations: {orders: {type: 'hasMany', model: 'Order'}}}}
+      })).then(function (err) {
+        assert.match(err.message, /Customer .*config.relations.orders.model references unknown model "Order"/);
+      });
+    });
+
+    it('should resolve models from the registry', function () {
+      app.registry.createModel('Agent');
+      return loopline.load(app, path.resolve(__dirname, 'fixtures'), {
+        bootDirs: [],
+        models: {Customer: {dataSource: 'default', relations: {agent: {type: 'belongsTo', model: 'Agent'}}}}
+      });
+    });
+
+    it('should report inheritance cycles', function () {
+      try {
+        loopline.compile(path.resolve(__dirname, 'fixtures', 'cyclic'));
+      } catch (err) {
+        assert.equal(err.code, 'INHERITANCE_CYCLE');
+        assert.lengthOf(err.details, 1);
+        assert.sameMembers(err.details[0].slice(1), ['Manager', 'Employee']);
+        assert.match(err.message, /Circular model inheritance:\n {2}\w+ \(models\/\w+\.json\) -> /);
+        return;
+      }
+      throw new Error('compile should have failed');
+    });
+  });
 });
@@ -0,0 +1,467 @@
+'use strict';
+
+var assert = require('chai').assert;
+var _ = require('lodash');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var loopline = require('..');
+var Memory = require('../lib/connectors/memory');
+
+describe('memory connector', function () {
+  var app;
+  var ds;
+  var Person;
+
+  var people = [
+    {name: 'Alice', age: 31, email: 'alice@example.com', tags: ['admin', 'staff'], born: new Date('1985-04-01')},
+    {name: 'Bob', age: 25, email: 'bob@example.org', tags: ['staff'], born: new Date('1991-08-12')},
+    {name: 'Carol', age: 42, email: 'carol@example.com', tags: [], born: new Date('1974-01-30')},
+    {name: 'Dave', age: 25, email: null, tags: ['guest'], born: new Date('1991-02-03')}
+  ];
+
+  beforeEach(function () {
+    app = loopline(null, {localRegistry: true});
+    ds = app.dataSource('db', {connector: 'memory'});
+    Person = app.registry.createModel('Person', {
+      name: {type: 'string', required: true},
+      age: 'number',
+      email: 'string',
+      tags: ['string'],
+      born: 'date'
+    });
+    app.model(Person, {dataSource: 'db'});
+    return Person.create(people);
+  });
+
+  function names(list) {
+    return _.map(list, 'name');
+  }
+
+  function find(where, filter) {
+    return Person.find(_.assign({where: where, order: 'name ASC'}, filter)).then(names);
+  }
+
+  it('should be the connector of memory data sources', function () {
+    assert.instanceOf(ds.connector, Memory);
+    assert.instanceOf(ds.connector, loopline.Connector);
+    assert.instanceOf(app.registry.memory().connector, Memory);
+    assert.include(ds.connector.getTypes(), 'db');
+  });
+
+  describe('crud', function () {
+    it('should generate ids', function () {
+      return Person.find({order: 'id ASC'}).then(function (list) {
+        assert.deepEqual(_.map(list, 'id'), [1, 2, 3, 4]);
+        return Person.create({name: 'Eve'});
+      }).then(function (eve) {
+        assert.equal(eve.id, 5);
+      });
+    });
+
+    it('should keep explicit ids and generate past them', function () {
+      return Person.create({id: 10, name: 'Eve'}).then(function (eve) {
+        assert.equal(eve.id, 10);
+        return Person.create({name: 'Frank'});
+      }).then(function (frank) {
+        assert.equal(frank.id, 11);
+      });
+    });
+
+    it('should reject duplicate ids', function () {
+      return Person.create({id: 1, name: 'Eve'}).then(function () {
+        assert.fail('should not create a duplicate');
+      }, function (err) {
+        assert.equal(err.code, 'DUPLICATE_ENTRY');
+        assert.equal(err.statusCode, 409);
+      });
+    });
+
+    it('should find by id and revive dates', function () {
+      return Person.findById(1).then(function (alice) {
+        assert.equal(alice.name, 'Alice');
+        assert.instanceOf(alice.born, Date);
+        assert.equal(alice.born.getTime(), people[0].born.getTime());
+        return Person.findById(99);
+      }).then(function (nobody) {
+        assert.isNull(nobody);
+      });
+    });
+
+    it('should not share data with instances', function () {
+      return Person.findById(1).then(function (alice) {
+        alice.tags.push('changed');
+        return Person.findById(1);
+      }).then(function (alice) {
+        assert.deepEqual(alice.tags.slice(), ['admin', 'staff']);
+      });
+    });
+
+    it('should save and update attributes', function () {
+      return Person.findById(2).then(function (bob) {
+        bob.age = 26;
+        return bob.save();
+      }).then(function (bob) {
+        return bob.updateAttributes({email: 'bob@example.com'});
+      }).then(function () {
+        return Person.findById(2);
+      }).then(function (bob) {
+        assert.equal(bob.age, 26);
+        assert.equal(bob.email, 'bob@example.com');
+        assert.equal(bob.name, 'Bob');
+      });
+    });
+
+    it('should upsert', function () {
+      return Person.upsert({id: 1, name: 'Alice', age: 32}).then(function (alice) {
+        assert.equal(alice.name, 'Alice');
+        assert.equal(alice.age, 32);
+        return Person.upsert({name: 'Eve'});
+      }).then(function (eve) {
+        assert.equal(eve.id, 5);
+        return Person.count();
+      }).then(function (count) {
+        assert.equal(count, 5);
+      });
+    });
+
+    it('should replace or create', function () {
+      return Person.replaceOrCreate({id: 1, name: 'Alicia'}).then(function (alicia) {
+        assert.equal(alicia.name, 'Alicia');
+        return Person.findById(1);
+      }).then(function (alicia) {
+        assert.equal(alicia.name, 'Alicia');
+        assert.isUndefined(alicia.age);
+        return Person.replaceOrCreate({id: 20, name: 'Eve'});
+      }).then(function () {
+        return Person.findById(20);
+      }).then(function (eve) {
+        assert.equal(eve.name, 'Eve');
+      });
+    });
+
+    it('should replace by id', function () {
+      return Person.replaceById(2, {name: 'Robert'}).then(function () {
+        return Person.findById(2);
+      }).then(function (robert) {
+        assert.equal(robert.name, 'Robert');
+        assert.isUndefined(robert.age);
+        return Person.replaceById(99, {name: 'Nobody'});
+      }).then(function () {
+        assert.fail('should not replace a missing record');
+      }, function (err) {
+        assert.equal(err.statusCode, 404);
+      });
+    });
+
+    it('should find or create', function () {
+      return Person.findOrCreate({where: {name: 'Bob'}}, {name: 'Bob'}).then(function (result) {
+        assert.equal(result[0].id, 2);
+        assert.isFalse(result[1]);
+        return Person.findOrCreate({where: {name: 'Eve'}}, {name: 'Eve'});
+      }).then(function (result) {
+        assert.equal(result[0].id, 5);
+        assert.isTrue(result[1]);
+      });
+    });
+
+    it('should check existence', function () {
+      return Promise.all([Person.exists(1), Person.exists(99)]).then(function (result) {
+        assert.deepEqual(result, [true, false]);
+      });
+    });
+
+    it('should update all matching records', function () {
+      return Person.updateAll({age: 25}, {email: 'young@example.com'}).then(function (info) {
+        assert.equal(info.count, 2);
+        return find({email: 'young@example.com'});
+      }).then(function (result) {
+        assert.deepEqual(result, ['Bob', 'Dave']);
+      });
+    });
+
+    it('should destroy by id and by where', function () {
+      return Person.destroyById(1).then(function (info) {
+        assert.equal(info.count, 1);
+        return Person.destroyAll({age: {gt: 30}});
+      }).then(function (info) {
+        assert.equal(info.count, 1);
+        return find();
+      }).then(function (result) {
+        assert.deepEqual(result, ['Bob', 'Dave']);
+        return Person.destroyAll();
+      }).then(function () {
+        return Person.count();
+      }).then(function (count) {
+        assert.equal(count, 0);
+      });
+    });
+
+    it('should count with where', function () {
+      return Person.count({age: 25}).then(function (count) {
+        assert.equal(count, 2);
+      });
+    });
+  });
+
+  describe('where', function () {
+    it('should match equality, null and array items', function () {
+      return Promise.all([
+        find({age: 25}),
+        find({email: null}),
+        find({tags: 'staff'})
+      ]).then(function (result) {
+        assert.deepEqual(result, [['Bob', 'Dave'], ['Dave'], ['Alice', 'Bob']]);
+      });
+    });
+
+    it('should support comparison operators', function () {
+      return Promise.all([
+        find({age: {gt: 30}}),
+        find({age: {gte: 31}}),
+        find({age: {lt: 30}}),
+        find({age: {lte: 25}}),
+        find({age: {neq: 25}}),
+        find({age: {between: [25, 31]}}),
+        find({born: {gt: new Date('1990-01-01')}})
+      ]).then(function (result) {
+        assert.deepEqual(result, [
+          ['Alice', 'Carol'],
+          ['Alice', 'Carol'],
+          ['Bob', 'Dave'],
+          ['Bob', 'Dave'],
+          ['Alice', 'Carol'],
+          ['Alice', 'Bob', 'Dave'],
+          ['Bob', 'Dave']
+        ]);
+      });
+    });
+
+    it('should support inq and nin', function () {
+      return Promise.all([
+        find({name: {inq: ['Bob', 'Carol', 'Zed']}}),
+        find({name: {nin: ['Bob', 'Carol']}}),
+        find({tags: {nin: ['staff']}})
+      ]).then(function (result) {
+        assert.deepEqual(result, [['Bob', 'Carol'], ['Alice', 'Dave'], ['Carol', 'Dave']]);
+      });
+    });
+
+    it('should support like, nlike and regexp', function () {
+      return Promise.all([
+        find({email: {like: '%@example.com'}}),
+        find({email: {nlike: '%.com'}}),
+        find({name: {like: 'b_b'}}),
+        find({name: {ilike: 'b_b'}}),
+        find({name: {regexp: '^[ab]'}}),
+        find({name: {regexp: '/^[ab]/i'}}),
+        find({name: /l$/})
+      ]).then(function (result) {
+        assert.deepEqual(result, [
+          ['Alice', 'Carol'],
+          ['Bob', 'Dave'],
+          [],
+          ['Bob'],
+          [],
+          ['Alice', 'Bob'],
+          ['Carol']
+        ]);
+      });
+    });
+
+    it('should support and/or', function () {
+      return Promise.all([
+        find({or: [{name: 'Alice'}, {age: {gt: 40}}]}),
+        find({and: [{age: 25}, {tags: 'guest'}]}),
+        find({or: [{and: [{age: 25}, {name: {neq: 'Dave'}}]}, {name: 'Carol'}]})
+      ]).then(function (result) {
+        assert.deepEqual(result, [['Alice', 'Carol'], ['Dave'], ['Bob', 'Carol']]);
+      });
+    });
+  });
+
+  describe('filter', function () {
+    it('should order by multiple keys', function () {
+      return Person.find({order: ['age DESC', 'name DESC']}).then(function (list) {
+        assert.deepEqual(names(list), ['Carol', 'Alice', 'Dave', 'Bob']);
+      });
+    });
+
+    it('should apply limit and skip', function () {
+      return Person.find({order: 'name', skip: 1, limit: 2}).then(function (list) {
+        assert.deepEqual(names(list), ['Bob', 'Carol']);
+      });
+    });
+
+    it('should project fields', function (done) {
+      ds.connector.all('Person', {fields: ['id', 'name'], order: 'name', limit: 1}, {}, function (err, list) {
+        if (err) {
+          return done(err);
+        }
+        assert.deepEqual(list, [{id: 1, name: 'Alice'}]);
+        done();
+      });
+    });
+
+    it('should include related models', function () {
+      var Pet = app.registry.createModel('Pet', {name: 'string'}, {
+        relations: {owner: {type: 'belongsTo', model: 'Person'}}
+      });
+      app.model(Pet, {dataSource: 'db'});
+
+      return Pet.create({name: 'Rex', ownerId: 2}).then(function () {
+        return Pet.find({include: 'owner'});
+      }).then(function (pets) {
+        assert.equal(pets[0].toJSON().owner.name, 'Bob');
+      });
+    });
+  });
+
+  describe('file', function () {
+    var file = path.join(os.tmpdir(), 'loopline-memory-' + process.pid + '.json');
+    var fixture = path.join(__dirname, 'fixtures', 'memory', 'db.json');
+
+    beforeEach(function () {
+      fs.writeFileSync(file, fs.readFileSync(fixture));
+    });
+
+    afterEach(function (done) {
+      // don't let pending saves leak into the next test
+      ds.connector.flush(function () {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+        }
+        done();
+      });
+    });
+
+    function setup(settings) {
+      app = loopline(null, {localRegistry: true});
+      ds = app.dataSource('file', _.assign({connector: 'memory', file: file}, settings));
+      Person = app.registry.createModel('Person', {name: 'string', age: 'number', born: 'date'});
+      app.model(Person, {dataSource: 'file'});
+    }
+
+    function delay(ms) {
+      return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+      });
+    }
+
+    function flush() {
+      return new Promise(function (resolve, reject) {
+        ds.connector.flush(function (err) {
+          if (err) {
+            return reject(err);
+          }
+          resolve(JSON.parse(fs.readFileSync(file, 'utf8')));
+        });
+      });
+    }
+
+    it('should load initial data on connect', function () {
+      setup();
+      return Person.find().then(function (list) {
+        assert.deepEqual(names(list), ['Alice', 'Bob']);
+        assert.instanceOf(list[0].born, Date);
+        return Person.create({name: 'Carol'});
+      }).then(function (carol) {
+        assert.equal(carol.id, 3);
+      });
+    });
+
+    it('should start empty without a file', function () {
+      fs.unlinkSync(file);
+      setup();
+      return Person.count().then(function (count) {
+        assert.equal(count, 0);
+      });
+    });
+
+    it('should fail to connect to a corrupt file', function (done) {
+      fs.writeFileSync(file, '{"models": ');
+      var connector = new Memory({file: file});
+      connector.connect(function (err) {
+        assert.match(err.message, /Cannot parse/);
+        done();
+      });
+    });
+
+    it('should save changes and keep other models', function () {
+      setup();
+      return Person.create({name: 'Carol', born: new Date('1974-01-30')}).then(function () {
+        return Person.destroyById(1);
+      }).then(flush).then(function (data) {
+        assert.deepEqual(data.ids, {Person: 4, Tag: 2});
+        assert.deepEqual(_.keys(data.models.Person), ['2', '3']);
+        assert.equal(data.models.Person['3'].born, '1974-01-30T00:00:00.000Z');
+        assert.deepEqual(data.models.Tag, {1: {id: 1, label: 'staff'}});
+        assert.notOk(_.some(fs.readdirSync(os.tmpdir()), function (f) {
+          return f.indexOf(path.basename(file) + '.') === 0;
+        }), 'no temporary file is left');
+      });
+    });
+
+    it('should debounce saves', function () {
+      setup({saveDelay: 20});
+      var writes = 0;
+      var rename = fs.rename;
+      fs.rename = function () {
+        writes++;
+        return rename.apply(fs, arguments);
+      };
+
+      return Promise.all([
+        Person.create({name: 'Carol'}),
+        Person.create({name: 'Dave'}),
+        Person.updateAll({name: 'Bob'}, {age: 26})
+      ]).then(function () {
+        return new Promise(function (resolve) {
+          setTimeout(resolve, 100);
+        });
+      }).then(function () {
+        fs.rename = rename;
+        assert.equal(writes, 1);
+        var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.lengthOf(_.keys(data.models.Person), 4);
+        assert.equal(data.models.Person['2'].age, 26);
+      }, function (err) {
+        fs.rename = rename;
+        throw err;
+      });
+    });
+
+    it('should save under continuous writes', function () {
+      setup({saveDelay: 100, maxSaveDelay: 50});
+      var end = Date.now() + 300;
+
+      function write() {
+        if (Date.now() >= end) {
+          return;
+        }
+        return Person.create({name: 'Carol'}).then(function () {
+          return delay(10);
+        }).then(write);
+      }
+
+      return write().then(function () {
+        var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.isAbove(_.size(data.models.Person), 2);
+      });
+    });
+
+    it('should save pending changes on disconnect', function (done) {
+      setup({saveDelay: 10000});
+      Person.create({name: 'Carol'}).then(function () {
+        ds.disconnect(function (err) {
+          if (err) {
+            return done(err);
+          }
+          var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+          assert.equal(data.models.Person['3'].name, 'Carol');
+          done();
+        });
+      }, done);
+    });
+  });
+});
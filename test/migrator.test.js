@@ -0,0 +1,181 @@
+'use strict';
+
+var assert = require('chai').assert;
+var _ = require('lodash');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var loopline = require('..');
+var rejected = require('./support').rejected;
+
+var FIXTURES = path.resolve(__dirname, 'fixtures/migrations');
+
+describe('migrator', function () {
+  var app;
+  var dir;
+  var Person;
+  var counter = 0;
+
+  beforeEach(function () {
+    // a fresh directory per test, migration files are cached by `require()`
+    dir = path.join(os.tmpdir(), 'loopline-migrations-' + process.pid + '-' + (++counter));
+    fs.mkdirSync(dir);
+    fs.readdirSync(FIXTURES).forEach(function (name) {
+      fs.writeFileSync(path.join(dir, name), fs.readFileSync(path.join(FIXTURES, name)));
+    });
+
+    app = loopline(null, {localRegistry: true});
+    app.log = [];
+    app.dataSource('db', {connector: 'memory'});
+    Person = app.registry.createModel('Person', {name: 'string', email: 'string'});
+    app.model(Person, {dataSource: 'db'});
+    app.migrate.configure({dir: dir});
+  });
+
+  afterEach(function () {
+    fs.readdirSync(dir).forEach(function (name) {
+      fs.unlinkSync(path.join(dir, name));
+    });
+    fs.rmdirSync(dir);
+  });
+
+  it('should be available on apps', function () {
+    assert.instanceOf(app.migrate, loopline.Migrator);
+  });
+
+  it('should apply pending migrations in order', function () {
+    return app.migrate.up().then(function (names) {
+      assert.deepEqual(names, ['0001-add-alice', '0002-set-email', '0003-noop']);
+      assert.deepEqual(app.log, ['up 0001', 'up 0002', 'up 0003']);
+      return Person.findOne({where: {name: 'Alice'}});
+    }).then(function (alice) {
+      assert.equal(alice.email, 'alice@example.com');
+      return app.migrate.up();
+    }).then(function (names) {
+      assert.deepEqual(names, []);
+      assert.lengthOf(app.log, 3);
+    });
+  });
+
+  it('should record applied migrations in the data source', function () {
+    return app.migrate.up('0002-set-email').then(function (names) {
+      assert.deepEqual(names, ['0001-add-alice', '0002-set-email']);
+      assert.strictEqual(app.registry.findModel('Migration').dataSource, app.dataSources.db);
+      return app.migrate.status();
+    }).then(function (status) {
+      assert.deepEqual(_.map(status, 'name'), ['0001-add-alice', '0002-set-email', '0003-noop']);
+      assert.deepEqual(_.map(status, 'applied'), [true, true, false]);
+      assert.instanceOf(status[0].appliedAt, Date);
+      assert.isNull(status[2].appliedAt);
+    });
+  });
+
+  it('should revert the last migrations', function () {
+    return app.migrate.up().then(function () {
+      return app.migrate.down(2);
+    }).then(function (names) {
+      assert.deepEqual(names, ['0003-noop', '0002-set-email']);
+      assert.deepEqual(app.log.slice(3), ['down 0003', 'down 0002']);
+      return app.migrate.down();
+    }).then(function (names) {
+      assert.deepEqual(names, ['0001-add-alice']);
+      return Promise.all([app.migrate.status(), Person.count()]);
+    }).then(function (results) {
+      assert.deepEqual(_.map(results[0], 'applied'), [false, false, false]);
+      assert.equal(results[1], 0);
+    });
+  });
+
+  it('should stop at a failing migration', function () {
+    fs.writeFileSync(path.join(dir, '0002-set-email.js'),
+      'module.exports = {up: function () { throw new Error("boom"); }};\n');
+
+    return rejected(app.migrate.up()).then(function (err) {
+      assert.equal(err.message, 'Migration "0002-set-email" failed: boom');
+      assert.equal(err.migration, '0002-set-email');
+      assert.deepEqual(app.log, ['up 0001']);
+      return app.migrate.status();
+    }).then(function (status) {
+      assert.deepEqual(_.map(status, 'applied'), [true, false, false]);
+    });
+  });
+
+  it('should reject unknown targets', function () {
+    return rejected(app.migrate.up('0009-missing')).then(function (err) {
+      assert.equal(err.code, 'MIGRATION_ERROR');
+      assert.deepEqual(app.log, []);
+    });
+  });
+
+  it('should require the data source when the app has several', function () {
+    app.dataSource('archive', {connector: 'memory'});
+
+    return rejected(app.migrate.status()).then(function (err) {
+      assert.match(err.message, /data source/);
+      app.migrate.configure({dataSource: 'archive'});
+      return app.migrate.up();
+    }).then(function () {
+      assert.strictEqual(app.registry.findModel('Migration').dataSource, app.dataSources.archive);
+    });
+  });
+
+  describe('diff', function () {
+    it('should list models not in a snapshot yet', function () {
+      return app.migrate.diff().then(function (changes) {
+        assert.deepEqual(_.map(changes, 'kind'), ['addModel']);
+        assert.equal(changes[0].model, 'Person');
+        assert.deepEqual(changes[0].to.properties.email, {type: 'string'});
+      });
+    });
+
+    it('should compare definitions with the last snapshot', function () {
+      return app.migrate.up().then(function () {
+        Person.defineProperty('phone', {type: 'string', index: true});
+        Person.defineProperty('email', {type: 'string', required: true});
+        return app.migrate.diff();
+      }).then(function (changes) {
+        assert.deepEqual(_.sortBy(changes, 'property'), [
+          {kind: 'changeProperty', model: 'Person', property: 'email',
+            from: {type: 'string'}, to: {type: 'string', required: true}},
+          {kind: 'addProperty', model: 'Person', property: 'phone',
+            to: {type: 'string', index: true}}
+        ]);
+      });
+    });
+
+    it('should create the next migration from the changes', function () {
+      return app.migrate.up().then(function () {
+        Person.defineProperty('phone', 'string');
+        return app.migrate.create('Add phone!');
+      }).then(function (file) {
+        assert.equal(file, path.join(dir, '0004-add-phone.js'));
+
+        var content = fs.readFileSync(file, 'utf8');
+        assert.include(content, '// - Person: add property phone {"type":"string"}');
+        assert.include(content, 'app.dataSources["db"].autoupdate(["Person"])');
+        assert.notInclude(content, 'TODO');
+        return app.migrate.up();
+      }).then(function (names) {
+        assert.deepEqual(names, ['0004-add-phone']);
+        return app.migrate.diff();
+      }).then(function (changes) {
+        assert.deepEqual(changes, []);
+        return rejected(app.migrate.down());
+      }).then(function (err) {
+        assert.equal(err.message, 'Migration "0004-add-phone" failed: Not implemented');
+      });
+    });
+  });
+
+  describe('loader', function () {
+    it('should configure migrations from options', function () {
+      var line = loopline(null, {localRegistry: true});
+      return loopline.load(line, path.resolve(__dirname, 'fixtures'), {
+        migrations: {dir: 'migrations', dataSource: 'default'}
+      }).then(function () {
+        assert.equal(line.migrate.settings.dir, FIXTURES);
+        assert.equal(line.migrate.dataSourceName(), 'default');
+      });
+    });
+  });
+});
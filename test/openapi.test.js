@@ -0,0 +1,176 @@
+'use strict';
+
+var assert = require('chai').assert;
+var _ = require('lodash');
+var loopline = require('..');
+
+describe('openapi', function () {
+  var app;
+  var doc;
+
+  function ref(name) {
+    return {$ref: '#/components/schemas/' + name};
+  }
+
+  function schemaOf(operation, status) {
+    return operation.responses[status || 200].content['application/json'].schema;
+  }
+
+  beforeEach(function () {
+    app = loopline(null, {localRegistry: true});
+    app.dataSource('db', {connector: 'memory'});
+
+    app.registry.createModel('Address', {street: 'string'}, {base: 'Model'});
+    var Author = app.registry.createModel('Author', {
+      name: {type: 'string', required: true, description: 'Full name'},
+      born: 'date',
+      tags: ['string'],
+      address: 'Address',
+      profile: {site: 'string'},
+      location: 'geopoint',
+      avatar: 'buffer',
+      secret: 'string'
+    }, {
+      description: 'Authors of books',
+      hidden: ['secret'],
+      relations: {
+        books: {type: 'hasMany', model: 'Book', foreignKey: 'authorId'}
+      },
+      methods: {
+        'search': {
+          description: 'Search authors by name.',
+          accepts: [{arg: 'text', type: 'string', required: true}, {arg: 'where', type: 'object'}],
+          returns: {arg: 'authors', type: ['Author'], root: true},
+          http: {verb: 'get', path: '/search'}
+        },
+        'prototype.rename': {
+          accepts: [{arg: 'name', type: 'string', required: true}, {arg: 'options', type: 'object', http: 'optionsFromRequest'}],
+          returns: [{arg: 'name', type: 'string'}, {arg: 'previous', type: 'string'}]
+        }
+      }
+    });
+    var Book = app.registry.createModel('Book', {title: 'string'}, {
+      relations: {
+        author: {type: 'belongsTo', model: 'Author', foreignKey: 'authorId'}
+      }
+    });
+    var Novel = app.registry.createModel('Novel', {genre: 'string'}, {base: 'Book'});
+    var Draft = app.registry.createModel('Draft', {}, {base: 'Book', hidden: ['title']});
+    var Secret = app.registry.createModel('Secret', {value: 'string'});
+
+    Author.search = _.noop;
+    Author.prototype.rename = _.noop;
+    app.model(Author, {dataSource: 'db'});
+    app.model(Book, {dataSource: 'db'});
+    app.model(Novel, {dataSource: 'db'});
+    app.model(Draft, {dataSource: 'db'});
+    app.model(Secret, {dataSource: 'db', public: false});
+
+    doc = app.openapi({title: 'Library', version: '2.0.0', basePath: '/api'});
+  });
+
+  it('should describe the API', function () {
+    assert.equal(doc.openapi, '3.0.3');
+    assert.deepEqual(doc.info, {title: 'Library', version: '2.0.0'});
+    assert.deepEqual(doc.servers, [{url: '/api'}]);
+    assert.deepEqual(_.map(doc.tags, 'name'), ['Author', 'Book', 'Novel', 'Draft']);
+    assert.notProperty(doc.paths, '/Secrets');
+    assert.notProperty(doc.components.schemas, 'Secret');
+    assert.doesNotThrow(function () {
+      JSON.stringify(doc);
+    });
+  });
+
+  it('should build component schemas from properties', function () {
+    var author = doc.components.schemas.Author;
+    assert.equal(author.description, 'Authors of books');
+    assert.deepEqual(author.required, ['name']);
+    assert.deepEqual(author.properties.name, {type: 'string', description: 'Full name'});
+    assert.deepEqual(author.properties.born, {type: 'string', format: 'date-time'});
+    assert.deepEqual(author.properties.tags, {type: 'array', items: {type: 'string'}});
+    assert.deepEqual(author.properties.address, ref('Address'));
+    assert.deepEqual(author.properties.id, {type: 'number'});
+    assert.notProperty(author.properties, 'secret');
+    assert.deepEqual(doc.components.schemas.Address.properties.street, {type: 'string'});
+  });
+
+  it('should describe property types like the JSON Schemas of typegen', function () {
+    var properties = doc.components.schemas.Author.properties;
+    var expected = loopline.typegen.jsonSchemas(app.registry).Author.properties;
+
+    assert.deepEqual(properties.profile, {type: 'object', properties: {site: {type: 'string'}}});
+    assert.deepEqual(_.omit(properties, 'avatar', 'address'), _.omit(expected, 'avatar', 'address', 'secret'));
+    assert.deepEqual(properties.avatar, {type: 'string', format: 'byte'});
+    assert.notOk(_.some(_.keys(doc.components.schemas), function (name) {
+      return /^AnonymousModel/.test(name);
+    }));
+  });
+
+  it('should describe inheritance with allOf', function () {
+    assert.deepEqual(doc.components.schemas.Novel, {
+      allOf: [ref('Book'), {type: 'object', properties: {genre: {type: 'string'}}}]
+    });
+
+    // hiding a base property needs a schema of its own
+    var draft = doc.components.schemas.Draft;
+    assert.notProperty(draft, 'allOf');
+    assert.sameMembers(Object.keys(draft.properties), ['id', 'authorId']);
+  });
+
+  it('should describe CRUD operations', function () {
+    var authors = doc.paths['/Authors'];
+    assert.equal(authors.get.operationId, 'Author.find');
+    assert.deepEqual(authors.get.tags, ['Author']);
+    assert.deepEqual(schemaOf(authors.get), {type: 'array', items: ref('Author')});
+    assert.equal(authors.get.parameters[0].name, 'filter');
+    assert.deepEqual(authors.post.requestBody.content['application/json'].schema, ref('Author'));
+    assert.deepEqual(authors.get.responses.default, {$ref: '#/components/responses/Error'});
+
+    var author = doc.paths['/Authors/{id}'];
+    assert.sameMembers(Object.keys(author), ['get', 'head', 'put', 'patch', 'delete']);
+    assert.deepEqual(author.get.parameters[0], {name: 'id', in: 'path', required: true, schema: {type: 'number'}});
+    assert.property(doc.paths, '/Authors/count');
+    assert.property(doc.paths, '/Authors/{id}/exists');
+
+    var ids = _.flatMap(doc.paths, function (item) {
+      return _.map(item, 'operationId');
+    });
+    assert.equal(_.uniq(ids).length, ids.length);
+  });
+
+  it('should describe relation operations', function () {
+    var books = doc.paths['/Authors/{id}/books'];
+    assert.deepEqual(schemaOf(books.get), {type: 'array', items: ref('Book')});
+    assert.equal(books.post.operationId, 'Author.prototype.__create__books');
+    assert.sameMembers(Object.keys(doc.paths['/Authors/{id}/books/{fk}']), ['get', 'put', 'delete']);
+    assert.property(doc.paths, '/Authors/{id}/books/count');
+
+    var author = doc.paths['/Books/{id}/author'];
+    assert.deepEqual(Object.keys(author), ['get']);
+    assert.deepEqual(schemaOf(author.get), ref('Author'));
+  });
+
+  it('should describe remote methods', function () {
+    var search = doc.paths['/Authors/search'].get;
+    assert.equal(search.operationId, 'Author.search');
+    assert.equal(search.summary, 'Search authors by name.');
+    assert.deepEqual(search.parameters, [
+      {name: 'text', in: 'query', required: true, schema: {type: 'string'}},
+      {name: 'where', in: 'query', required: false, content: {'application/json': {schema: {type: 'object'}}}}
+    ]);
+    assert.deepEqual(schemaOf(search), {type: 'array', items: ref('Author')});
+
+    var rename = doc.paths['/Authors/{id}/rename'].post;
+    assert.equal(rename.operationId, 'Author.prototype.rename');
+    assert.equal(rename.parameters[0].name, 'id');
+    assert.deepEqual(rename.requestBody.content['application/json'].schema, {
+      type: 'object',
+      properties: {name: {type: 'string'}},
+      required: ['name']
+    });
+    assert.deepEqual(schemaOf(rename), {
+      type: 'object',
+      properties: {name: {type: 'string'}, previous: {type: 'string'}}
+    });
+  });
+});
@@ -0,0 +1,347 @@
+'use strict';
+
+var assert = require('chai').assert;
+var _ = require('lodash');
+var loopline = require('..');
+var rejected = require('./support').rejected;
+
+describe('PersistedModel', function () {
+  describe('change events', function () {
+    var app;
+    var Person;
+    var events;
+
+    function recordInstance(event) {
+      return function (inst, ctx) {
+        assert.strictEqual(ctx.Model, Person);
+        events.push([event, inst.name]);
+      };
+    }
+
+    function recordInstances(event) {
+      return function (instances, ctx) {
+        assert.isObject(ctx.hookState);
+        events.push([event, _.map(instances, 'name').sort()]);
+      };
+    }
+
+    beforeEach(function () {
+      app = loopline(null, {localRegistry: true});
+      app.dataSource('db', {connector: 'memory'});
+      Person = app.registry.createModel('Person', {name: 'string', age: 'number'});
+      app.model(Person, {dataSource: 'db'});
+
+      events = [];
+      ['created', 'changed', 'deleted'].forEach(function (event) {
+        Person.addListener(event, recordInstance(event));
+      });
+      ['updatedAll', 'deletedAll'].forEach(function (event) {
+        Person.addListener(event, recordInstances(event));
+      });
+
+      return Promise.all([
+        Person.create({name: 'Alice', age: 30}),
+        Person.create({name: 'Bob', age: 20}),
+        Person.create({name: 'Carol', age: 40})
+      ]).then(function () {
+        events = [];
+      });
+    });
+
+    it('should emit created for new instances', function () {
+      return Person.create({name: 'Dave'}).then(function () {
+        return Person.upsert({id: 10, name: 'Eve'});
+      }).then(function () {
+        return Person.findOrCreate({where: {name: 'Frank'}}, {name: 'Frank'});
+      }).then(function () {
+        return Person.findOrCreate({where: {name: 'Frank'}}, {name: 'Frank'});
+      }).then(function () {
+        assert.deepEqual(events, [['created', 'Dave'], ['created', 'Eve'], ['created', 'Frank']]);
+      });
+    });
+
+    it('should emit changed for updated instances', function () {
+      return Person.findOne({where: {name: 'Alice'}}).then(function (alice) {
+        return alice.updateAttributes({age: 31});
+      }).then(function (alice) {
+        alice.age = 32;
+        return alice.save();
+      }).then(function (alice) {
+        return Person.upsert({id: alice.id, name: 'Alice', age: 33});
+      }).then(function () {
+        assert.deepEqual(events, [['changed', 'Alice'], ['changed', 'Alice'], ['changed', 'Alice']]);
+      });
+    });
+
+    it('should emit changed and updatedAll for bulk updates', function () {
+      return Person.updateAll({age: {gt: 25}}, {age: 0}).then(function () {
+        assert.deepEqual(events, [
+          ['changed', 'Alice'],
+          ['changed', 'Carol'],
+          ['updatedAll', ['Alice', 'Carol']]
+        ]);
+      });
+    });
+
+    it('should emit deleted for deleted instances', function () {
+      return Person.findOne({where: {name: 'Alice'}}).then(function (alice) {
+        return alice.destroy();
+      }).then(function () {
+        return Person.findOne({where: {name: 'Bob'}});
+      }).then(function (bob) {
+        return Person.deleteById(bob.id);
+      }).then(function () {
+        assert.deepEqual(events, [['deleted', 'Alice'], ['deleted', 'Bob']]);
+      });
+    });
+
+    it('should emit deleted and deletedAll for bulk deletes', function () {
+      return Person.destroyAll({age: {lt: 35}}).then(function () {
+        assert.deepEqual(events, [
+          ['deleted', 'Alice'],
+          ['deleted', 'Bob'],
+          ['deletedAll', ['Alice', 'Bob']]
+        ]);
+        return Person.destroyAll();
+      }).then(function () {
+        assert.deepEqual(events.slice(3), [['deleted', 'Carol'], ['deletedAll', ['Carol']]]);
+      });
+    });
+
+    it('should deliver events emitted by the application', function () {
+      var Item = app.registry.createModel('Item', {name: 'string'});
+      app.model(Item, {dataSource: 'db'});
+      var received = [];
+      Item.addListener('changed', function (obj) {
+        received.push(obj);
+      });
+
+      Item.emit('changed', {id: 1});
+      return Item.create({name: 'a'}).then(function (item) {
+        return item.updateAttributes({name: 'b'});
+      }).then(function (item) {
+        assert.deepEqual(received, [{id: 1}, item]);
+      });
+    });
+
+    it('should pass the operation options', function () {
+      var options = {remoteCtx: 'test'};
+      var received;
+      Person.on('created', function (inst, ctx) {
+        received = ctx.options;
+      });
+
+      return Person.create({name: 'Dave'}, options).then(function () {
+        assert.strictEqual(received, options);
+      });
+    });
+
+    it('should emit events for subclasses', function () {
+      var Employee = app.registry.createModel('Employee', {}, {base: Person});
+      app.model(Employee, {dataSource: 'db'});
+      var created = [];
+      Employee.on('created', function (inst) {
+        created.push(inst.name);
+      });
+
+      return Employee.create({name: 'Dave'}).then(function () {
+        assert.deepEqual(created, ['Dave']);
+        assert.deepEqual(events, []);
+      });
+    });
+
+    it('should emit created for upserts the connector does not report', function () {
+      var connector = app.dataSources.db.connector;
+      var updateOrCreate = connector.updateOrCreate;
+      connector.updateOrCreate = function (model, data, options, callback) {
+        updateOrCreate.call(this, model, data, options, function (err, result) {
+          callback(err, result);
+        });
+      };
+
+      return Person.upsert({id: 10, name: 'Eve'}).then(function () {
+        return Person.upsert({id: 10, name: 'Eve', age: 50});
+      }).then(function () {
+        assert.deepEqual(events, [['created', 'Eve'], ['changed', 'Eve']]);
+      });
+    });
+
+    it('should load affected instances with the operation options', function () {
+      var options = {transaction: {id: 'tx'}};
+      var connector = app.dataSources.db.connector;
+      var all = connector.all;
+      var received = [];
+      connector.all = function (model, filter, options, callback) {
+        received.push(options);
+        return all.call(this, model, filter, options, callback);
+      };
+
+      return Person.updateAll({age: {gt: 25}}, {age: 0}, options).then(function () {
+        return Person.destroyAll({age: 0}, options);
+      }).then(function () {
+        // the ids and instances updateAll affects and the instances
+        // destroyAll affects
+        assert.lengthOf(received, 3);
+        received.forEach(function (received) {
+          assert.strictEqual(received.transaction, options.transaction);
+        });
+      });
+    });
+
+    it('should not run hooks or access checks to load affected instances', function () {
+      var hooks = [];
+      ['access', 'loaded'].forEach(function (operation) {
+        Person.observe(operation, function (ctx, next) {
+          hooks.push(operation);
+          next();
+        });
+      });
+      app.model(Person, {
+        dataSource: 'db',
+        acls: [{principalType: 'ROLE', principalId: '$everyone', accessType: 'READ', permission: 'DENY'}]
+      });
+
+      return Person.updateAll({age: {gt: 25}}, {age: 0}, {accessToken: null}).then(function () {
+        return Person.destroyAll({age: 0}, {accessToken: null});
+      }).then(function () {
+        // the access hooks of updateAll and destroyAll themselves
+        assert.deepEqual(hooks, ['access', 'access']);
+        assert.deepEqual(events, [
+          ['changed', 'Alice'], ['changed', 'Carol'], ['updatedAll', ['Alice', 'Carol']],
+          ['deleted', 'Alice'], ['deleted', 'Carol'], ['deletedAll', ['Alice', 'Carol']]
+        ]);
+        return rejected(Person.find({}, {accessToken: null}));
+      }).then(function (err) {
+        assert.equal(err.statusCode, 401);
+      });
+    });
+
+    it('should not load instances without listeners', function () {
+      var Item = app.registry.createModel('Item', {name: 'string'});
+      app.model(Item, {dataSource: 'db'});
+      var queries = 0;
+      Item.observe('access', function (ctx, next) {
+        queries++;
+        next();
+      });
+
+      return Promise.all([Item.create({name: 'a'}), Item.create({name: 'b'})]).then(function () {
+        return Item.updateAll({}, {name: 'c'});
+      }).then(function () {
+        return Item.destroyAll();
+      }).then(function () {
+        // the access hooks of updateAll and destroyAll themselves
+        assert.equal(queries, 2);
+      });
+    });
+  });
+
+  describe('operation hooks', function () {
+    var app;
+    var Person;
+    var calls;
+
+    beforeEach(function () {
+      app = loopline(null, {localRegistry: true});
+      app.dataSource('db', {connector: 'memory'});
+      Person = app.registry.createModel('Person', {name: 'string'});
+      app.model(Person, {dataSource: 'db'});
+      calls = [];
+    });
+
+    it('should run synchronous, callback and promise hooks in order', function () {
+      Person.observe('before save', function (ctx) {
+        calls.push('sync');
+        ctx.instance.name += '!';
+      });
+      Person.observe('before save', function (ctx, next) {
+        calls.push('callback');
+        setTimeout(next, 1);
+      });
+      Person.observe('before save', function () {
+        return new Promise(function (resolve) {
+          setTimeout(resolve, 1);
+        }).then(function () {
+          calls.push('promise');
+        });
+      });
+
+      return Person.create({name: 'Alice'}).then(function (person) {
+        assert.deepEqual(calls, ['sync', 'callback', 'promise']);
+        assert.equal(person.name, 'Alice!');
+      });
+    });
+
+    it('should pass the operation context', function () {
+      var options = {source: 'test'};
+      Person.observe('before save', function (ctx) {
+        calls.push(['before save', ctx.Model.modelName, ctx.isNewInstance, ctx.options.source]);
+        ctx.hookState.started = true;
+      });
+      Person.observe('after save', function (ctx) {
+        calls.push(['after save', ctx.instance.name, ctx.hookState.started]);
+      });
+      Person.observe('access', function (ctx) {
+        calls.push(['access', ctx.query.where]);
+      });
+      Person.observe('before delete', function (ctx) {
+        calls.push(['before delete', ctx.where]);
+      });
+
+      return Person.create({name: 'Alice'}, options).then(function () {
+        return Person.destroyAll({name: 'Alice'});
+      }).then(function () {
+        assert.deepEqual(calls, [
+          ['before save', 'Person', true, 'test'],
+          ['after save', 'Alice', true],
+          ['access', {name: 'Alice'}],
+          ['before delete', {name: 'Alice'}]
+        ]);
+      });
+    });
+
+    it('should fail operations with hook errors', function () {
+      Person.observe('before save', function () {
+        throw new Error('sync failure');
+      });
+
+      return rejected(Person.create({name: 'Alice'})).then(function (err) {
+        assert.equal(err.message, 'sync failure');
+        return Person.count();
+      }).then(function (count) {
+        assert.equal(count, 0);
+      });
+    });
+
+    it('should run the hooks of base models', function () {
+      var Employee = app.registry.createModel('Employee', {}, {base: Person});
+      app.model(Employee, {dataSource: 'db'});
+
+      Employee.observe('loaded', function (ctx) {
+        calls.push(['Employee', ctx.Model.modelName]);
+      });
+      // registered after the subclass was created
+      Person.observe('loaded', function () {
+        calls.push(['Person', this.modelName]);
+      });
+
+      return Employee.create({name: 'Bob'}).then(function () {
+        return Employee.find();
+      }).then(function () {
+        assert.deepEqual(calls.slice(-2), [['Person', 'Person'], ['Employee', 'Employee']]);
+      });
+    });
+
+    it('should remove hooks', function () {
+      function hook() {
+        calls.push('hook');
+      }
+      Person.observe('before save', hook);
+      Person.removeObserver('before save', hook);
+
+      return Person.create({name: 'Alice'}).then(function () {
+        assert.deepEqual(calls, []);
+      });
+    });
+  });
+});
@@ -0,0 +1,314 @@
+'use strict';
+
+var assert = require('chai').assert;
+var _ = require('lodash');
+var loopline = require('..');
+
+describe('replication', function () {
+  var app;
+  var Edge;
+  var Primary;
+
+  function defineModel(name, dataSource) {
+    var Model = app.registry.createModel(name, {
+      id: {type: 'number', id: true},
+      name: 'string',
+      city: 'string'
+    }, {trackChanges: true});
+    app.model(Model, {dataSource: dataSource});
+    return Model;
+  }
+
+  beforeEach(function () {
+    app = loopline(null, {localRegistry: true});
+    app.dataSource('edge', {connector: 'memory'});
+    app.dataSource('primary', {connector: 'memory'});
+    Edge = defineModel('EdgeCustomer', 'edge');
+    Primary = defineModel('Customer', 'primary');
+  });
+
+  function names(Model) {
+    return Model.find({order: 'id ASC'}).then(function (list) {
+      return _.map(list, 'name');
+    });
+  }
+
+  describe('change tracking', function () {
+    it('should keep a change log in the model data source', function () {
+      var Change = Edge.getChangeModel();
+      assert.equal(Change.modelName, 'EdgeCustomerChange');
+      assert.strictEqual(Change.dataSource, app.dataSources.edge);
+      assert.strictEqual(Change.trackedModel, Edge);
+      assert.isNull(loopline.PersistedModel.getChangeModel());
+    });
+
+    it('should record creates, updates and deletes', function () {
+      var revs = [];
+
+      return Edge.create({id: 1, name: 'Alice'}).then(function () {
+        return Edge.changes();
+      }).then(function (changes) {
+        assert.lengthOf(changes, 1);
+        assert.equal(changes[0].modelId, '1');
+        assert.equal(changes[0].type(), 'create');
+        revs.push(changes[0].rev);
+        return Edge.checkpoint();
+      }).then(function () {
+        return Edge.updateAll({name: 'Alice'}, {city: 'Paris'});
+      }).then(function () {
+        return Edge.changes();
+      }).then(function (changes) {
+        assert.equal(changes[0].type(), 'update');
+        assert.equal(changes[0].prev, revs[0]);
+        assert.notEqual(changes[0].rev, revs[0]);
+        return Edge.deleteById(1);
+      }).then(function () {
+        return Edge.changes();
+      }).then(function (changes) {
+        assert.equal(changes[0].type(), 'delete');
+        assert.isNull(changes[0].rev);
+        // still the revision before the checkpoint
+        assert.equal(changes[0].prev, revs[0]);
+      });
+    });
+
+    it('should list changes since a checkpoint', function () {
+      var since;
+
+      return Edge.create({id: 1, name: 'Alice'}).then(function () {
+        return Edge.checkpoint();
+      }).then(function (checkpoint) {
+        since = checkpoint;
+        return Edge.create({id: 2, name: 'Bob'});
+      }).then(function () {
+        return Promise.all([Edge.changes(since), Edge.changes(-1)]);
+      }).then(function (results) {
+        assert.deepEqual(_.map(results[0], 'modelId'), ['2']);
+        assert.deepEqual(_.map(results[1], 'modelId'), ['1', '2']);
+      });
+    });
+
+    it('should only start a checkpoint after changes', function () {
+      var first;
+
+      return Edge.checkpoint().then(function (checkpoint) {
+        first = checkpoint;
+        return Edge.checkpoint();
+      }).then(function (second) {
+        assert.equal(second, first);
+        return Edge.create({id: 1, name: 'Alice'});
+      }).then(function () {
+        return Edge.checkpoint();
+      }).then(function (third) {
+        assert.equal(third, first + 1);
+      });
+    });
+
+    it('should continue after the latest checkpoint of the log', function () {
+      var Change = Edge.getChangeModel();
+      var checkpoint;
+
+      return Edge.create({id: 1, name: 'Alice'}).then(function () {
+        return Edge.checkpoint();
+      }).then(function (result) {
+        checkpoint = result;
+        // like a restart
+        Change._checkpoint = null;
+        return Edge.currentCheckpoint();
+      }).then(function (current) {
+        assert.equal(current, checkpoint);
+      });
+    });
+
+    it('should record data written before tracking', function () {
+      var Change = Edge.getChangeModel();
+
+      return Edge.create({id: 1, name: 'Alice'}).then(function () {
+        return Change.destroyAll();
+      }).then(function () {
+        return Edge.rectifyAllChanges();
+      }).then(function () {
+        return Edge.changes();
+      }).then(function (changes) {
+        assert.deepEqual(_.map(changes, 'modelId'), ['1']);
+      });
+    });
+
+    it('should require trackChanges', function () {
+      var Plain = app.registry.createModel('Plain', {name: 'string'});
+      app.model(Plain, {dataSource: 'edge'});
+
+      assert.throws(function () {
+        Plain.changes();
+      }, /not enabled for Plain/);
+    });
+  });
+
+  describe('replicate', function () {
+    beforeEach(function () {
+      return Promise.all([
+        Edge.create({id: 1, name: 'Alice'}),
+        Edge.create({id: 2, name: 'Bob'})
+      ]);
+    });
+
+    it('should copy changes to the target', function () {
+      return Edge.replicate(-1, Primary).then(function (result) {
+        assert.deepEqual(result.conflicts, []);
+        assert.isNumber(result.checkpoint);
+        return names(Primary);
+      }).then(function (list) {
+        assert.deepEqual(list, ['Alice', 'Bob']);
+      });
+    });
+
+    it('should copy changes since the last replication', function () {
+      var writes = 0;
+      Primary.observe('after save', function (ctx, next) {
+        writes++;
+        next();
+      });
+
+      var since;
+
+      return Edge.replicate(Primary).then(function (result) {
+        assert.equal(writes, 2);
+        since = result.checkpoint;
+        return Promise.all([
+          Edge.updateAll({id: 1}, {city: 'Paris'}),
+          Edge.deleteById(2),
+          Edge.create({id: 3, name: 'Carol'})
+        ]);
+      }).then(function () {
+        return Edge.replicate(since, Primary);
+      }).then(function (result) {
+        assert.deepEqual(result.conflicts, []);
+        assert.equal(writes, 4);
+        return Promise.all([names(Primary), Primary.findById(1)]);
+      }).then(function (results) {
+        assert.deepEqual(results[0], ['Alice', 'Carol']);
+        assert.equal(results[1].city, 'Paris');
+      });
+    });
+
+    it('should not copy changes back', function () {
+      return Edge.replicate(Primary).then(function () {
+        return Primary.replicate(Edge);
+      }).then(function (result) {
+        assert.deepEqual(result.conflicts, []);
+        return Primary.updateAll({id: 2}, {city: 'Rome'});
+      }).then(function () {
+        return Primary.replicate(Edge);
+      }).then(function (result) {
+        assert.deepEqual(result.conflicts, []);
+        return Edge.findById(2);
+      }).then(function (bob) {
+        assert.equal(bob.city, 'Rome');
+      });
+    });
+
+    it('should support callbacks', function (done) {
+      Edge.replicate(-1, Primary, function (err, result) {
+        if (err) {
+          return done(err);
+        }
+        assert.deepEqual(result.conflicts, []);
+        done();
+      });
+    });
+  });
+
+  describe('conflicts', function () {
+    var since;
+
+    beforeEach(function () {
+      return Promise.all([
+        Edge.create({id: 1, name: 'Alice'}),
+        Edge.create({id: 2, name: 'Bob'})
+      ]).then(function () {
+        return Edge.replicate(Primary);
+      }).then(function (result) {
+        since = result.checkpoint;
+        return Promise.all([
+          Edge.updateAll({id: 1}, {city: 'Paris'}),
+          Primary.updateAll({id: 1}, {city: 'Berlin'})
+        ]);
+      });
+    });
+
+    function conflict() {
+      return Edge.replicate(since, Primary).then(function (result) {
+        assert.lengthOf(result.conflicts, 1);
+        since = result.checkpoint;
+        return result.conflicts[0];
+      });
+    }
+
+    function cities() {
+      return Promise.all([Edge.findById(1), Primary.findById(1)]).then(function (results) {
+        return _.map(results, 'city');
+      });
+    }
+
+    it('should be reported instead of copied', function () {
+      return conflict().then(function (c) {
+        assert.instanceOf(c, app.registry.getModel('Change').Conflict);
+        assert.equal(c.modelId, '1');
+        return Promise.all([c.models(), c.changes(), c.type()]);
+      }).then(function (results) {
+        assert.equal(results[0].source.city, 'Paris');
+        assert.equal(results[0].target.city, 'Berlin');
+        assert.equal(results[1].source.type(), 'update');
+        assert.equal(results[1].target.type(), 'update');
+        assert.equal(results[2], 'update');
+      });
+    });
+
+    it('should be resolved using the source', function () {
+      return conflict().then(function (c) {
+        return c.resolveUsingSource();
+      }).then(function () {
+        return cities();
+      }).then(function (list) {
+        assert.deepEqual(list, ['Paris', 'Paris']);
+        return Edge.replicate(since, Primary);
+      }).then(function (result) {
+        assert.deepEqual(result.conflicts, []);
+      });
+    });
+
+    it('should be resolved using the target', function () {
+      return conflict().then(function (c) {
+        return c.resolveUsingTarget();
+      }).then(function () {
+        return cities();
+      }).then(function (list) {
+        assert.deepEqual(list, ['Berlin', 'Berlin']);
+        return Edge.replicate(since, Primary);
+      }).then(function (result) {
+        assert.deepEqual(result.conflicts, []);
+      });
+    });
+
+    it('should be resolved manually', function () {
+      return conflict().then(function (c) {
+        return c.resolveManually({name: 'Alice', city: 'Vienna'});
+      }).then(function () {
+        return cities();
+      }).then(function (list) {
+        assert.deepEqual(list, ['Vienna', 'Vienna']);
+      });
+    });
+
+    it('should report deletes', function () {
+      return Primary.deleteById(1).then(function () {
+        return conflict();
+      }).then(function (c) {
+        return Promise.all([c.type(), c.models()]);
+      }).then(function (results) {
+        assert.equal(results[0], 'delete');
+        assert.isNull(results[1].target);
+      });
+    });
+  });
+});
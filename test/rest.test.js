@@ -0,0 +1,450 @@
+'use strict';
+
+var assert = require('chai').assert;
+var http = require('http');
+var _ = require('lodash');
+var loopline = require('..');
+
+describe('rest', function () {
+  var app;
+  var server;
+  var Author;
+  var Book;
+
+  function request(method, path, body, headers) {
+    return new Promise(function (resolve, reject) {
+      var req = http.request({
+        method: method,
+        port: server.address().port,
+        path: path,
+        headers: _.assign({'Content-Type': 'application/json'}, headers)
+      }, function (res) {
+        var chunks = [];
+        res.on('data', function (chunk) {
+          chunks.push(chunk);
+        });
+        res.on('end', function () {
+          var text = Buffer.concat(chunks).toString();
+          resolve({status: res.statusCode, body: text ? JSON.parse(text) : undefined});
+        });
+      });
+      req.on('error', reject);
+      if (body !== undefined) {
+        req.write(typeof body === 'string' ? body : JSON.stringify(body));
+      }
+      req.end();
+    });
+  }
+
+  function query(value) {
+    return encodeURIComponent(JSON.stringify(value));
+  }
+
+  beforeEach(function (done) {
+    app = loopline(null, {localRegistry: true});
+    app.dataSource('db', {connector: 'memory'});
+
+    Author = app.registry.createModel('Author', {
+      name: {type: 'string', required: true}
+    }, {
+      relations: {
+        books: {type: 'hasMany', model: 'Book', foreignKey: 'authorId'}
+      }
+    });
+    Book = app.registry.createModel('Book', {title: 'string'}, {
+      relations: {
+        author: {type: 'belongsTo', model: 'Author', foreignKey: 'authorId'}
+      }
+    });
+    var Secret = app.registry.createModel('Secret', {value: 'string'});
+    app.model(Author, {dataSource: 'db'});
+    app.model(Book, {dataSource: 'db'});
+    app.model(Secret, {dataSource: 'db', public: false});
+
+    server = http.createServer(app.rest());
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  afterEach(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    return Promise.all([
+      Author.create({id: 1, name: 'Ann'}),
+      Author.create({id: 2, name: 'Bob'}),
+      Book.create({id: 1, title: 'First', authorId: 1}),
+      Book.create({id: 2, title: 'Second', authorId: 1})
+    ]);
+  });
+
+  describe('models', function () {
+    it('should find instances with a filter', function () {
+      return request('GET', '/Authors?filter=' + query({where: {name: 'Bob'}})).then(function (res) {
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, [{id: 2, name: 'Bob'}]);
+      });
+    });
+
+    it('should create instances', function () {
+      return request('POST', '/Authors', {name: 'Carol'}).then(function (res) {
+        assert.equal(res.status, 200);
+        assert.equal(res.body.name, 'Carol');
+        return Author.count();
+      }).then(function (count) {
+        assert.equal(count, 3);
+      });
+    });
+
+    it('should count instances', function () {
+      return request('GET', '/Authors/count?where=' + query({name: 'Ann'})).then(function (res) {
+        assert.deepEqual(res.body, {count: 1});
+      });
+    });
+
+    it('should find one instance', function () {
+      return Promise.all([
+        request('GET', '/Books/findOne?filter=' + query({order: 'id DESC'})),
+        request('GET', '/Books/findOne?filter=' + query({where: {title: 'None'}}))
+      ]).then(function (results) {
+        assert.equal(results[0].body.title, 'Second');
+        assert.equal(results[1].status, 404);
+      });
+    });
+
+    it('should update matching instances', function () {
+      return request('POST', '/Books/update?where=' + query({authorId: 1}), {title: 'Same'}).then(function (res) {
+        assert.deepEqual(res.body, {count: 2});
+        return Book.find({where: {title: 'Same'}});
+      }).then(function (books) {
+        assert.lengthOf(books, 2);
+      });
+    });
+
+    it('should upsert instances', function () {
+      return request('PATCH', '/Authors', {id: 2, name: 'Robert'}).then(function (res) {
+        assert.equal(res.body.name, 'Robert');
+        return Author.findById(2);
+      }).then(function (author) {
+        assert.equal(author.name, 'Robert');
+      });
+    });
+
+    it('should not expose private models', function () {
+      return request('GET', '/Secrets').then(function (res) {
+        assert.equal(res.status, 404);
+        assert.equal(res.body.error.code, 'NOT_FOUND');
+      });
+    });
+  });
+
+  describe('instances', function () {
+    it('should find by id', function () {
+      return Promise.all([
+        request('GET', '/Authors/1'),
+        request('GET', '/Authors/9')
+      ]).then(function (results) {
+        assert.deepEqual(results[0].body, {id: 1, name: 'Ann'});
+        assert.equal(results[1].status, 404);
+        assert.equal(results[1].body.error.code, 'MODEL_NOT_FOUND');
+      });
+    });
+
+    it('should check existence', function () {
+      return Promise.all([
+        request('GET', '/Authors/1/exists'),
+        request('HEAD', '/Authors/1'),
+        request('HEAD', '/Authors/9')
+      ]).then(function (results) {
+        assert.deepEqual(results[0].body, {exists: true});
+        assert.equal(results[1].status, 200);
+        assert.equal(results[2].status, 404);
+      });
+    });
+
+    it('should update and replace by id', function () {
+      return request('PATCH', '/Books/1', {title: 'Patched'}).then(function (res) {
+        assert.deepEqual(res.body, {id: 1, title: 'Patched', authorId: 1});
+        return request('PUT', '/Books/1', {title: 'Replaced'});
+      }).then(function (res) {
+        assert.equal(res.body.title, 'Replaced');
+        return Book.findById(1);
+      }).then(function (book) {
+        assert.equal(book.title, 'Replaced');
+        assert.isUndefined(book.authorId);
+      });
+    });
+
+    it('should delete by id', function () {
+      return request('DELETE', '/Authors/2').then(function (res) {
+        assert.deepEqual(res.body, {count: 1});
+        return Author.exists(2);
+      }).then(function (exists) {
+        assert.isFalse(exists);
+      });
+    });
+  });
+
+  describe('relations', function () {
+    it('should list related instances', function () {
+      return request('GET', '/Authors/1/books?filter=' + query({order: 'id DESC'})).then(function (res) {
+        assert.deepEqual(_.map(res.body, 'title'), ['Second', 'First']);
+      });
+    });
+
+    it('should get the related instance', function () {
+      return request('GET', '/Books/2/author').then(function (res) {
+        assert.equal(res.body.name, 'Ann');
+      });
+    });
+
+    it('should create and count related instances', function () {
+      return request('POST', '/Authors/2/books', {title: 'Third'}).then(function (res) {
+        assert.equal(res.body.authorId, 2);
+        return request('GET', '/Authors/2/books/count');
+      }).then(function (res) {
+        assert.deepEqual(res.body, {count: 1});
+      });
+    });
+
+    it('should find, update and delete related instances by id', function () {
+      return request('GET', '/Authors/1/books/2').then(function (res) {
+        assert.equal(res.body.title, 'Second');
+        return request('PUT', '/Authors/1/books/2', {title: 'Updated'});
+      }).then(function (res) {
+        assert.equal(res.body.title, 'Updated');
+        return request('DELETE', '/Authors/1/books/2');
+      }).then(function (res) {
+        assert.equal(res.status, 204);
+        return Book.count();
+      }).then(function (count) {
+        assert.equal(count, 1);
+      });
+    });
+
+    it('should not match unknown relations', function () {
+      return request('GET', '/Authors/1/unknown').then(function (res) {
+        assert.equal(res.status, 404);
+      });
+    });
+  });
+
+  describe('remote methods', function () {
+    beforeEach(function () {
+      Author.greet = function (name, excited) {
+        return 'Hello ' + name + (excited ? '!' : '');
+      };
+      Author.remoteMethod('greet', {
+        accepts: [{arg: 'name', type: 'string', required: true}, {arg: 'excited', type: 'boolean'}],
+        returns: {arg: 'greeting', type: 'string'},
+        http: {verb: 'get', path: '/greet'}
+      });
+      Author.prototype.rename = function (data) {
+        return this.updateAttributes(data);
+      };
+      Author.remoteMethod('prototype.rename', {
+        accepts: {arg: 'data', type: 'object', http: {source: 'body'}},
+        returns: {arg: 'data', type: 'object', root: true},
+        http: {verb: 'post', path: '/rename'}
+      });
+      // matched before the built-in `GET /Authors/count`
+      Author.total = _.constant(42);
+      Author.remoteMethod('total', {returns: {type: 'number', root: true}, http: {verb: 'get', path: '/count'}});
+    });
+
+    it('should call static methods with query arguments', function () {
+      return Promise.all([
+        request('GET', '/Authors/greet?name=Ann&excited=true'),
+        request('GET', '/Authors/greet'),
+        request('GET', '/Authors/count')
+      ]).then(function (results) {
+        assert.deepEqual(results[0].body, {greeting: 'Hello Ann!'});
+        assert.equal(results[1].status, 400);
+        assert.equal(results[1].body.error.code, 'INVALID_ARGUMENT');
+        assert.equal(results[2].body, 42);
+      });
+    });
+
+    it('should call instance methods with the body', function () {
+      return request('POST', '/Authors/2/rename', {name: 'Robert'}).then(function (res) {
+        assert.deepEqual(res.body, {id: 2, name: 'Robert'});
+        return request('POST', '/Authors/9/rename', {name: 'Nobody'});
+      }).then(function (res) {
+        assert.equal(res.status, 404);
+      });
+    });
+
+    it('should log in and out with the built-in User model', function () {
+      app = loopline(null, {localRegistry: true, loadBuiltinModels: true});
+      app.dataSource('db', {connector: 'memory'});
+      var User = app.model(app.registry.getModel('User'), {dataSource: 'db'});
+      app.model(app.registry.getModel('AccessToken'), {dataSource: 'db'});
+      server.removeAllListeners('request');
+      server.on('request', app.rest());
+
+      var token;
+      return User.create({email: 'ann@example.com', password: 'secret'}).then(function () {
+        return request('POST', '/Users/login', {email: 'ann@example.com', password: 'secret'});
+      }).then(function (res) {
+        assert.equal(res.status, 200);
+        token = res.body.id;
+        assert.isString(token);
+        return request('POST', '/Users/logout?access_token=' + token);
+      }).then(function (res) {
+        assert.equal(res.status, 204);
+        return request('POST', '/Users/logout?access_token=' + token);
+      }).then(function (res) {
+        assert.equal(res.status, 401);
+      });
+    });
+  });
+
+  describe('errors', function () {
+    it('should report validation errors with 422', function () {
+      return request('POST', '/Authors', {}).then(function (res) {
+        assert.equal(res.status, 422);
+        assert.equal(res.body.error.name, 'ValidationError');
+        assert.property(res.body.error.details.codes, 'name');
+      });
+    });
+
+    it('should report invalid input with 400', function () {
+      return Promise.all([
+        request('POST', '/Authors', '{"name":'),
+        request('GET', '/Authors?filter=nope')
+      ]).then(function (results) {
+        assert.equal(results[0].status, 400);
+        assert.equal(results[0].body.error.code, 'INVALID_JSON');
+        assert.equal(results[1].status, 400);
+        assert.equal(results[1].body.error.code, 'INVALID_FILTER');
+      });
+    });
+
+    it('should report too large bodies with 413', function () {
+      var body = JSON.stringify({name: new Array(4 * 1024 * 1024).join('x')});
+      return request('POST', '/Authors', body).then(function (res) {
+        assert.equal(res.status, 413);
+        assert.equal(res.body.error.code, 'REQUEST_TOO_LARGE');
+        return Author.count();
+      }).then(function (count) {
+        assert.equal(count, 2);
+      });
+    });
+
+    it('should pass unknown paths to next', function () {
+      var handler = app.rest();
+      var passed = false;
+      handler({method: 'GET', url: '/Unknown'}, {}, function () {
+        passed = true;
+      });
+      assert.isTrue(passed);
+    });
+  });
+
+  describe('access control', function () {
+    beforeEach(function () {
+      app.registry.configureModel(Author, {dataSource: app.dataSources.db, acls: [
+        {principalType: 'ROLE', principalId: '$everyone', accessType: 'WRITE', permission: 'DENY'},
+        {principalType: 'ROLE', principalId: '$authenticated', accessType: 'WRITE', permission: 'ALLOW'}
+      ]});
+    });
+
+    it('should call models as anonymous callers', function () {
+      return Promise.all([
+        request('GET', '/Authors'),
+        request('DELETE', '/Authors/1')
+      ]).then(function (results) {
+        assert.equal(results[0].status, 200);
+        assert.equal(results[1].status, 401);
+        assert.equal(results[1].body.error.code, 'AUTHORIZATION_REQUIRED');
+      });
+    });
+
+    it('should use the access token of the request', function () {
+      var handler = app.rest();
+      var req = {method: 'DELETE', url: '/Authors/1', headers: {}, accessToken: {userId: 1}};
+
+      return new Promise(function (resolve) {
+        handler(req, {
+          setHeader: _.noop,
+          end: function (body) {
+            resolve({status: this.statusCode, body: JSON.parse(body)});
+          }
+        });
+      }).then(function (res) {
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, {count: 1});
+      });
+    });
+
+    it('should resolve access tokens of the built-in models', function () {
+      app = loopline(null, {localRegistry: true, loadBuiltinModels: true});
+      app.dataSource('db', {connector: 'memory'});
+      var User = app.model(app.registry.getModel('User'), {dataSource: 'db'});
+      app.model(app.registry.getModel('AccessToken'), {dataSource: 'db'});
+      server.removeAllListeners('request');
+      server.on('request', app.rest());
+
+      return User.create({email: 'ann@example.com', password: 'secret'}).then(function (user) {
+        return user.createAccessToken().then(function (token) {
+          return Promise.all([
+            request('GET', '/Users/' + user.id + '?access_token=' + token.id),
+            request('GET', '/Users/' + user.id, undefined, {Authorization: token.id}),
+            request('GET', '/Users/' + user.id)
+          ]);
+        });
+      }).then(function (results) {
+        assert.equal(results[0].body.email, 'ann@example.com');
+        assert.notProperty(results[0].body, 'password');
+        assert.equal(results[1].status, 200);
+        assert.equal(results[2].status, 401);
+      });
+    });
+
+    it('should check access to included models', function () {
+      app = loopline(null, {localRegistry: true, loadBuiltinModels: true});
+      app.dataSource('db', {connector: 'memory'});
+      var User = app.model(app.registry.getModel('User'), {dataSource: 'db'});
+      app.model(app.registry.getModel('AccessToken'), {dataSource: 'db'});
+      var Note = app.model(app.registry.createModel('Note', {text: 'string'}, {
+        relations: {
+          owner: {type: 'belongsTo', model: 'User', foreignKey: 'ownerId'}
+        }
+      }), {dataSource: 'db'});
+      server.removeAllListeners('request');
+      server.on('request', app.rest());
+
+      return User.create({email: 'ann@example.com', password: 'secret'}).then(function (user) {
+        return Note.create({id: 1, text: 'hello', ownerId: user.id});
+      }).then(function () {
+        return Promise.all([
+          request('GET', '/Notes?filter=' + query({include: 'owner'})),
+          request('GET', '/Notes/1?filter=' + query({include: ['owner']})),
+          request('GET', '/Notes/findOne?filter=' + query({include: {relation: 'owner'}})),
+          request('GET', '/Notes/1/owner'),
+          request('GET', '/Notes')
+        ]);
+      }).then(function (results) {
+        assert.deepEqual(_.map(results, 'status'), [401, 401, 401, 401, 200]);
+        assert.equal(results[0].body.error.code, 'AUTHORIZATION_REQUIRED');
+        assert.notInclude(JSON.stringify(results), 'ann@example.com');
+      });
+    });
+
+    it('should check access to models included by nested relations', function () {
+      app.registry.configureModel(Author, {dataSource: app.dataSources.db, acls: [
+        {principalType: 'ROLE', principalId: '$everyone', property: 'find', permission: 'DENY'}
+      ]});
+
+      return Promise.all([
+        request('GET', '/Authors/1?filter=' + query({include: {books: 'author'}})),
+        request('GET', '/Authors/1?filter=' + query({include: {relation: 'books', scope: {include: 'author'}}})),
+        request('GET', '/Authors/1/books?filter=' + query({include: 'author'})),
+        request('GET', '/Authors/1?filter=' + query({include: 'books'}))
+      ]).then(function (results) {
+        assert.deepEqual(_.map(results, 'status'), [401, 401, 401, 200]);
+        assert.lengthOf(results[3].body.books, 2);
+      });
+    });
+  });
+});
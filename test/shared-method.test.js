@@ -0,0 +1,161 @@
+'use strict';
+
+var assert = require('chai').assert;
+var _ = require('lodash');
+var loopline = require('..');
+var rejected = require('./support').rejected;
+
+describe('shared methods', function () {
+  var app;
+  var Note;
+
+  function method(name) {
+    return _.find(Note.sharedMethods(), {stringName: name});
+  }
+
+  beforeEach(function () {
+    app = loopline(null, {localRegistry: true});
+    app.dataSource('db', {connector: 'memory'});
+
+    Note = app.registry.createModel('Note', {title: 'string', ownerId: 'number'}, {
+      methods: {
+        'search': {
+          accepts: [
+            {arg: 'limit', type: 'number', required: true},
+            {arg: 'where', type: 'object'},
+            {arg: 'desc', type: 'boolean', default: false}
+          ],
+          returns: {arg: 'notes', type: ['Note'], root: true},
+          http: {verb: 'get'}
+        },
+        'stats': {
+          accepts: {arg: 'options', type: 'object', http: 'optionsFromRequest'},
+          returns: [{arg: 'count', type: 'number'}, {arg: 'caller', type: 'number'}]
+        },
+        'prototype.rename': {
+          accepts: {arg: 'title', type: 'string', required: true},
+          returns: {arg: 'title', type: 'string'}
+        }
+      }
+    });
+
+    Note.search = function (limit, where, desc) {
+      return this.find({where: where, limit: limit, order: 'id ' + (desc ? 'DESC' : 'ASC')});
+    };
+    Note.stats = function (options, callback) {
+      this.count(function (err, count) {
+        callback(err, count, options.accessToken && options.accessToken.userId);
+      });
+    };
+    Note.prototype.rename = function (title) {
+      return this.updateAttributes({title: title}).then(function (note) {
+        return note.title;
+      });
+    };
+
+    app.model(Note, {dataSource: 'db'});
+    return Promise.all([
+      Note.create({id: 1, title: 'a', ownerId: 1}),
+      Note.create({id: 2, title: 'b', ownerId: 2}),
+      Note.create({id: 3, title: 'c', ownerId: 1})
+    ]);
+  });
+
+  it('should describe declared methods', function () {
+    var search = method('search');
+    assert.isTrue(search.isStatic);
+    assert.equal(search.accessType, 'EXECUTE');
+    assert.deepEqual(search.http, [{verb: 'get', path: '/search'}]);
+
+    var rename = method('prototype.rename');
+    assert.isFalse(rename.isStatic);
+    assert.equal(rename.name, 'rename');
+    assert.deepEqual(rename.http, [{verb: 'post', path: '/rename'}]);
+    assert.strictEqual(rename.getFunction(), Note.prototype.rename);
+  });
+
+  it('should coerce arguments and return the root value', function () {
+    return method('search').invoke({limit: '2', where: '{"ownerId":1}', desc: 'true'}).then(function (notes) {
+      assert.deepEqual(_.map(notes, 'id'), [3, 1]);
+    });
+  });
+
+  it('should reject missing and invalid arguments', function () {
+    return Promise.all([
+      rejected(method('search').invoke({})),
+      rejected(method('search').invoke({limit: 'ten'})),
+      rejected(method('search').invoke({limit: 1, where: '{'}))
+    ]).then(function (errors) {
+      errors.forEach(function (err) {
+        assert.equal(err.statusCode, 400);
+        assert.equal(err.code, 'INVALID_ARGUMENT');
+      });
+      assert.match(errors[0].message, /`limit` argument of Note.search is required/);
+    });
+  });
+
+  it('should pass options and collect callback results', function () {
+    return method('stats').invoke({}, {accessToken: {userId: 7}}).then(function (result) {
+      assert.deepEqual(result, {count: 3, caller: 7});
+    });
+  });
+
+  it('should invoke instance methods by id', function () {
+    var rename = method('prototype.rename');
+    return rename.invoke({id: 2, title: 'renamed'}).then(function (result) {
+      assert.deepEqual(result, {title: 'renamed'});
+      return Promise.all([
+        Note.findById(2),
+        rejected(rename.invoke({id: 9, title: 'x'}))
+      ]);
+    }).then(function (results) {
+      assert.equal(results[0].title, 'renamed');
+      assert.equal(results[1].statusCode, 404);
+    });
+  });
+
+  it('should support callbacks', function (done) {
+    method('search').invoke({limit: 1}, function (err, notes) {
+      if (err) {
+        return done(err);
+      }
+      assert.lengthOf(notes, 1);
+      done();
+    });
+  });
+
+  it('should check the ACLs of the caller', function () {
+    app.registry.configureModel(Note, {dataSource: app.dataSources.db, acls: [
+      {principalType: 'ROLE', principalId: '$everyone', permission: 'DENY'},
+      {principalType: 'ROLE', principalId: '$owner', property: 'rename', permission: 'ALLOW'}
+    ]});
+    var rename = method('prototype.rename');
+
+    return Promise.all([
+      rejected(rename.invoke({id: 2, title: 'x'}, {accessToken: {userId: 1}})),
+      rename.invoke({id: 1, title: 'mine'}, {accessToken: {userId: 1}}),
+      rejected(method('search').invoke({limit: 1}, {accessToken: null}))
+    ]).then(function (results) {
+      assert.equal(results[0].statusCode, 403);
+      assert.deepEqual(results[1], {title: 'mine'});
+      assert.equal(results[2].statusCode, 401);
+    });
+  });
+
+  it('should report unimplemented methods', function () {
+    Note.remoteMethod('archive', {});
+    return rejected(method('archive').invoke({})).then(function (err) {
+      assert.equal(err.statusCode, 501);
+      assert.equal(err.code, 'METHOD_NOT_IMPLEMENTED');
+    });
+  });
+
+  it('should declare methods without changing the base model', function () {
+    var Memo = app.registry.createModel('Memo', {}, {base: 'Note'});
+    Memo.remoteMethod('pin', {accepts: {arg: 'at', type: 'date'}});
+
+    assert.include(_.map(Memo.sharedMethods(), 'stringName'), 'search');
+    assert.include(_.map(Memo.sharedMethods(), 'stringName'), 'pin');
+    assert.notInclude(_.map(Note.sharedMethods(), 'stringName'), 'pin');
+  });
+});
@@ -0,0 +1,200 @@
+'use strict';
+
+var assert = require('chai').assert;
+var _ = require('lodash');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var loopline = require('..');
+var testkit = require('../testkit');
+
+var hasSqlite = (function () {
+  try {
+    require('sqlite3');
+    return true;
+  } catch (err) {
+    return false;
+  }
+})();
+
+(hasSqlite ? describe : describe.skip)('sqlite connector', function () {
+  var file = path.join(os.tmpdir(), 'loopline-sqlite-' + process.pid + '.db');
+  var app;
+
+  function createApp() {
+    app = loopline(null, {localRegistry: true});
+    app.dataSource('db', {connector: 'sqlite', file: file});
+    return app;
+  }
+
+  function isActual() {
+    return new Promise(function (resolve, reject) {
+      app.dataSources.db.isActual(function (err, actual) {
+        if (err) {
+          return reject(err);
+        }
+        resolve(actual);
+      });
+    });
+  }
+
+  function disconnect() {
+    return new Promise(function (resolve, reject) {
+      app.dataSources.db.disconnect(function (err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+  }
+
+  testkit('sqlite', function () {
+    return loopline.createDataSource({connector: loopline.SQLite});
+  }, {
+    skip: ['regexp']
+  });
+
+  it('should declare the missing regexp support', function () {
+    var ds = loopline.createDataSource({connector: loopline.SQLite});
+    assert.isFalse(ds.supports('regexp'));
+  });
+
+  describe('storage', function () {
+    afterEach(function () {
+      return disconnect().then(function () {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+        }
+      });
+    });
+
+    it('should be registered as a built-in connector', function () {
+      createApp();
+      assert.instanceOf(app.dataSources.db.connector, loopline.SQLite);
+      assert.include(app.dataSources.db.connector.getTypes(), 'sql');
+    });
+
+    it('should keep data in the file', function () {
+      createApp();
+      var Note = app.model('Note', {dataSource: 'db', properties: {title: 'string', tags: ['string']}});
+
+      return app.dataSources.db.automigrate().then(function () {
+        return Note.create({title: 'hello', tags: ['a', 'b']});
+      }).then(disconnect).then(function () {
+        createApp();
+        Note = app.model('Note', {dataSource: 'db', properties: {title: 'string', tags: ['string']}});
+        return Note.find();
+      }).then(function (notes) {
+        assert.lengthOf(notes, 1);
+        assert.equal(notes[0].title, 'hello');
+        assert.deepEqual(notes[0].tags.slice(), ['a', 'b']);
+      });
+    });
+
+    it('should create tables and indexes', function () {
+      createApp();
+      app.model('Account', {
+        dataSource: 'db',
+        properties: {
+          email: {type: 'string', index: {unique: true}},
+          name: 'string',
+          created: 'date'
+        },
+        options: {
+          sqlite: {table: 'accounts'},
+          indexes: {
+            nameCreated: {keys: {name: 1, created: -1}},
+            created: {columns: 'created'}
+          }
+        }
+      });
+
+      var connector = app.dataSources.db.connector;
+      return app.dataSources.db.automigrate().then(function () {
+        return new Promise(function (resolve, reject) {
+          connector.query('PRAGMA index_list("accounts")', [], function (err, rows) {
+            if (err) {
+              return reject(err);
+            }
+            resolve(rows);
+          });
+        });
+      }).then(function (indexes) {
+        var byName = _.keyBy(indexes, 'name');
+        assert.equal(byName.accounts_email_idx.unique, 1);
+        assert.equal(byName.accounts_nameCreated.unique, 0);
+        assert.property(byName, 'accounts_created');
+
+        return app.models.Account.create({email: 'a@example.com'}).then(function () {
+          return app.models.Account.create({email: 'a@example.com'});
+        });
+      }).then(function () {
+        assert.fail('should not create a duplicate email');
+      }, function (err) {
+        assert.equal(err.code, 'DUPLICATE_ENTRY');
+      });
+    });
+
+    it('should add missing columns on autoupdate', function () {
+      createApp();
+      app.model('Item', {dataSource: 'db', properties: {name: 'string'}});
+      var ds = app.dataSources.db;
+
+      return ds.automigrate().then(function () {
+        return app.models.Item.create({name: 'kept'});
+      }).then(function () {
+        app.model('Item', {dataSource: 'db', properties: {name: 'string', price: 'number'}});
+        return isActual();
+      }).then(function (actual) {
+        assert.isFalse(actual);
+        return ds.autoupdate();
+      }).then(function () {
+        return isActual();
+      }).then(function (actual) {
+        assert.isTrue(actual);
+        return app.models.Item.find();
+      }).then(function (items) {
+        assert.equal(items[0].name, 'kept');
+        return app.models.Item.create({name: 'new', price: 2});
+      }).then(function (item) {
+        return app.models.Item.findById(item.id);
+      }).then(function (item) {
+        assert.equal(item.price, 2);
+      });
+    });
+
+    it('should reject unknown properties in filters', function () {
+      createApp();
+      var Note = app.model('Note', {dataSource: 'db', properties: {title: 'string'}});
+
+      return app.dataSources.db.automigrate().then(function () {
+        return Note.find({order: 'missing DESC'});
+      }).then(function () {
+        assert.fail('should reject the order');
+      }, function (err) {
+        assert.equal(err.code, 'INVALID_FILTER');
+      });
+    });
+
+    it('should reject invalid dates in filters', function () {
+      createApp();
+      var Note = app.model('Note', {dataSource: 'db', properties: {title: 'string', due: 'date'}});
+      // juggler does not coerce a `where` set by hooks
+      Note.observe('access', function (ctx, next) {
+        ctx.query.where = {due: {lt: 'soon'}};
+        next();
+      });
+
+      return app.dataSources.db.automigrate().then(function () {
+        return Note.find();
+      }).then(function () {
+        assert.fail('should reject the date');
+      }, function (err) {
+        assert.equal(err.statusCode, 400);
+        assert.equal(err.code, 'INVALID_FILTER');
+        assert.match(err.message, /Invalid date for due: soon/);
+      });
+    });
+  });
+});
@@ -0,0 +1,19 @@
+'use strict';
+
+/*!
+ * Helpers shared by the tests.
+ */
+
+/**
+ * Resolve with the error `promise` is rejected with, fail if it fulfills.
+ *
+ * @param {Promise} promise
+ * @returns {Promise.<Error>}
+ */
+exports.rejected = function (promise) {
+  return promise.then(function () {
+    throw new Error('expected a rejection');
+  }, function (err) {
+    return err;
+  });
+};
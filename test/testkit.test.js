@@ -0,0 +1,51 @@
+'use strict';
+
+var assert = require('chai').assert;
+var loopline = require('..');
+var testkit = require('../testkit');
+
+describe('testkit', function () {
+  var capabilities;
+  var stubCapabilities;
+
+  testkit('memory', function () {
+    var app = loopline(null, {localRegistry: true});
+    return app.dataSource('db', {connector: 'memory'});
+  }, {
+    report: function (result) {
+      capabilities = result;
+    }
+  });
+
+  testkit('stub', function () {
+    var app = loopline(null, {localRegistry: true});
+    var ds = app.dataSource('db', {connector: 'memory'});
+
+    // a connector returning all the properties
+    var all = ds.connector.all;
+    ds.connector.all = function (model, filter, options, callback) {
+      if (filter) {
+        delete filter.fields;
+      }
+      return all.call(this, model, filter, options, callback);
+    };
+    return ds;
+  }, {
+    skip: ['fields'],
+    report: function (result) {
+      stubCapabilities = result;
+    }
+  });
+
+  after(function () {
+    assert.isTrue(capabilities.create);
+    assert.isTrue(capabilities['inq/nin']);
+    assert.isTrue(capabilities.include);
+    assert.isTrue(capabilities.regexp);
+    assert.isTrue(capabilities.fields);
+    assert.isFalse(capabilities.commit);
+
+    assert.isTrue(stubCapabilities.regexp);
+    assert.isFalse(stubCapabilities.fields);
+  });
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+var assert = require('chai').assert;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var _ = require('lodash');
+var loopline = require('..');
+var typegen = loopline.typegen;
+
+describe('typegen', function () {
+  var registry;
+
+  beforeEach(function () {
+    registry = loopline(null, {localRegistry: true}).registry;
+
+    registry.createModel('Vehicle', {
+      make: {type: 'string', required: true, description: 'Manufacturer'},
+      built: 'date',
+      location: 'geopoint',
+      engine: {power: 'number'}
+    }, {
+      description: 'Anything with wheels',
+      relations: {
+        owner: {type: 'belongsTo', model: 'Driver', foreignKey: 'ownerId'}
+      }
+    });
+    registry.createModel('Driver', {name: 'string', licenses: ['string']}, {
+      relations: {
+        vehicles: {type: 'hasMany', model: 'Vehicle', foreignKey: 'ownerId'},
+        garage: {type: 'hasOne', model: 'Garage', foreignKey: 'driverId'}
+      }
+    });
+    registry.createModel('Garage', {'code': {type: 'string', id: true}, 'street-name': 'string'});
+    registry.createModel('Truck', {load: 'number'}, {
+      base: 'Vehicle',
+      relations: {
+        drivers: {type: 'hasMany', model: 'Driver', foreignKey: 'truckId'}
+      }
+    });
+  });
+
+  it('should list models in inheritance order', function () {
+    var names = _.map(typegen.getModels(registry), 'modelName');
+    assert.includeMembers(names, ['Change', 'Vehicle', 'Driver', 'Garage', 'Truck']);
+    assert.notInclude(names, 'PersistedModel');
+    assert.notOk(_.some(names, function (name) {
+      return /^AnonymousModel/.test(name);
+    }));
+    assert.isBelow(names.indexOf('Vehicle'), names.indexOf('Truck'));
+  });
+
+  it('should build JSON Schemas of the instance data', function () {
+    var schemas = typegen.jsonSchemas(registry);
+    var vehicle = schemas.Vehicle;
+
+    assert.equal(vehicle.$id, 'Vehicle.json');
+    assert.equal(vehicle.description, 'Anything with wheels');
+    assert.deepEqual(vehicle.required, ['make']);
+    assert.deepEqual(vehicle.properties.make, {type: 'string', description: 'Manufacturer'});
+    assert.deepEqual(vehicle.properties.built, {type: 'string', format: 'date-time'});
+    assert.deepEqual(vehicle.properties.engine, {type: 'object', properties: {power: {type: 'number'}}});
+    assert.deepEqual(vehicle.properties.location, {
+      type: 'object',
+      properties: {lat: {type: 'number'}, lng: {type: 'number'}},
+      required: ['lat', 'lng']
+    });
+    assert.deepEqual(schemas.Driver.properties.licenses, {type: 'array', items: {type: 'string'}});
+
+    assert.deepEqual(schemas.Truck.allOf, [
+      {$ref: 'Vehicle.json'},
+      {type: 'object', properties: {load: {type: 'number'}}}
+    ]);
+  });
+
+  it('should declare data, instance and model interfaces', function () {
+    var dts = typegen.declarations(registry);
+
+    assert.include(dts, [
+      '/** Anything with wheels */',
+      'export interface VehicleData {',
+      '  make: string;',
+      '  built?: Date;',
+      '  location?: {lat: number; lng: number};',
+      '  engine?: {power?: number};',
+      '  id?: number;',
+      '}',
+      '',
+      'export interface Vehicle extends VehicleData, LooplineInstance<VehicleData> {',
+      '  owner: LooplineBelongsTo<Driver>;',
+      '}',
+      '',
+      'export interface VehicleModel extends LooplineModelClass<Vehicle, VehicleData, number> {}'
+    ].join('\n'));
+
+    assert.include(dts, '  vehicles: LooplineHasMany<Vehicle, VehicleData>;\n  garage: LooplineHasOne<Garage, GarageData>;\n');
+    assert.include(dts, '  "street-name"?: string;');
+    assert.include(dts, 'export interface GarageModel extends LooplineModelClass<Garage, GarageData, string> {}');
+    assert.match(dts, / {2}Truck: TruckModel;\n}\n$/);
+  });
+
+  it('should declare subclasses extending their base', function () {
+    var dts = typegen.declarations(registry);
+
+    assert.include(dts, 'export interface TruckData extends VehicleData {\n  load?: number;\n}');
+    assert.include(dts, [
+      'export interface Truck extends Vehicle, TruckData {',
+      '  toJSON(): TruckData;',
+      '  drivers: LooplineHasMany<Driver, DriverData>;',
+      '}'
+    ].join('\n'));
+    assert.isBelow(dts.indexOf('interface VehicleData'), dts.indexOf('interface TruckData'));
+  });
+
+  it('should leave the plain names of the shared declarations to models', function () {
+    registry.createModel('Filter', {text: 'string'});
+    registry.createModel('Instance', {host: 'string'});
+    var dts = typegen.declarations(registry);
+
+    assert.include(dts, 'export interface Filter extends FilterData, LooplineInstance<FilterData> {');
+    assert.include(dts, 'export interface InstanceModel extends LooplineModelClass<Instance, InstanceData, number> {}');
+    assert.include(dts, 'export interface LooplineFilter<D> {');
+  });
+
+  it('should reject clashing type names', function () {
+    registry.createModel('Order', {total: 'number'});
+    registry.createModel('OrderData', {items: 'number'});
+    assert.throws(function () {
+      typegen.declarations(registry);
+    }, 'Cannot declare the type OrderData of the model OrderData, it is the name of the model Order');
+  });
+
+  it('should reject models named like types used by the declarations', function () {
+    ['Models', 'LooplineFilter', 'Date'].forEach(function (name) {
+      var other = loopline(null, {localRegistry: true}).registry;
+      other.createModel(name, {});
+      assert.throws(function () {
+        typegen.declarations(other);
+      }, 'Cannot declare the type ' + name + ' of the model ' + name + ', it is the name of a type used by the declarations');
+    });
+  });
+
+  it('should write the declarations and schemas', function () {
+    var dir = path.join(os.tmpdir(), 'loopline-typegen-' + process.pid);
+    var files = typegen.write(registry, dir);
+
+    try {
+      assert.equal(files[0], path.join(dir, 'models.d.ts'));
+      assert.include(files, path.join(dir, 'schemas', 'Truck.json'));
+      assert.equal(fs.readFileSync(files[0], 'utf8'), typegen.declarations(registry));
+      assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'schemas', 'Truck.json'), 'utf8')),
+        typegen.jsonSchemas(registry).Truck);
+    } finally {
+      files.forEach(function (file) {
+        fs.unlinkSync(file);
+      });
+      fs.rmdirSync(path.join(dir, 'schemas'));
+      fs.rmdirSync(dir);
+    }
+  });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+var assert = require('chai').assert;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var loopline = require('..');
+
+describe('watcher', function () {
+  var root = path.join(os.tmpdir(), 'loopline-watcher-' + process.pid);
+  var models = path.join(root, 'models');
+  var app;
+
+  function write(file, content) {
+    fs.writeFileSync(path.join(root, file),
+      typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  function waitFor(event, count) {
+    var args = [];
+    return new Promise(function (resolve) {
+      app.on(event, function listener() {
+        args.push(Array.prototype.slice.call(arguments));
+        if (args.length < (count || 1)) {
+          return;
+        }
+        app.removeListener(event, listener);
+        resolve(args);
+      });
+    });
+  }
+
+  beforeEach(function () {
+    fs.mkdirSync(root);
+    fs.mkdirSync(models);
+    write('datasources.json', {db: {connector: 'memory'}});
+    write('model-config.json', {Note: {dataSource: 'db'}, Memo: {dataSource: 'db'}});
+    write('models/note.json', {name: 'Note', properties: {title: 'string'}});
+    write('models/note.js', 'module.exports = function(Note) { Note.version = 1; };');
+    write('models/memo.json', {name: 'Memo', base: 'Note'});
+
+    app = loopline(null, {localRegistry: true});
+    loopline.load(app, root, {watch: true});
+  });
+
+  afterEach(function () {
+    app.watcher.close();
+    fs.readdirSync(models).forEach(function (f) {
+      fs.unlinkSync(path.join(models, f));
+    });
+    fs.rmdirSync(models);
+    fs.readdirSync(root).forEach(function (f) {
+      fs.unlinkSync(path.join(root, f));
+    });
+    fs.rmdirSync(root);
+  });
+
+  it('should rebuild changed models and their subclasses', function () {
+    var Note = app.models.Note;
+    var Memo = app.models.Memo;
+    var reloaded = waitFor('model:reloaded', 2);
+
+    write('models/note.json', {name: 'Note', properties: {title: 'string', body: 'string'}});
+
+    return reloaded.then(function (events) {
+      assert.deepEqual(events.map(function (args) {
+        return args[0].modelName;
+      }), ['Note', 'Memo']);
+      assert.equal(events[0][1], Note);
+      assert.equal(events[1][1], Memo);
+
+      assert.notEqual(app.models.Note, Note);
+      assert.property(app.models.Note.definition.properties, 'body');
+      assert.property(app.models.Memo.definition.properties, 'body');
+      assert.equal(app.models.Note.dataSource, app.dataSources.db);
+      assert.equal(app.registry.getModel('Note'), app.models.Note);
+      assert.lengthOf(app.models(), 2);
+    });
+  });
+
+  it('should rerun customization scripts', function () {
+    var reloaded = waitFor('model:reloaded', 2);
+
+    write('models/note.js', 'module.exports = function(Note) { Note.version = 2; };');
+
+    return reloaded.then(function () {
+      assert.equal(app.models.Note.version, 2);
+    });
+  });
+
+  it('should keep data of reloaded models', function () {
+    return app.models.Note.create({title: 'kept'}).then(function () {
+      var reloaded = waitFor('model:reloaded', 2);
+      write('models/note.json', {name: 'Note', properties: {title: 'string', body: 'string'}});
+      return reloaded;
+    }).then(function () {
+      return app.models.Note.find();
+    }).then(function (notes) {
+      assert.deepEqual(notes.map(function (n) {
+        return n.title;
+      }), ['kept']);
+    });
+  });
+
+  it('should report reload errors', function () {
+    var failed = waitFor('model:reloadError');
+
+    write('models/note.json', '{"name": "Note", ');
+
+    return failed.then(function (args) {
+      assert.instanceOf(args[0][0], Error);
+      assert.equal(app.models.Note.modelName, 'Note');
+    });
+  });
+
+  it('should keep the attached models when a reload fails', function () {
+    var Note = app.models.Note;
+    var Memo = app.models.Memo;
+    var failed = waitFor('model:reloadError');
+
+    write('models/note.js', 'module.exports = function(Note) { throw new Error(\'broken\'); };');
+
+    return failed.then(function (args) {
+      assert.equal(args[0][0].message, 'broken');
+      assert.strictEqual(app.models.Note, Note);
+      assert.strictEqual(app.models.Memo, Memo);
+      assert.strictEqual(app.registry.getModel('Note'), Note);
+      assert.strictEqual(app.registry.getModel('Memo'), Memo);
+      assert.sameMembers(app.models(), [Note, Memo]);
+      assert.equal(Note.version, 1);
+    });
+  });
+});